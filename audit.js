@@ -0,0 +1,117 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// audit.js — Append-only history of data changes
+// One audit_log row per change: who (or which background job) did it, the
+// route or job name, the entity touched and its state before and after as
+// JSON. Rows are never updated or deleted.
+// Routes snapshot the entity before changing it and record the pair after;
+// snapshot() knows what makes up each entity's state (a transaction's
+// lines and payments, a product's variants…).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { getAllSettings } = require('./settings');
+
+function record(db, { username, route, action, entity, entityId, before, after }) {
+  db.run(
+    `INSERT INTO audit_log (username, route, action, entity, entity_id, before_json, after_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      username || null,
+      route || null,
+      action,
+      entity,
+      entityId == null ? null : String(entityId),
+      before == null ? null : JSON.stringify(before),
+      after  == null ? null : JSON.stringify(after),
+    ]
+  );
+}
+
+// Current state of an entity, or undefined when it does not exist (yet/any more)
+const SNAPSHOTS = {
+  transaction: (db, id) => {
+    const row = db.get('SELECT * FROM transactions WHERE id = ?', [id]);
+    return row && {
+      ...row,
+      items:    db.all('SELECT * FROM transaction_items WHERE transaction_id = ? ORDER BY id', [id]),
+      payments: db.all('SELECT method, currency, amount, rate, code FROM transaction_payments WHERE transaction_id = ? ORDER BY id', [id]),
+      discounts: db.all('SELECT item_id, kind, reason, promotion_id, amount FROM transaction_discounts WHERE transaction_id = ? ORDER BY id', [id]),
+    };
+  },
+  product: (db, id) => {
+    const row = db.get('SELECT * FROM products WHERE id = ?', [id]);
+    return row && {
+      ...row,
+      variants: db.all('SELECT id, color, size, channel, stock, reserved, barcode FROM product_variants WHERE product_id = ? ORDER BY id', [id]),
+    };
+  },
+  customer: (db, id) => db.get('SELECT * FROM customers WHERE id = ?', [id]),
+  shift: (db, id) => {
+    const row = db.get('SELECT id, location, status, opened_by, opened_at, closed_by, closed_at, note FROM shifts WHERE id = ?', [id]);
+    return row && { ...row, counts: db.all('SELECT kind, currency, amount FROM shift_counts WHERE shift_id = ?', [id]) };
+  },
+  exchange_rate: (db, id) => db.get('SELECT * FROM exchange_rates WHERE id = ?', [id]),
+  conversion_rule: (db, id) => db.get('SELECT * FROM conversion_rules WHERE id = ?', [id]),
+  payment_method: (db, code) => db.get('SELECT * FROM payment_methods WHERE code = ?', [code]),
+  vat_rate: (db, category) => db.get('SELECT * FROM vat_rates WHERE category = ?', [category]),
+  promotion: (db, id) => db.get('SELECT * FROM promotions WHERE id = ?', [id]),
+  credit: (db, code) => db.get(`
+    SELECT a.*, ROUND(COALESCE((SELECT SUM(amount) FROM credit_ledger WHERE account_id = a.id), 0), 2) AS balance
+    FROM credit_accounts a WHERE a.code = ?`, [code]),
+  location: (db, code) => db.get('SELECT * FROM locations WHERE code = ?', [code]),
+  transfer: (db, id) => {
+    const row = db.get('SELECT * FROM stock_transfers WHERE id = ?', [id]);
+    return row && { ...row, items: db.all('SELECT product_id, color, size, channel, quantity FROM stock_transfer_items WHERE transfer_id = ? ORDER BY id', [id]) };
+  },
+  wholesale_order: (db, id) => {
+    const row = db.get('SELECT * FROM wholesale_orders WHERE id = ?', [id]);
+    return row && { ...row, lines: db.all('SELECT id, product_id, color, size, quantity, unit_price, vat_rate, held, shipped FROM wholesale_order_lines WHERE order_id = ? ORDER BY id', [id]) };
+  },
+  user: (db, username) => db.get('SELECT id, username, role FROM users WHERE username = ?', [username]),
+  settings: db => getAllSettings(db),
+};
+
+function snapshot(db, entity, id) {
+  const fn = SNAPSHOTS[entity];
+  return fn ? fn(db, id) || undefined : undefined;
+}
+
+const parse = r => ({
+  ...r,
+  before: r.before_json ? JSON.parse(r.before_json) : null,
+  after:  r.after_json  ? JSON.parse(r.after_json)  : null,
+  before_json: undefined,
+  after_json:  undefined,
+});
+
+// Newest first. Filters: entity, entityId, username, action, from/to
+// (YYYY-MM-DD, inclusive); page back with beforeId (the last id seen).
+function query(db, { entity, entityId, username, action, from, to, beforeId, limit } = {}) {
+  const where = [], params = [];
+  if (entity)   { where.push('entity = ?');    params.push(entity); }
+  if (entityId != null && entityId !== '') {
+    const ids = [].concat(entityId).map(String);
+    where.push(`entity_id IN (${ids.map(() => '?').join(',')})`);
+    params.push(...ids);
+  }
+  if (username) { where.push('username = ?');  params.push(username); }
+  if (action)   { where.push('action = ?');    params.push(action); }
+  if (from)     { where.push('created_at >= ?'); params.push(String(from).slice(0, 10)); }
+  if (to)       { where.push('created_at <= ?'); params.push(`${String(to).slice(0, 10)} 23:59:59`); }
+  if (beforeId) { where.push('id < ?');        params.push(Number(beforeId)); }
+  const n = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+  return db.all(`
+    SELECT * FROM audit_log
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY id DESC
+    LIMIT ${n}
+  `, params).map(parse);
+}
+
+// Everything recorded against one entity (or several ids of it), oldest first
+function history(db, entity, ids) {
+  return query(db, { entity, entityId: ids, limit: 1000 }).reverse();
+}
+
+module.exports = { record, snapshot, query, history };
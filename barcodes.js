@@ -0,0 +1,157 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// barcodes.js — Variant barcodes: generation, lookup and SVG rendering
+// Every product_variants row gets a barcode when it is created: an EAN-13
+// in the in-store range (prefix 20) built from the variant id, so it never
+// changes. A supplier's own code can replace it. Codes that are valid
+// EAN-13 render as EAN-13, anything else as Code 128 (set B).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const IN_STORE_PREFIX = '20';
+
+class BarcodeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'BarcodeError';
+    this.status = status;
+  }
+}
+
+// Check digit of the first 12 digits of an EAN-13
+function ean13CheckDigit(digits) {
+  const sum = [...digits.slice(0, 12)].reduce((s, d, i) => s + Number(d) * (i % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+const isEan13 = code => /^\d{13}$/.test(code) && ean13CheckDigit(code) === code[12];
+
+// The in-store EAN-13 of a variant: 20 + id (10 digits) + check digit
+function generateBarcode(variantId) {
+  const body = IN_STORE_PREFIX + String(variantId).padStart(10, '0');
+  return body + ean13CheckDigit(body);
+}
+
+// Give a variant its generated barcode if it has none. Left empty when
+// another variant already carries that code as its supplier code.
+function assignBarcode(db, variantId) {
+  const code = generateBarcode(variantId);
+  if (db.get('SELECT 1 AS x FROM product_variants WHERE barcode = ?', [code])) return null;
+  db.run('UPDATE product_variants SET barcode = ? WHERE id = ? AND barcode IS NULL', [code, variantId]);
+  return code;
+}
+
+// Barcodes for variants created without one (seed script, older databases).
+// Runs at startup; returns how many were assigned.
+function backfillBarcodes(db) {
+  const ids = db.all('SELECT id FROM product_variants WHERE barcode IS NULL ORDER BY id').map(r => r.id);
+  if (!ids.length) return 0;
+  let assigned = 0;
+  db.transaction(() => { ids.forEach(id => { if (assignBarcode(db, id)) assigned++; }); })();
+  return assigned;
+}
+
+// A code a person typed or a scanner sent: trimmed, printable ASCII
+function normalizeCode(raw) {
+  const code = String(raw ?? '').trim();
+  if (!code) throw new BarcodeError('barcode is required');
+  if (!/^[\x20-\x7e]{1,48}$/.test(code)) throw new BarcodeError('Barcodes are up to 48 printable ASCII characters');
+  return code;
+}
+
+// Replace a variant's barcode with a supplier code; an empty code goes back
+// to the generated one. Returns the variant.
+function setBarcode(db, variantId, raw) {
+  const variant = db.get('SELECT * FROM product_variants WHERE id = ?', [variantId]);
+  if (!variant) throw new BarcodeError('Variant not found', 404);
+  const code = raw == null || String(raw).trim() === '' ? generateBarcode(variant.id) : normalizeCode(raw);
+  if (/^\d{13}$/.test(code) && !isEan13(code)) throw new BarcodeError(`${code} is not a valid EAN-13 (check digit should be ${ean13CheckDigit(code)})`);
+  const taken = db.get('SELECT id FROM product_variants WHERE barcode = ? AND id != ?', [code, variant.id]);
+  if (taken) throw new BarcodeError(`Barcode ${code} is already used by variant ${taken.id}`, 409);
+  db.run('UPDATE product_variants SET barcode = ? WHERE id = ?', [code, variant.id]);
+  return db.get('SELECT * FROM product_variants WHERE id = ?', [variant.id]);
+}
+
+// The variant a scanned code belongs to, with its product's name and
+// prices. UPC-A scans (12 digits) also match their EAN-13 form.
+function findByBarcode(db, raw) {
+  const code  = normalizeCode(raw);
+  const codes = /^\d{12}$/.test(code) ? [code, '0' + code] : [code];
+  return db.get(`
+    SELECT pv.*, p.name, p.ref, p.category, p.price, p.wholesale_price, p.image_url
+    FROM product_variants pv
+    JOIN products p ON p.id = pv.product_id
+    WHERE pv.barcode IN (${codes.map(() => '?').join(',')})
+  `, codes);
+}
+
+// ── RENDERING ─────────────────────────────────────────────────────────────────
+
+// EAN-13 digit patterns: L (odd parity) per digit; R is L inverted and G is
+// R reversed. The first digit picks which left-hand digits use G.
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R = EAN_L.map(p => [...p].map(b => (b === '1' ? '0' : '1')).join(''));
+const EAN_G = EAN_R.map(p => [...p].reverse().join(''));
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// 95 modules as a string of 0/1
+function ean13Modules(code) {
+  const parity = EAN_PARITY[code[0]];
+  const left   = [...code.slice(1, 7)].map((d, i) => (parity[i] === 'L' ? EAN_L : EAN_G)[d]).join('');
+  const right  = [...code.slice(7)].map(d => EAN_R[d]).join('');
+  return '101' + left + '01010' + right + '101';
+}
+
+// Code 128 bar/space widths for symbol values 0–106 (106 is the stop)
+const C128 = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+const C128_START_B = 104, C128_STOP = 106;
+
+function code128Modules(code) {
+  const values = [C128_START_B, ...[...code].map(c => c.charCodeAt(0) - 32)];
+  const check  = values.reduce((s, v, i) => s + v * (i || 1), 0) % 103;
+  return [...values, check, C128_STOP]
+    .map(v => [...C128[v]].map((w, i) => (i % 2 ? '0' : '1').repeat(Number(w))).join(''))
+    .join('');
+}
+
+const escXml = s => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// SVG of a barcode, `module` px per bar unit, `height` px of bars, with the
+// code printed underneath unless `text` is false.
+function renderSvg(raw, { module = 2, height = 60, text = true } = {}) {
+  const code    = normalizeCode(raw);
+  const modules = isEan13(code) ? ean13Modules(code) : code128Modules(code);
+  const quiet   = 10 * module;
+  const width   = modules.length * module + quiet * 2;
+  const total   = height + (text ? 16 : 0) + 4;
+
+  const bars = [];
+  for (let i = 0; i < modules.length;) {
+    if (modules[i] !== '1') { i++; continue; }
+    let j = i;
+    while (modules[j] === '1') j++;
+    bars.push(`<rect x="${quiet + i * module}" y="2" width="${(j - i) * module}" height="${height}"/>`);
+    i = j;
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${total}" viewBox="0 0 ${width} ${total}">` +
+    `<rect width="100%" height="100%" fill="#fff"/><g fill="#000">${bars.join('')}</g>` +
+    (text ? `<text x="${width / 2}" y="${height + 16}" font-family="monospace" font-size="13" text-anchor="middle">${escXml(code)}</text>` : '') +
+    '</svg>';
+}
+
+module.exports = {
+  BarcodeError, ean13CheckDigit, isEan13, generateBarcode, assignBarcode, backfillBarcodes,
+  setBarcode, findByBarcode, renderSvg,
+};
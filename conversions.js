@@ -0,0 +1,122 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// conversions.js — Opening wholesale packs for retail
+// A wholesale variant (size S, L…) is a pack of single sizes; conversion
+// rules say which, per category: 1 × S = 36, 38, 40. A rule for category
+// '*' applies wherever a category has none of its own for that pack size.
+// Converting takes packs off the wholesale variant and puts their units on
+// the single variants of the same color, at one location, in one database
+// transaction. Both sides are stock_movements rows with reason 'conversion'
+// and the conversion's id (CNV-…) as ref_id.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const stock     = require('./stock');
+const numbering = require('./numbering');
+const { stockLocation } = require('./locations');
+
+const ANY_CATEGORY = '*';
+
+class ConversionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'ConversionError';
+    this.status = status;
+  }
+}
+
+// '36, 38,40' or ['36', 38, '40'] → ['36', '38', '40']
+const sizeList = sizes => [].concat(sizes ?? []).flatMap(s => String(s).split(',')).map(s => s.trim()).filter(Boolean);
+
+const toRule = row => row && { ...row, sizes: sizeList(row.sizes) };
+
+function listRules(db, { category } = {}) {
+  return db.all(`
+    SELECT * FROM conversion_rules ${category ? 'WHERE category IN (?, ?)' : ''}
+    ORDER BY category = '${ANY_CATEGORY}', category, pack_size
+  `, category ? [category, ANY_CATEGORY] : []).map(toRule);
+}
+
+function getRule(db, id) {
+  return toRule(db.get('SELECT * FROM conversion_rules WHERE id = ?', [id]));
+}
+
+// The category's own rule for the pack size, else the '*' one
+function findRule(db, category, packSize) {
+  return toRule(db.get(`
+    SELECT * FROM conversion_rules WHERE pack_size = ? AND category IN (?, ?)
+    ORDER BY category = '${ANY_CATEGORY}' LIMIT 1
+  `, [packSize, category, ANY_CATEGORY]));
+}
+
+// Body { category, packSize, sizes } → checked { category, pack_size, sizes }
+function validateRule(body) {
+  const rule = {
+    category:  String(body.category || ANY_CATEGORY).trim().toLowerCase(),
+    pack_size: String(body.packSize ?? '').trim().toUpperCase(),
+    sizes:     sizeList(body.sizes),
+  };
+  if (!rule.pack_size) throw new ConversionError('packSize is required');
+  if (!rule.sizes.length) throw new ConversionError('sizes must list at least one single size');
+  return rule;
+}
+
+const ruleFor = (db, category, packSize) =>
+  toRule(db.get('SELECT * FROM conversion_rules WHERE category = ? AND pack_size = ?', [category, packSize]));
+
+// Create or replace the rule for the validated rule's category and pack size
+function saveRule(db, rule, username) {
+  db.run(
+    `INSERT INTO conversion_rules (category, pack_size, sizes, updated_by, updated_at) VALUES (?, ?, ?, ?, datetime('now'))
+     ON CONFLICT(category, pack_size) DO UPDATE SET sizes = excluded.sizes, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+    [rule.category, rule.pack_size, rule.sizes.join(','), username || null]
+  );
+  return ruleFor(db, rule.category, rule.pack_size);
+}
+
+function deleteRule(db, id) {
+  const rule = getRule(db, id);
+  if (!rule) throw new ConversionError('Conversion rule not found', 404);
+  db.run('DELETE FROM conversion_rules WHERE id = ?', [id]);
+  return rule;
+}
+
+// Open `quantity` packs of the product's wholesale `color`/`packSize`
+// variant into single sizes by its category's rule. Returns
+// { id, product_id, color, location, from, to } where from/to are
+// { size, channel, quantity } lines. Call inside no other db.transaction.
+function convertPacks(db, { productId, color, packSize, quantity, location, username }) {
+  const product = db.get('SELECT id, name, category FROM products WHERE id = ?', [productId]);
+  if (!product) throw new ConversionError('Product not found', 404);
+  const packs = parseInt(quantity) || 0;
+  if (packs < 1) throw new ConversionError('quantity must be at least 1');
+  if (!color || !packSize) throw new ConversionError('color and packSize are required');
+
+  const pack = { product_id: product.id, color, size: String(packSize).trim().toUpperCase(), channel: 'wholesale' };
+  if (!stock.findVariant(db, pack)) throw new ConversionError(`${product.name} has no wholesale ${color} ${packSize}`, 404);
+  const rule = findRule(db, product.category, pack.size);
+  if (!rule) throw new ConversionError(`No conversion rule for ${product.category} pack size ${pack.size}`);
+
+  const units = {};
+  rule.sizes.forEach(size => { units[size] = (units[size] || 0) + packs; });
+  const to    = Object.entries(units).map(([size, qty]) => ({ size, channel: 'single', quantity: qty }));
+  const where = stockLocation(db, location);
+  const id    = numbering.newId('CNV');
+  const meta  = { reason: 'conversion', refId: id, username, location: where };
+
+  db.transaction(() => {
+    stock.adjust(db, pack, { stock: -packs }, meta);
+    for (const line of to)
+      stock.adjust(db, { product_id: product.id, color, size: line.size, channel: 'single' }, { stock: line.quantity }, meta);
+  })();
+
+  return {
+    id, product_id: product.id, color, location: where,
+    from: { size: pack.size, channel: 'wholesale', quantity: packs },
+    to,
+  };
+}
+
+module.exports = {
+  ANY_CATEGORY, ConversionError, listRules, getRule, ruleFor, findRule, validateRule, saveRule, deleteRule, convertPacks,
+};
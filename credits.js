@@ -0,0 +1,212 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// credits.js — Store credit and gift card balances
+// An account has a code (SC-… for store credit, GC-… for gift cards, or a
+// pre-printed card's own), the location that issued it, a currency, an
+// optional customer and an expiry. Its balance is the sum of its
+// credit_ledger entries, which are never changed or deleted:
+//   issue     credit put on it (refund, cancelled deposit, gift card sold,
+//             goodwill)
+//   redeem    spent as a 'store_credit' payment
+//   reversal  a redemption or issue undone (payment replaced, void)
+//   adjust    an admin's correction
+// Entries that belong to a transaction carry its id, so the transaction's
+// store_credit payment rows are backed by the ledger.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+const { BASE_CURRENCY } = require('./payments');
+const { getSetting } = require('./settings');
+
+const KINDS   = ['store_credit', 'gift_card'];
+const PREFIX  = { store_credit: 'SC', gift_card: 'GC' };
+const MONTHS  = { store_credit: 'store_credit_months', gift_card: 'gift_card_months' };
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+
+class CreditError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'CreditError';
+    this.status = status;
+  }
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+const normalizeCode = code => String(code ?? '').trim().toUpperCase();
+
+const ACCOUNT_SQL = `
+  SELECT a.*, c.name AS customer_name,
+    ROUND(COALESCE((SELECT SUM(l.amount) FROM credit_ledger l WHERE l.account_id = a.id), 0), 2) AS balance,
+    (a.expires_at IS NOT NULL AND a.expires_at < date('now')) AS expired
+  FROM credit_accounts a
+  LEFT JOIN customers c ON c.id = a.customer_id`;
+
+function getAccount(db, code) {
+  return db.get(`${ACCOUNT_SQL} WHERE a.code = ?`, [normalizeCode(code)]);
+}
+
+// The account with its ledger, oldest entry first
+function accountWithLedger(db, code) {
+  const account = getAccount(db, code);
+  if (!account) throw new CreditError('No store credit or gift card with this code', 404);
+  return {
+    ...account,
+    ledger: db.all(`
+      SELECT l.*, t.doc_number FROM credit_ledger l
+      LEFT JOIN transactions t ON t.id = l.transaction_id
+      WHERE l.account_id = ? ORDER BY l.id
+    `, [account.id]),
+  };
+}
+
+// Filters: kind, customerId, location (issuing), q (code or customer name),
+// status: 'open' (balance left, not expired), 'expired' or 'empty'
+function listAccounts(db, { kind, customerId, location, q, status } = {}) {
+  const where = [], params = [];
+  if (kind)       { where.push('a.kind = ?');        params.push(kind); }
+  if (customerId) { where.push('a.customer_id = ?'); params.push(customerId); }
+  if (location)   { where.push('a.location = ?');    params.push(location); }
+  if (q)          { where.push('(a.code LIKE ? OR c.name LIKE ?)'); params.push(`%${normalizeCode(q)}%`, `%${q}%`); }
+  const rows = db.all(`${ACCOUNT_SQL} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY a.id DESC`, params);
+  if (status === 'open')    return rows.filter(r => r.balance > 0 && !r.expired);
+  if (status === 'expired') return rows.filter(r => r.balance > 0 && r.expired);
+  if (status === 'empty')   return rows.filter(r => r.balance <= 0);
+  return rows;
+}
+
+function newCode(db, kind) {
+  for (;;) {
+    const part = () => Array.from({ length: 4 }, () => ALPHABET[crypto.randomInt(ALPHABET.length)]).join('');
+    const code = `${PREFIX[kind]}-${part()}-${part()}`;
+    if (!db.get('SELECT 1 FROM credit_accounts WHERE code = ?', [code])) return code;
+  }
+}
+
+// Default expiry for a new account of `kind` (YYYY-MM-DD), null for none
+function defaultExpiry(db, kind) {
+  const months = getSetting(db, MONTHS[kind]);
+  if (!(months > 0)) return null;
+  return db.get("SELECT date('now', ?) AS d", [`+${months} months`]).d;
+}
+
+function addEntry(db, accountId, entry, amount, { transactionId, location, note, username } = {}) {
+  db.run(
+    'INSERT INTO credit_ledger (account_id, entry, amount, transaction_id, location, note, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [accountId, entry, round(amount), transactionId || null, location || null, note || null, username || null]
+  );
+}
+
+// Put `amount` on an account: the one with `code` when given and it exists,
+// else a new one (with `code` for a pre-printed gift card, or a generated
+// one). Returns the account with its new balance.
+function issue(db, { kind = 'store_credit', amount, currency = BASE_CURRENCY, code, customerId, location, expiresAt,
+  note, transactionId, username } = {}) {
+  if (!KINDS.includes(kind)) throw new CreditError(`kind must be one of ${KINDS.join(', ')}`);
+  amount = round(Number(amount));
+  if (!(amount > 0)) throw new CreditError('amount must be more than 0');
+  currency = String(currency || BASE_CURRENCY).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) throw new CreditError(`Invalid currency "${currency}"`);
+  if (expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(expiresAt)) throw new CreditError('expiresAt must be YYYY-MM-DD');
+  if (expiresAt && expiresAt < db.get("SELECT date('now') AS d").d) throw new CreditError('expiresAt is in the past');
+
+  let account = code ? getAccount(db, code) : null;
+  if (account) {
+    if (account.kind !== kind) throw new CreditError(`${account.code} is a ${account.kind.replace('_', ' ')}, not a ${kind.replace('_', ' ')}`, 409);
+    if (account.currency !== currency) throw new CreditError(`${account.code} is kept in ${account.currency}`);
+    if (account.expired) throw new CreditError(`${account.code} expired on ${account.expires_at}`, 409);
+  } else {
+    const { lastInsertRowid } = db.run(
+      `INSERT INTO credit_accounts (code, kind, currency, location, customer_id, expires_at, note, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [code ? normalizeCode(code) : newCode(db, kind), kind, currency, location || null, customerId || null,
+       expiresAt || defaultExpiry(db, kind), note || null, username || null]
+    );
+    account = db.get(`${ACCOUNT_SQL} WHERE a.id = ?`, [lastInsertRowid]);
+  }
+  addEntry(db, account.id, 'issue', amount, { transactionId, location, note, username });
+  return getAccount(db, account.code);
+}
+
+// An admin's correction: a signed amount with a note saying why
+function adjust(db, code, { amount, note, username } = {}) {
+  const account = getAccount(db, code);
+  if (!account) throw new CreditError('No store credit or gift card with this code', 404);
+  amount = round(Number(amount));
+  if (!amount) throw new CreditError('amount must be a non-zero number');
+  if (!String(note || '').trim()) throw new CreditError('A note is required to adjust a balance');
+  if (account.balance + amount < 0) throw new CreditError(`The balance is only ${account.balance.toFixed(2)} ${account.currency}`);
+  addEntry(db, account.id, 'adjust', amount, { note: String(note).trim(), username });
+  return getAccount(db, account.code);
+}
+
+// Net ledger movement of a transaction per account
+const movementsOf = (db, transactionId, entries) => db.all(`
+  SELECT account_id, ROUND(SUM(amount), 2) AS amount FROM credit_ledger
+  WHERE transaction_id = ? ${entries ? `AND entry IN (${entries.map(() => '?').join(', ')})` : ''}
+  GROUP BY account_id HAVING ROUND(SUM(amount), 2) != 0
+`, [transactionId, ...(entries || [])]);
+
+// Book a transaction's store_credit tenders (payments with a `code`) against
+// their accounts, after undoing what its earlier payments took. Call after
+// savePayments() whenever a transaction's payments are (re)written. On
+// returns and money out, store_credit rows are credit given, not spent, and
+// are left alone.
+function settleTenders(db, transactionId, tenders, { location, username } = {}) {
+  const txn = db.get('SELECT type FROM transactions WHERE id = ?', [transactionId]);
+  if (txn && (txn.type === 'return' || txn.type === 'out')) return;
+  for (const m of movementsOf(db, transactionId, ['redeem', 'reversal']))
+    if (m.amount < 0) addEntry(db, m.account_id, 'reversal', -m.amount, { transactionId, location, note: 'payment replaced', username });
+
+  for (const t of (tenders || []).filter(t => t.method === 'store_credit')) {
+    if (!t.code) throw new CreditError('A store credit payment needs the code of the credit or gift card');
+    const account = getAccount(db, t.code);
+    if (!account) throw new CreditError(`No store credit or gift card with code ${normalizeCode(t.code)}`, 404);
+    if (account.expired) throw new CreditError(`${account.code} expired on ${account.expires_at}`, 409);
+    if (account.currency !== t.currency) throw new CreditError(`${account.code} is kept in ${account.currency} — pay it in ${account.currency}`);
+    if (t.amount > account.balance + 0.005)
+      throw new CreditError(`${account.code} has ${account.balance.toFixed(2)} ${account.currency} left`);
+    addEntry(db, account.id, 'redeem', -t.amount, { transactionId, location, username });
+  }
+}
+
+// Undo everything a transaction did to balances (it is being voided).
+// Credit it issued that has since been spent cannot be taken back.
+function reverseTransaction(db, transactionId, { location, note, username } = {}) {
+  for (const m of movementsOf(db, transactionId)) {
+    const account = db.get(`${ACCOUNT_SQL} WHERE a.id = ?`, [m.account_id]);
+    if (m.amount > 0 && account.balance < m.amount - 0.005)
+      throw new CreditError(`${account.code} has already been spent (${account.balance.toFixed(2)} ${account.currency} left of ${m.amount.toFixed(2)})`, 409);
+    addEntry(db, m.account_id, 'reversal', -m.amount, { transactionId, location, note, username });
+  }
+}
+
+// Accounts a transaction moved, for its receipt: [{ code, kind, currency,
+// amount, balance, expires_at }]
+function creditsOf(db, transactionId) {
+  return movementsOf(db, transactionId).map(m => {
+    const a = db.get(`${ACCOUNT_SQL} WHERE a.id = ?`, [m.account_id]);
+    return { code: a.code, kind: a.kind, currency: a.currency, amount: m.amount, balance: a.balance, expires_at: a.expires_at };
+  });
+}
+
+// What the shop owes on unspent balances: per kind and currency, open
+// (still redeemable) and expired. Optionally only accounts issued at one
+// location.
+function liability(db, { location } = {}) {
+  const rows = db.all(`
+    SELECT kind, currency, expired, COUNT(*) AS accounts, ROUND(SUM(balance), 2) AS balance
+    FROM (${ACCOUNT_SQL} WHERE (? IS NULL OR a.location = ?))
+    WHERE balance > 0
+    GROUP BY kind, currency, expired
+    ORDER BY kind, currency
+  `, [location || null, location || null]);
+  const pick = expired => rows.filter(r => !!r.expired === expired).map(({ expired: _, ...r }) => r);
+  return { location: location || null, open: pick(false), expired: pick(true) };
+}
+
+module.exports = {
+  KINDS, CreditError, normalizeCode, getAccount, accountWithLedger, listAccounts,
+  issue, adjust, settleTenders, reverseTransaction, creditsOf, liability,
+};
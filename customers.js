@@ -0,0 +1,180 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// customers.js — Customer accounts and their receivables ledger (cari hesap)
+// The ledger is not stored separately; it is read off the customer's
+// completed transactions, in base currency:
+//   sale    debit the total, credit what was paid at the till (up to the total)
+//   return  credit the goods' value, debit any money refunded
+//   deposit credit a deposit paid on a reservation
+//   in      credit a payment on account (part-payments of veresiye)
+//   out     debit money paid back to the customer
+// A positive balance is owed to us; a negative one is credit the customer
+// holds (e.g. a return refunded to store credit).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { BASE_CURRENCY } = require('./payments');
+
+const TYPES = ['retail', 'wholesale'];
+
+class CustomerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'CustomerError';
+    this.status = status;
+  }
+}
+
+// Money paid on a transaction in base currency; legacy foreign rows without
+// a rate are left out. Store credit counts only when it moved a credit
+// account (credits.js) — older store credit stayed on the customer's ledger
+// instead, so it is not money there.
+const PAID_SQL = `COALESCE((
+  SELECT SUM(CASE WHEN p.currency = '${BASE_CURRENCY}' THEN p.amount ELSE p.amount * p.rate END)
+  FROM transaction_payments p
+  WHERE p.transaction_id = t.id
+    AND (p.method != 'store_credit' OR EXISTS (SELECT 1 FROM credit_ledger l WHERE l.transaction_id = t.id))
+), 0)`;
+
+// One ledger line per completed transaction booked to a customer
+const ENTRIES_SQL = `
+  SELECT e.*,
+    CASE e.type WHEN 'sale' THEN e.total WHEN 'return' THEN e.paid WHEN 'out' THEN e.paid ELSE 0 END AS debit,
+    CASE e.type WHEN 'sale' THEN MIN(e.paid, e.total) WHEN 'return' THEN e.total WHEN 'deposit' THEN e.paid WHEN 'in' THEN e.paid ELSE 0 END AS credit
+  FROM (
+    SELECT t.id AS transaction_id, t.customer_id, t.type, t.total, t.description,
+      t.original_id, t.created_at, ${PAID_SQL} AS paid
+    FROM transactions t
+    WHERE t.customer_id IS NOT NULL AND (t.status = 'completed' OR t.status IS NULL)
+  ) e`;
+
+const round = n => Math.round(n * 100) / 100;
+
+// Customer fields of a request body: name, phone, taxNumber (tax_number is
+// still read), note, type. Returns them under their column names.
+function validateCustomer(body, { partial = false } = {}) {
+  const out = {};
+  if (!partial || body.name !== undefined) {
+    out.name = String(body.name || '').trim();
+    if (!out.name) throw new CustomerError('name is required');
+  }
+  for (const [key, column] of [['phone', 'phone'], ['taxNumber', 'tax_number'], ['note', 'note']]) {
+    const value = body[key] !== undefined ? body[key] : body[column];
+    if (value !== undefined) out[column] = value == null ? null : String(value).trim() || null;
+  }
+  if (!partial || body.type !== undefined) {
+    out.type = body.type || 'retail';
+    if (!TYPES.includes(out.type)) throw new CustomerError(`type must be one of: ${TYPES.join(', ')}`);
+  }
+  return out;
+}
+
+function getCustomer(db, id) {
+  return db.get('SELECT * FROM customers WHERE id = ?', [id]);
+}
+
+// Look up the customer a request books to; undefined/'' means none
+function resolveCustomer(db, customerId) {
+  if (customerId == null || customerId === '') return null;
+  const customer = getCustomer(db, customerId);
+  if (!customer) throw new CustomerError(`Customer ${customerId} not found`, 404);
+  return customer;
+}
+
+// { customer_id: balance } for every customer with ledger activity
+function balances(db) {
+  const out = {};
+  db.all(`SELECT customer_id, SUM(debit - credit) AS balance FROM (${ENTRIES_SQL}) GROUP BY customer_id`)
+    .forEach(r => { out[r.customer_id] = round(r.balance); });
+  return out;
+}
+
+function listCustomers(db, { q, type } = {}) {
+  const where = [], params = [];
+  if (q) {
+    where.push('(name LIKE ? OR phone LIKE ? OR tax_number LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+  }
+  if (type) { where.push('type = ?'); params.push(type); }
+  const bal = balances(db);
+  return db.all(`SELECT * FROM customers ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY name`, params)
+    .map(c => ({ ...c, balance: bal[c.id] || 0 }));
+}
+
+// Ledger lines with a running balance. With from/to (YYYY-MM-DD) the lines
+// before `from` are folded into an opening balance.
+function statement(db, customerId, { from, to } = {}) {
+  const rows = db.all(`SELECT * FROM (${ENTRIES_SQL}) WHERE customer_id = ? ORDER BY created_at, transaction_id`, [customerId]);
+  let opening = 0, balance = 0;
+  const entries = [];
+  for (const r of rows) {
+    const day = String(r.created_at).slice(0, 10);
+    if (to && day > to) break;
+    balance = round(balance + r.debit - r.credit);
+    if (from && day < from) { opening = balance; continue; }
+    entries.push({
+      transaction_id: r.transaction_id,
+      type:           r.type,
+      date:           r.created_at,
+      description:    r.description,
+      original_id:    r.original_id,
+      debit:          round(r.debit),
+      credit:         round(r.credit),
+      balance,
+    });
+  }
+  return { opening_balance: opening, entries, closing_balance: balance };
+}
+
+// Outstanding balances by age. Credits settle the oldest debits first; what
+// is left of each debit is aged from its date to `asOf`.
+function agedReceivables(db, { asOf } = {}) {
+  const day    = String(asOf || new Date().toISOString()).slice(0, 10);
+  const asOfMs = Date.parse(day);
+  const rows   = db.all(`SELECT * FROM (${ENTRIES_SQL}) WHERE substr(created_at, 1, 10) <= ? ORDER BY customer_id, created_at, transaction_id`, [day]);
+
+  const byCustomer = {};
+  rows.forEach(r => (byCustomer[r.customer_id] ??= []).push(r));
+
+  const customers = Object.fromEntries(db.all('SELECT id, name, phone, type FROM customers').map(c => [c.id, c]));
+  const report = [];
+  for (const [id, list] of Object.entries(byCustomer)) {
+    let credit = list.reduce((s, r) => s + r.credit, 0);
+    const buckets = { current: 0, d31_60: 0, d61_90: 0, over_90: 0 };
+    let oldest = null;
+    for (const r of list) {
+      if (!r.debit) continue;
+      const applied = Math.min(credit, r.debit);
+      credit -= applied;
+      const open = r.debit - applied;
+      if (open < 0.005) continue;
+      const age = Math.floor((asOfMs - Date.parse(String(r.created_at).slice(0, 10))) / 86400000);
+      if      (age <= 30) buckets.current += open;
+      else if (age <= 60) buckets.d31_60  += open;
+      else if (age <= 90) buckets.d61_90  += open;
+      else                buckets.over_90 += open;
+      oldest ??= r.created_at;
+    }
+    const total = round(Object.values(buckets).reduce((s, v) => s + v, 0));
+    if (total < 0.01) continue;
+    report.push({
+      customer:    customers[id] || { id: Number(id) },
+      ...Object.fromEntries(Object.entries(buckets).map(([k, v]) => [k, round(v)])),
+      total,
+      oldest_open: oldest,
+    });
+  }
+  return report.sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+  TYPES,
+  CustomerError,
+  validateCustomer,
+  getCustomer,
+  resolveCustomer,
+  balances,
+  listCustomers,
+  statement,
+  agedReceivables,
+};
@@ -2,6 +2,7 @@ const initSqlJs = require('sql.js');
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
 const path = require('path');
+const { getSetting } = require('./settings');
 
 // On Fly.io DATA_DIR=/data (persistent volume). Locally falls back to project root.
 const DATA_DIR = process.env.DATA_DIR || __dirname;
@@ -10,11 +11,14 @@ const DB_PATH = path.join(DATA_DIR, 'haniqa.db');
 
 let _db;
 let _inTx = false;
+const _functions = {}; // custom SQL functions, re-registered after export()
 
 // ── FILE PERSISTENCE ──────────────────────────────────────────────────────────
 function save() {
   if (_inTx) return;
   fs.writeFileSync(DB_PATH, Buffer.from(_db.export()));
+  // sql.js export() reopens the connection, which drops custom functions
+  for (const [name, fn] of Object.entries(_functions)) _db.create_function(name, fn);
 }
 
 // ── QUERY HELPERS ─────────────────────────────────────────────────────────────
@@ -40,11 +44,18 @@ const db = {
 
   run(sql, params = []) {
     _db.run(sql, params.map(p => p === undefined ? null : p));
-    save();
+    // Read before save(): export() resets last_insert_rowid
     const r = _db.exec('SELECT last_insert_rowid()');
+    save();
     return { lastInsertRowid: r[0]?.values[0][0] ?? null };
   },
 
+  // Register a scalar SQL function (e.g. fx() for currency conversion)
+  createFunction(name, fn) {
+    _functions[name] = fn;
+    _db.create_function(name, fn);
+  },
+
   transaction(fn) {
     return (...args) => {
       _inTx = true;
@@ -115,6 +126,98 @@ function migrateIfNeeded() {
   }
 }
 
+// Add a column to an existing table when an older database predates it.
+// Returns true when it was added, so its values can be backfilled.
+function addColumnIfMissing(table, column, definition) {
+  const cols = _db.exec(`PRAGMA table_info(${table})`);
+  if (!cols[0]) return false;
+  if (cols[0].values.some(r => r[1] === column)) return false;
+  _db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`✓  Added ${column} column to ${table} table.`);
+  return true;
+}
+
+// Units held by the reserved sales already on file, per variant, and per
+// location where a variant has per-location rows (stock.js splits the rest
+// by reservation at startup)
+function backfillReserved() {
+  const held = (loc) => `(
+    SELECT COALESCE(SUM(ti.quantity), 0) FROM transaction_items ti
+    JOIN transactions t ON t.id = ti.transaction_id
+    WHERE t.type = 'sale' AND t.status = 'reserved' ${loc}
+      AND ti.product_id = pv.product_id AND ti.color = pv.color AND ti.size = pv.size
+      AND COALESCE(ti.channel, 'single') = pv.channel
+  )`;
+  _db.run(`UPDATE product_variants AS pv SET reserved = ${held('')}`);
+  _db.run(`
+    UPDATE variant_stock SET reserved = (
+      SELECT ${held('AND t.location = variant_stock.location')} FROM product_variants pv WHERE pv.id = variant_stock.variant_id
+    )
+  `);
+  const rows = _db.exec('SELECT COUNT(*) FROM product_variants WHERE reserved > 0');
+  console.log(`✓  Held stock for existing reservations on ${rows[0].values[0][0]} variant(s).`);
+}
+
+// Reservations already on file lapse reservation_days after they were made
+// (those already past it expire at startup); with the setting at 0 they
+// never do
+function backfillExpiry() {
+  const days = getSetting(db, 'reservation_days');
+  if (!(days > 0)) return;
+  _db.run(
+    "UPDATE transactions SET expires_at = datetime(created_at, ?) WHERE type = 'sale' AND status = 'reserved' AND expires_at IS NULL",
+    [`+${days} days`]
+  );
+  const rows = _db.exec("SELECT COUNT(*) FROM transactions WHERE type = 'sale' AND status = 'reserved' AND expires_at IS NOT NULL");
+  console.log(`✓  Set the expiry of ${rows[0].values[0][0]} existing reservation(s).`);
+}
+
+function migrateColumns() {
+  // Returns (iade) point back at the sale and the line they reverse
+  addColumnIfMissing('transactions', 'original_id', 'TEXT REFERENCES transactions(id)');
+  addColumnIfMissing('transactions', 'refund_to', 'TEXT');
+  addColumnIfMissing('transaction_items', 'original_item_id', 'INTEGER REFERENCES transaction_items(id)');
+  // Units held by reserved sales (available = stock − reserved)
+  if (addColumnIfMissing('product_variants', 'reserved', 'INTEGER DEFAULT 0')) backfillReserved();
+  // Cash drawer shift a transaction was taken in
+  addColumnIfMissing('transactions', 'shift_id', 'INTEGER REFERENCES shifts(id)');
+  // Customer account a sale, return or account payment is booked to
+  addColumnIfMissing('transactions', 'customer_id', 'INTEGER REFERENCES customers(id)');
+  _db.run('CREATE INDEX IF NOT EXISTS idx_transactions_customer ON transactions(customer_id)');
+  // When a reservation lapses, and when it was flagged as about to
+  if (addColumnIfMissing('transactions', 'expires_at', 'TEXT')) backfillExpiry();
+  addColumnIfMissing('transactions', 'expiry_warned_at', 'TEXT');
+  // Sequential document number (MAG-2026-000123), see numbering.js
+  addColumnIfMissing('transactions', 'doc_number', 'TEXT');
+  _db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_doc_number ON transactions(doc_number)');
+  // Voiding keeps the row (status 'voided') with who, when and why
+  addColumnIfMissing('transactions', 'voided_by', 'TEXT');
+  addColumnIfMissing('transactions', 'voided_at', 'TEXT');
+  addColumnIfMissing('transactions', 'void_reason', 'TEXT');
+  // The other half of an exchange (its return ↔ its new sale), see exchanges.js
+  addColumnIfMissing('transactions', 'exchange_id', 'TEXT REFERENCES transactions(id)');
+  // Location a stock movement happened at
+  addColumnIfMissing('stock_movements', 'location', 'TEXT');
+  // Scannable code of a variant, see barcodes.js
+  addColumnIfMissing('product_variants', 'barcode', 'TEXT');
+  _db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_barcode ON product_variants(barcode)');
+  // VAT: per-product rate override, and what each line was taxed at (vat.js)
+  addColumnIfMissing('products', 'vat_rate', 'REAL');
+  addColumnIfMissing('transaction_items', 'vat_rate', 'REAL');
+  addColumnIfMissing('transaction_items', 'vat_inclusive', 'INTEGER');
+  addColumnIfMissing('transaction_items', 'net_amount', 'REAL');
+  addColumnIfMissing('transaction_items', 'vat_amount', 'REAL');
+  // Discounts: the line's price before them, and their total (promotions.js)
+  addColumnIfMissing('transaction_items', 'list_price', 'REAL');
+  addColumnIfMissing('transaction_items', 'discount_amount', 'REAL NOT NULL DEFAULT 0');
+  // Store credit / gift card a store_credit payment was taken from (credits.js)
+  addColumnIfMissing('transaction_payments', 'code', 'TEXT');
+  // Legacy transaction paid in a currency with no rate on file (rates.js)
+  addColumnIfMissing('transactions', 'needs_rate', 'INTEGER NOT NULL DEFAULT 0');
+  // Currency of DIA birimfiyat/toplam
+  addColumnIfMissing('dia_sales_cache', 'currency', 'TEXT');
+}
+
 // ── SCHEMA ────────────────────────────────────────────────────────────────────
 function createTables() {
   _db.run('PRAGMA foreign_keys = ON');
@@ -139,6 +242,7 @@ function createTables() {
       season          TEXT,
       description     TEXT,
       image_url       TEXT,
+      vat_rate        REAL,
       created_at      TEXT DEFAULT (datetime('now')),
       updated_at      TEXT DEFAULT (datetime('now'))
     );
@@ -150,9 +254,217 @@ function createTables() {
       size       TEXT NOT NULL,
       channel    TEXT NOT NULL CHECK(channel IN ('single', 'wholesale')),
       stock      INTEGER DEFAULT 0,
+      reserved   INTEGER DEFAULT 0,
+      barcode    TEXT,
       UNIQUE(product_id, color, size, channel)
     );
 
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      variant_id     INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+      product_id     INTEGER,
+      color          TEXT,
+      size           TEXT,
+      channel        TEXT,
+      location       TEXT,
+      stock_delta    INTEGER DEFAULT 0,
+      reserved_delta INTEGER DEFAULT 0,
+      reason         TEXT,
+      ref_id         TEXT,
+      created_by     TEXT,
+      created_at     TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Shops, workshops… transactions, shifts and stock refer to them by code
+    CREATE TABLE IF NOT EXISTS locations (
+      code       TEXT PRIMARY KEY,
+      name       TEXT NOT NULL,
+      kind       TEXT NOT NULL DEFAULT 'shop' CHECK(kind IN ('shop', 'workshop', 'warehouse')),
+      active     INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- On-hand and held units of a variant at each location; product_variants
+    -- carries the totals across locations
+    CREATE TABLE IF NOT EXISTS variant_stock (
+      variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+      location   TEXT NOT NULL REFERENCES locations(code),
+      stock      INTEGER NOT NULL DEFAULT 0,
+      reserved   INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (variant_id, location)
+    );
+
+    CREATE TABLE IF NOT EXISTS stock_transfers (
+      id            TEXT PRIMARY KEY,
+      doc_number    TEXT UNIQUE,
+      from_location TEXT NOT NULL REFERENCES locations(code),
+      to_location   TEXT NOT NULL REFERENCES locations(code),
+      status        TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'in_transit', 'received', 'cancelled')),
+      note          TEXT,
+      created_by    TEXT,
+      created_at    TEXT DEFAULT (datetime('now')),
+      sent_by       TEXT,
+      sent_at       TEXT,
+      received_by   TEXT,
+      received_at   TEXT,
+      cancelled_by  TEXT,
+      cancelled_at  TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS stock_transfer_items (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      transfer_id TEXT NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+      product_id  INTEGER NOT NULL REFERENCES products(id),
+      color       TEXT NOT NULL,
+      size        TEXT NOT NULL,
+      channel     TEXT NOT NULL DEFAULT 'single',
+      quantity    INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id);
+
+    -- Wholesale orders (wholesale.js): quoted to a wholesale customer,
+    -- confirmed, picked and shipped from its location in one or more
+    -- shipments, then invoiced
+    CREATE TABLE IF NOT EXISTS wholesale_orders (
+      id             TEXT PRIMARY KEY,
+      doc_number     TEXT UNIQUE,
+      customer_id    INTEGER NOT NULL REFERENCES customers(id),
+      location       TEXT NOT NULL REFERENCES locations(code),
+      status         TEXT NOT NULL DEFAULT 'quote' CHECK(status IN ('quote', 'confirmed', 'picking', 'partially_shipped', 'delivered', 'invoiced', 'cancelled')),
+      valid_until    TEXT,
+      note           TEXT,
+      invoice_number TEXT UNIQUE,
+      created_by     TEXT,
+      created_at     TEXT DEFAULT (datetime('now')),
+      confirmed_by   TEXT,
+      confirmed_at   TEXT,
+      delivered_at   TEXT,
+      invoiced_by    TEXT,
+      invoiced_at    TEXT,
+      cancelled_by   TEXT,
+      cancelled_at   TEXT
+    );
+
+    -- Lines are wholesale-channel variants at a net unit price. held: units
+    -- reserved for the line at the order's location; shipped: units sent.
+    -- What is neither is backordered.
+    CREATE TABLE IF NOT EXISTS wholesale_order_lines (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id   TEXT NOT NULL REFERENCES wholesale_orders(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES products(id),
+      color      TEXT NOT NULL,
+      size       TEXT NOT NULL,
+      quantity   INTEGER NOT NULL,
+      unit_price REAL NOT NULL,
+      vat_rate   REAL NOT NULL,
+      held       INTEGER NOT NULL DEFAULT 0,
+      shipped    INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_wholesale_order_lines_order ON wholesale_order_lines(order_id);
+
+    -- Each shipment is booked as a sale (transaction_id) to the customer
+    CREATE TABLE IF NOT EXISTS wholesale_shipments (
+      id             TEXT PRIMARY KEY,
+      doc_number     TEXT UNIQUE,
+      order_id       TEXT NOT NULL REFERENCES wholesale_orders(id),
+      transaction_id TEXT REFERENCES transactions(id),
+      note           TEXT,
+      created_by     TEXT,
+      created_at     TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS wholesale_shipment_lines (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      shipment_id TEXT NOT NULL REFERENCES wholesale_shipments(id) ON DELETE CASCADE,
+      line_id     INTEGER NOT NULL REFERENCES wholesale_order_lines(id),
+      quantity    INTEGER NOT NULL
+    );
+
+    -- What one wholesale pack opens into: sizes is a comma list of single
+    -- sizes, one unit each (repeat a size for two). Category '*' covers
+    -- categories with no rule of their own for that pack size.
+    CREATE TABLE IF NOT EXISTS conversion_rules (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      category   TEXT NOT NULL DEFAULT '*',
+      pack_size  TEXT NOT NULL,
+      sizes      TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (category, pack_size)
+    );
+
+    -- Automatic discounts. A rule covers products matching every scope
+    -- column that is set (season, category, product, channel) on the days
+    -- from starts_at to ends_at. percent_off uses percent; buy_x_get_y
+    -- gives get_qty units free with every buy_qty; bundle_price sells each
+    -- bundle_qty units for bundle_price.
+    CREATE TABLE IF NOT EXISTS promotions (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      name         TEXT NOT NULL,
+      type         TEXT NOT NULL,
+      season       TEXT,
+      category     TEXT,
+      product_id   INTEGER REFERENCES products(id),
+      channel      TEXT,
+      percent      REAL,
+      buy_qty      INTEGER,
+      get_qty      INTEGER,
+      bundle_qty   INTEGER,
+      bundle_price REAL,
+      starts_at    TEXT,
+      ends_at      TEXT,
+      active       INTEGER NOT NULL DEFAULT 1,
+      created_by   TEXT,
+      created_at   TEXT DEFAULT (datetime('now')),
+      updated_at   TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS vat_rates (
+      category   TEXT PRIMARY KEY,
+      rate       REAL NOT NULL,
+      updated_by TEXT,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS settings (
+      key        TEXT PRIMARY KEY,
+      value      TEXT,
+      updated_by TEXT,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS shifts (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      location   TEXT NOT NULL,
+      status     TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'closed')),
+      opened_by  TEXT,
+      opened_at  TEXT DEFAULT (datetime('now')),
+      closed_by  TEXT,
+      closed_at  TEXT,
+      note       TEXT,
+      z_report   TEXT
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_shifts_one_open ON shifts(location) WHERE status = 'open';
+
+    CREATE TABLE IF NOT EXISTS shift_counts (
+      id       INTEGER PRIMARY KEY AUTOINCREMENT,
+      shift_id INTEGER NOT NULL REFERENCES shifts(id),
+      kind     TEXT NOT NULL CHECK(kind IN ('float', 'count')),
+      currency TEXT NOT NULL,
+      amount   REAL NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS customers (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      name       TEXT NOT NULL,
+      phone      TEXT,
+      tax_number TEXT,
+      type       TEXT NOT NULL DEFAULT 'retail' CHECK(type IN ('retail', 'wholesale')),
+      note       TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS transactions (
       id             TEXT PRIMARY KEY,
       type           TEXT NOT NULL,
@@ -162,6 +474,17 @@ function createTables() {
       description    TEXT,
       created_by     TEXT,
       location       TEXT,
+      original_id    TEXT REFERENCES transactions(id),
+      refund_to      TEXT,
+      shift_id       INTEGER REFERENCES shifts(id),
+      customer_id    INTEGER REFERENCES customers(id),
+      expires_at     TEXT,
+      expiry_warned_at TEXT,
+      doc_number     TEXT,
+      voided_by      TEXT,
+      voided_at      TEXT,
+      void_reason    TEXT,
+      exchange_id    TEXT REFERENCES transactions(id),
       created_at     TEXT DEFAULT (datetime('now'))
     );
 
@@ -173,7 +496,135 @@ function createTables() {
       size           TEXT,
       channel        TEXT,
       quantity       INTEGER NOT NULL,
-      unit_price     REAL NOT NULL
+      unit_price     REAL NOT NULL,
+      original_item_id INTEGER REFERENCES transaction_items(id),
+      vat_rate       REAL,
+      vat_inclusive  INTEGER,
+      net_amount     REAL,
+      vat_amount     REAL,
+      list_price     REAL,
+      discount_amount REAL NOT NULL DEFAULT 0
+    );
+
+    -- Each discount on a sale line and why: a promotion, a cashier's line
+    -- discount or the line's share of a cart discount (promotions.js).
+    -- transaction_items.discount_amount is their sum.
+    CREATE TABLE IF NOT EXISTS transaction_discounts (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      item_id        INTEGER NOT NULL REFERENCES transaction_items(id) ON DELETE CASCADE,
+      kind           TEXT NOT NULL,
+      reason         TEXT NOT NULL,
+      promotion_id   INTEGER REFERENCES promotions(id),
+      amount         REAL NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_transaction_discounts_txn ON transaction_discounts(transaction_id);
+
+    CREATE TABLE IF NOT EXISTS transaction_payments (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      method         TEXT NOT NULL,
+      currency       TEXT NOT NULL,
+      amount         REAL NOT NULL,
+      rate           REAL,
+      code           TEXT,
+      created_at     TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_transaction_payments_txn ON transaction_payments(transaction_id);
+
+    -- Tender types the till takes (payments.js). currencies is a comma list
+    -- (NULL: any); in_drawer methods count towards a shift's expected cash;
+    -- only gives_change methods may be overpaid and the excess handed back.
+    CREATE TABLE IF NOT EXISTS payment_methods (
+      code         TEXT PRIMARY KEY,
+      name         TEXT NOT NULL,
+      currencies   TEXT,
+      in_drawer    INTEGER NOT NULL DEFAULT 0,
+      gives_change INTEGER NOT NULL DEFAULT 0,
+      terminal_ref TEXT,
+      active       INTEGER NOT NULL DEFAULT 1,
+      sort_order   INTEGER NOT NULL DEFAULT 0,
+      updated_by   TEXT,
+      updated_at   TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Store credit and gift cards (credits.js). An account's balance is the
+    -- sum of its ledger entries, in the account's currency; entries are
+    -- only ever added, so corrections are new entries too.
+    CREATE TABLE IF NOT EXISTS credit_accounts (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      code        TEXT NOT NULL UNIQUE,
+      kind        TEXT NOT NULL CHECK(kind IN ('store_credit', 'gift_card')),
+      currency    TEXT NOT NULL,
+      location    TEXT,
+      customer_id INTEGER REFERENCES customers(id),
+      expires_at  TEXT,
+      note        TEXT,
+      created_by  TEXT,
+      created_at  TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS credit_ledger (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id     INTEGER NOT NULL REFERENCES credit_accounts(id),
+      entry          TEXT NOT NULL,
+      amount         REAL NOT NULL,
+      transaction_id TEXT,
+      location       TEXT,
+      note           TEXT,
+      created_by     TEXT,
+      created_at     TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_credit_ledger_account ON credit_ledger(account_id);
+    CREATE INDEX IF NOT EXISTS idx_credit_ledger_txn ON credit_ledger(transaction_id);
+    CREATE TRIGGER IF NOT EXISTS credit_ledger_no_update BEFORE UPDATE ON credit_ledger
+      BEGIN SELECT RAISE(ABORT, 'credit_ledger entries cannot be changed'); END;
+    CREATE TRIGGER IF NOT EXISTS credit_ledger_no_delete BEFORE DELETE ON credit_ledger
+      BEGIN SELECT RAISE(ABORT, 'credit_ledger entries cannot be deleted'); END;
+
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      username       TEXT NOT NULL,
+      key            TEXT NOT NULL,
+      route          TEXT NOT NULL,
+      request_hash   TEXT NOT NULL,
+      status_code    INTEGER,
+      response_json  TEXT,
+      transaction_id TEXT,
+      created_at     TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (username, key)
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      username    TEXT,
+      route       TEXT,
+      action      TEXT NOT NULL,
+      entity      TEXT NOT NULL,
+      entity_id   TEXT,
+      before_json TEXT,
+      after_json  TEXT,
+      created_at  TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(username, created_at);
+
+    CREATE TABLE IF NOT EXISTS document_sequences (
+      prefix      TEXT NOT NULL,
+      year        INTEGER NOT NULL,
+      last_number INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (prefix, year)
+    );
+
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      date       TEXT NOT NULL,
+      base       TEXT NOT NULL,
+      quote      TEXT NOT NULL,
+      rate       REAL NOT NULL,
+      source     TEXT DEFAULT 'manual',
+      created_by TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(date, base, quote)
     );
 
     CREATE TABLE IF NOT EXISTS dia_stock_cache (
@@ -199,6 +650,7 @@ function createTables() {
       miktar      REAL DEFAULT 0,
       birimfiyat  REAL DEFAULT 0,
       toplam      REAL DEFAULT 0,
+      currency    TEXT,
       synced_at   TEXT
     );
 
@@ -231,6 +683,12 @@ async function seedData() {
       console.log('⚠  No users found. Set ADMIN_USERNAME and ADMIN_PASSWORD env vars to auto-create admin.');
     }
   }
+  // The workshop and the shop the POS started out with
+  db.run("INSERT OR IGNORE INTO locations (code, name, kind) VALUES ('atölye', 'Atölye', 'workshop'), ('magaza', 'Magaza', 'shop')");
+  // The payment methods the POS had built in
+  db.run(`INSERT OR IGNORE INTO payment_methods (code, name, currencies, in_drawer, gives_change, sort_order) VALUES
+    ('cash', 'Cash', 'USD,EUR,TRY', 1, 1, 1), ('card', 'Card', NULL, 0, 0, 2), ('mobile', 'Mobile Pay', NULL, 0, 0, 3),
+    ('bank', 'Bank Transfer', NULL, 0, 0, 4), ('other', 'Other', NULL, 0, 0, 5), ('store_credit', 'Store Credit', NULL, 0, 0, 6)`);
   console.log('ℹ  Run `node seed-variants.js` to populate sample products.');
 }
 
@@ -248,6 +706,7 @@ async function init() {
   createTables();
   // Migrate: add status column to transactions if missing
   try { _db.run("ALTER TABLE transactions ADD COLUMN status TEXT DEFAULT 'completed'"); } catch (_) {}
+  migrateColumns();
   save(); // flush new schema to disk immediately
   await seedData();
   console.log('✓ Database ready');
@@ -19,6 +19,9 @@ const DIA_KEY  = process.env.DIA_APIKEY   || '86f9f6b1-4573-486f-b3ca-ecfb0c810e
 const DIA_FIRMA_OVERRIDE = process.env.DIA_FIRMA_KODU ? parseInt(process.env.DIA_FIRMA_KODU) : null;
 const DIA_DONEM_OVERRIDE = process.env.DIA_DONEM_KODU ? parseInt(process.env.DIA_DONEM_KODU) : null;
 
+// Currency of DIA prices when a line does not say (the company books in TL)
+const DIA_CURRENCY = (process.env.DIA_CURRENCY || 'TRY').toUpperCase();
+
 // ── IN-MEMORY SESSION ─────────────────────────────────────────────────────────
 let _sessionId  = null;
 let _firmaKodu  = null;
@@ -203,8 +206,8 @@ async function syncSales(db) {
     for (const row of sales) {
       db.run(
         `INSERT INTO dia_sales_cache
-           (dia_key, belge_no, tarih, stokkodu, stokadi, renk, beden, miktar, birimfiyat, toplam, synced_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+           (dia_key, belge_no, tarih, stokkodu, stokadi, renk, beden, miktar, birimfiyat, toplam, currency, synced_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
         [
           String(row._key             ?? ''),
           String(row.fisno            ?? row.belgeno ?? ''),
@@ -216,6 +219,7 @@ async function syncSales(db) {
           parseFloat(row.miktar       ?? 0),
           parseFloat(row.birimfiyati  ?? row.birimfiyat ?? 0),
           parseFloat(row.toplamtutar  ?? row.toplam ?? 0),
+          lineCurrency(row),
         ]
       );
     }
@@ -230,6 +234,14 @@ async function syncSales(db) {
   return list.length;
 }
 
+// DIA names currencies "TL" / "USD" / "EUR" (dovizturu); store ISO codes
+function lineCurrency(row) {
+  const raw = String(row.dovizturu ?? row.doviz ?? row.dovizkodu ?? '').trim().toUpperCase();
+  if (!raw) return DIA_CURRENCY;
+  if (raw === 'TL' || raw === 'YTL') return 'TRY';
+  return /^[A-Z]{3}$/.test(raw) ? raw : DIA_CURRENCY;
+}
+
 // ── FULL SYNC ─────────────────────────────────────────────────────────────────
 async function fullSync(db) {
   if (_syncBusy) throw new Error('Sync already in progress');
@@ -291,4 +303,4 @@ function scheduleNightlySync(db) {
   }, 5 * 60 * 1000); // check every 5 minutes
 }
 
-module.exports = { diaCall, fullSync, syncStock, syncSales, getStatus, scheduleNightlySync };
+module.exports = { DIA_CURRENCY, diaCall, fullSync, syncStock, syncSales, getStatus, scheduleNightlySync };
@@ -0,0 +1,185 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// exchanges.js — Swapping goods from a sale for other goods
+// An exchange is a return of lines from a completed sale and a new sale of
+// the replacement lines, posted together. Both point at the original sale
+// (original_id) and at each other (exchange_id), so either one voids the
+// pair. Only the price difference changes hands: collected on the new sale
+// when it costs more, refunded on the return (or kept as store credit) when
+// it costs less. Revenue, stock and customer ledgers see an ordinary return
+// and sale; the new lines are priced like any sale (promotions, line and
+// cart discounts, see promotions.js) and their discounts recorded.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const payments   = require('./payments');
+const shifts     = require('./shifts');
+const stock      = require('./stock');
+const numbering  = require('./numbering');
+const vat        = require('./vat');
+const credits    = require('./credits');
+const promotions = require('./promotions');
+
+class ExchangeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'ExchangeError';
+    this.status = status;
+  }
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+// Units of each of the sale's lines already returned
+function returnedQty(db, saleId) {
+  const out = {};
+  db.all(`
+    SELECT ti.original_item_id AS item_id, SUM(ti.quantity) AS qty
+    FROM transaction_items ti
+    JOIN transactions t ON t.id = ti.transaction_id
+    JOIN transaction_items o ON o.id = ti.original_item_id
+    WHERE t.type = 'return' AND (t.status = 'completed' OR t.status IS NULL) AND o.transaction_id = ?
+    GROUP BY ti.original_item_id
+  `, [saleId]).forEach(r => { out[r.item_id] = parseInt(r.qty) || 0; });
+  return out;
+}
+
+// [{ itemId, quantity }] → [{ orig, qty }], checked against what is left to return
+function returnLines(db, txn, items) {
+  if (!Array.isArray(items) || !items.length) throw new ExchangeError('returns must be a non-empty array');
+  const origItems = db.all(`
+    SELECT ti.*, p.name AS product_name
+    FROM transaction_items ti
+    LEFT JOIN products p ON p.id = ti.product_id
+    WHERE ti.transaction_id = ?
+  `, [txn.id]);
+  const returned = returnedQty(db, txn.id);
+
+  const qtyByItem = {};
+  for (const r of items) {
+    const qty = parseInt(r.quantity) || 0;
+    if (qty < 1) throw new ExchangeError('Return quantities must be at least 1');
+    qtyByItem[r.itemId] = (qtyByItem[r.itemId] || 0) + qty;
+  }
+  return Object.entries(qtyByItem).map(([itemId, qty]) => {
+    const orig = origItems.find(i => i.id === Number(itemId));
+    if (!orig) throw new ExchangeError(`Item ${itemId} is not part of ${txn.id}`);
+    const left = orig.quantity - (returned[orig.id] || 0);
+    if (qty > left) throw new ExchangeError(`Only ${left} unit(s) of item ${orig.id} can still be returned`);
+    return { orig, qty };
+  });
+}
+
+// [{ productId, color, size, channel, quantity, unitPrice?, discount? }] →
+// transaction_items rows, priced through promotions.priceCart
+function newLines(db, items, { discount, applyPromotions = true } = {}) {
+  if (!Array.isArray(items) || !items.length) throw new ExchangeError('items must be a non-empty array');
+  return promotions.priceCart(db, items, { discount, applyPromotions }).lines.map(line => ({
+    product_id: line.productId, product_name: line.name, color: line.color,
+    size: line.size == null ? null : String(line.size), channel: line.channel, quantity: line.quantity,
+    unit_price: line.unit_price, list_price: line.list_price, discount_amount: line.discount_amount, discounts: line.discounts,
+    vat_rate: vat.rateForProduct(db, line.productId), vat_inclusive: vat.pricesIncludeVat(line.channel) ? 1 : 0,
+  }));
+}
+
+const describe = lines => lines.map(l => `${l.qty ?? l.quantity}x ${l.product_name || 'Product #' + l.product_id}` +
+  [l.color, l.size].filter(Boolean).map(v => ` ${v}`).join('')).join(', ');
+
+// Post an exchange against a completed sale.
+//   returns  [{ itemId, quantity }] — lines of the sale coming back
+//   items    [{ productId, color, size, channel, quantity, unitPrice, discount }]
+//            — going out, priced like a sale
+//   discount, applyPromotions  cart discount and promotions for those, as
+//            for a sale
+//   tenders  normalized payment entries for the difference (null: all cash
+//            in base currency)
+//   refundTo 'original' (default) or 'store_credit' for a difference owed back
+//   creditCode  account to put that store credit on (default: a new one)
+// Returns { return, sale, difference, store_credit } — difference > 0 was
+// collected, < 0 refunded; store_credit is the account credited, if any.
+// Call inside no other db.transaction.
+function postExchange(db, txn, { returns, items, discount, applyPromotions, tenders, refundTo, creditCode, location, description, username }) {
+  if (!txn) throw new ExchangeError('Transaction not found', 404);
+  if (txn.type !== 'sale' || (txn.status && txn.status !== 'completed'))
+    throw new ExchangeError('Only completed sales can be exchanged');
+
+  const back = returnLines(db, txn, returns);
+  const out  = newLines(db, items, { discount, applyPromotions });
+  // Both sides at what they cost the customer, VAT on wholesale lines included
+  const returnTotal = round(back.reduce((s, l) => s + vat.lineAmounts({ ...l.orig, quantity: l.qty }).gross, 0));
+  const saleTotal   = round(out.reduce((s, l) => s + vat.lineAmounts(l).gross, 0));
+  const difference  = round(saleTotal - returnTotal);
+  const mode = refundTo === 'store_credit' ? 'store_credit' : 'original';
+
+  // Only the difference changes hands, at the till open now
+  let owed = [];
+  if (difference < 0 && mode === 'store_credit') {
+    owed = [{ method: 'store_credit', currency: payments.BASE_CURRENCY, amount: -difference, rate: 1 }];
+  } else if (difference !== 0) {
+    owed = tenders || [{ method: 'cash', currency: payments.BASE_CURRENCY, amount: Math.abs(difference), rate: 1 }];
+    const paid = payments.totalInBase(owed);
+    if (Math.abs(paid - Math.abs(difference)) > 0.005)
+      throw new ExchangeError(`Payments of ${paid.toFixed(2)} do not match the ${Math.abs(difference).toFixed(2)} ${difference > 0 ? 'to collect' : 'to refund'}`);
+  }
+
+  const where  = location || txn.location;
+  const shift  = shifts.currentShift(db, where);
+  const retId  = numbering.newId('RET');
+  const saleId = numbering.newId('TXN');
+  const text   = description || `Exchange: ${describe(back.map(l => ({ ...l.orig, qty: l.qty })))} → ${describe(out)}`;
+
+  let credit = null;
+  db.transaction(() => {
+    db.run(
+      `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, original_id, refund_to, shift_id, customer_id, exchange_id)
+       VALUES (?, ?, 'return', 'completed', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [retId, numbering.allocate(db, { type: 'return', location: where }), returnTotal, text, username, where || null, txn.id,
+       difference < 0 ? mode : null, shift?.id ?? null, txn.customer_id ?? null, saleId]
+    );
+    db.run(
+      `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, original_id, shift_id, customer_id, exchange_id)
+       VALUES (?, ?, 'sale', 'completed', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [saleId, numbering.allocate(db, { type: 'sale', location: where }), saleTotal, text, username, where || null, txn.id,
+       shift?.id ?? null, txn.customer_id ?? null, retId]
+    );
+    if (difference < 0 && mode === 'store_credit') {
+      credit = credits.issue(db, {
+        kind: 'store_credit', amount: -difference, code: creditCode, customerId: txn.customer_id, location: where,
+        note: `Exchange — ${txn.id}`, transactionId: retId, username,
+      });
+      owed[0].code = credit.code;
+    }
+    payments.savePayments(db, difference < 0 ? retId : saleId, owed);
+    if (difference > 0) credits.settleTenders(db, saleId, owed, { location: where, username });
+
+    for (const { orig, qty } of back) {
+      db.run(
+        `INSERT INTO transaction_items (transaction_id, product_id, color, size, channel, quantity, unit_price, original_item_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [retId, orig.product_id, orig.color, orig.size, orig.channel, qty, orig.unit_price, orig.id]
+      );
+      stock.restock(db, orig, qty, { reason: 'exchange', refId: retId, username, location: where });
+    }
+    for (const line of out) {
+      const { lastInsertRowid } = db.run(
+        `INSERT INTO transaction_items (transaction_id, product_id, color, size, channel, quantity, unit_price, list_price, discount_amount, vat_rate, vat_inclusive)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [saleId, line.product_id, line.color, line.size, line.channel, line.quantity, line.unit_price,
+         line.list_price, line.discount_amount, line.vat_rate, line.vat_inclusive]
+      );
+      promotions.saveDiscounts(db, saleId, lastInsertRowid, line.discounts);
+      stock.sell(db, line, line.quantity, { reason: 'exchange', refId: saleId, username, location: where });
+    }
+    vat.priceLines(db, retId);
+    vat.priceLines(db, saleId);
+  })();
+
+  return {
+    return:     db.get('SELECT * FROM transactions WHERE id = ?', [retId]),
+    sale:       db.get('SELECT * FROM transactions WHERE id = ?', [saleId]),
+    difference,
+    store_credit: credit,
+  };
+}
+
+module.exports = { ExchangeError, postExchange };
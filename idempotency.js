@@ -0,0 +1,99 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// idempotency.js — Safe retries of requests that take money
+// A client sends an Idempotency-Key header (any unique string, e.g. a UUID
+// made once per sale) and repeats it when it retries. The first request with
+// a key runs as usual and its response is kept; a retry with the same key
+// gets that response back (with Idempotent-Replayed: true) instead of
+// booking the sale, payment or finalize again. Keys belong to the user who
+// sent them and are forgotten after idempotency_key_hours.
+// Only successful responses are kept: when the first attempt fails (no
+// stock, bad payment) the key is freed so a corrected retry can run.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+const { getSetting } = require('./settings');
+
+const HEADER         = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+const fingerprint = body => crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+
+// The transaction a response is about: the row itself, or the one wrapped
+// in { transaction }, { deposit } or { sale } (an exchange)
+function transactionIdOf(body) {
+  if (!body || typeof body !== 'object') return null;
+  if (typeof body.id === 'string') return body.id;
+  return body.transaction?.id || body.deposit?.id || body.sale?.id || null;
+}
+
+const maxAge = db => `-${getSetting(db, 'idempotency_key_hours')} hours`;
+
+// Drop keys older than idempotency_key_hours
+function purgeExpired(db) {
+  db.run("DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)", [maxAge(db)]);
+}
+
+// Purge now and then every 5 minutes (alongside the reservation expiry)
+function schedulePurge(db) {
+  const tick = () => {
+    try {
+      purgeExpired(db);
+    } catch (err) {
+      console.error('✗ Idempotency key purge failed:', err.message);
+    }
+  };
+  tick();
+  setInterval(tick, 5 * 60 * 1000);
+}
+
+// Route middleware. Requests without the header pass straight through.
+function idempotent(db) {
+  return (req, res, next) => {
+    const raw = req.get(HEADER);
+    if (raw == null) return next();
+    const key = raw.trim();
+    if (!key || key.length > MAX_KEY_LENGTH)
+      return res.status(400).json({ error: `${HEADER} must be 1–${MAX_KEY_LENGTH} characters` });
+
+    const username = req.session.username;
+    const route    = `${req.method} ${req.originalUrl}`;
+    const hash     = fingerprint(req.body);
+    // A key past its age counts as new even before the next purge
+    db.run("DELETE FROM idempotency_keys WHERE username = ? AND key = ? AND created_at < datetime('now', ?)",
+      [username, key, maxAge(db)]);
+
+    const seen = db.get('SELECT * FROM idempotency_keys WHERE username = ? AND key = ?', [username, key]);
+    if (seen) {
+      if (seen.route !== route || seen.request_hash !== hash)
+        return res.status(422).json({ error: `${HEADER} was already used for a different request` });
+      if (seen.status_code == null)
+        return res.status(409).json({ error: 'The first request with this Idempotency-Key is still being processed' });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(seen.status_code).json(JSON.parse(seen.response_json));
+    }
+
+    db.run('INSERT INTO idempotency_keys (username, key, route, request_hash) VALUES (?, ?, ?, ?)', [username, key, route, hash]);
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (!settled) {
+        settled = true;
+        if (res.statusCode >= 200 && res.statusCode < 300)
+          db.run('UPDATE idempotency_keys SET status_code = ?, response_json = ?, transaction_id = ? WHERE username = ? AND key = ?',
+            [res.statusCode, JSON.stringify(body), transactionIdOf(body), username, key]);
+        else
+          db.run('DELETE FROM idempotency_keys WHERE username = ? AND key = ?', [username, key]);
+      }
+      return json(body);
+    };
+    // Handler ended without a JSON response (crash, closed connection)
+    res.on('close', () => {
+      if (!settled) db.run('DELETE FROM idempotency_keys WHERE username = ? AND key = ? AND status_code IS NULL', [username, key]);
+    });
+    next();
+  };
+}
+
+module.exports = { HEADER, idempotent, purgeExpired, schedulePurge, transactionIdOf };
@@ -0,0 +1,168 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// labels.js — Hang tag / label sheets
+// Collects which variants to label and how many of each (a list, every
+// variant of a product, or what a transfer brought in), then lays the
+// labels out on a sheet template as print-ready HTML sized in millimetres.
+// Each label carries product name, ref, color, size, price and barcode.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const barcodes = require('./barcodes');
+const { getSetting } = require('./settings');
+
+// Sheet layouts, all sizes in mm. `page` is the paper; labels fill it in
+// `cols` × `rows` from the top-left `margin`, `gap` apart.
+const TEMPLATES = {
+  'a4-3x8': {
+    name: 'A4 sheet, 3 × 8 (70 × 37 mm)',
+    page: { width: 210, height: 297 }, cols: 3, rows: 8,
+    label: { width: 70, height: 37 }, margin: { top: 0.5, left: 0 }, gap: { x: 0, y: 0 },
+  },
+  'a4-2x5-hangtag': {
+    name: 'A4 sheet, 2 × 5 hang tags (90 × 50 mm)',
+    page: { width: 210, height: 297 }, cols: 2, rows: 5,
+    label: { width: 90, height: 50 }, margin: { top: 16, left: 12 }, gap: { x: 6, y: 4 },
+  },
+  'roll-50x30': {
+    name: 'Thermal roll, 50 × 30 mm',
+    page: { width: 50, height: 30 }, cols: 1, rows: 1,
+    label: { width: 50, height: 30 }, margin: { top: 0, left: 0 }, gap: { x: 0, y: 0 },
+  },
+};
+const FIELDS = ['name', 'ref', 'variant', 'price', 'barcode'];
+const MAX_LABELS = 2000;
+
+class LabelError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'LabelError';
+    this.status = status;
+  }
+}
+
+const VARIANT_SQL = `
+  SELECT pv.id, pv.product_id, pv.color, pv.size, pv.channel, pv.stock, pv.barcode,
+         p.name, p.ref, p.price, p.wholesale_price
+  FROM product_variants pv
+  JOIN products p ON p.id = pv.product_id`;
+
+// 'stock' (each variant's on-hand count) or a count of at least 1
+function countParam(raw, fallback) {
+  if (raw == null || raw === '') return fallback;
+  if (raw === 'stock') return 'stock';
+  const n = parseInt(raw);
+  if (!(n >= 1)) throw new LabelError('quantity must be a positive number or "stock"');
+  return n;
+}
+
+const unitsFor = (variant, count) => (count === 'stock' ? Math.max(variant.stock || 0, 0) : count);
+
+// [{ variant, quantity }] from one of:
+//   items      [{ variantId, quantity }] or '9:3,10:2'
+//   productId  every variant of the product; quantity N or 'stock' (default 1)
+//   transferId the lines of a received (or in-transit) transfer
+function collectLabels(db, { items, productId, transferId, quantity } = {}) {
+  let out;
+  if (transferId) {
+    const transfer = db.get('SELECT id, status FROM stock_transfers WHERE id = ? OR doc_number = ?', [transferId, transferId]);
+    if (!transfer) throw new LabelError('Transfer not found', 404);
+    out = db.all(`
+      SELECT sti.quantity, pv.id AS variant_id FROM stock_transfer_items sti
+      LEFT JOIN product_variants pv ON pv.product_id = sti.product_id AND pv.color = sti.color
+        AND pv.size = sti.size AND pv.channel = sti.channel
+      WHERE sti.transfer_id = ? ORDER BY sti.id
+    `, [transfer.id]).filter(r => r.variant_id).map(r => ({ variant: db.get(`${VARIANT_SQL} WHERE pv.id = ?`, [r.variant_id]), quantity: r.quantity }));
+  } else if (productId) {
+    const count = countParam(quantity, 1);
+    const rows  = db.all(`${VARIANT_SQL} WHERE pv.product_id = ? ORDER BY pv.channel, pv.color, pv.size`, [productId]);
+    if (!rows.length) throw new LabelError('Product not found or has no variants', 404);
+    out = rows.map(v => ({ variant: v, quantity: unitsFor(v, count) }));
+  } else if (items) {
+    const list = typeof items === 'string'
+      ? items.split(',').filter(Boolean).map(s => { const [variantId, qty] = s.split(':'); return { variantId, quantity: qty }; })
+      : [].concat(items);
+    out = list.map(i => {
+      const variant = db.get(`${VARIANT_SQL} WHERE pv.id = ?`, [i.variantId]);
+      if (!variant) throw new LabelError(`Variant ${i.variantId} not found`, 404);
+      return { variant, quantity: unitsFor(variant, countParam(i.quantity, 1)) };
+    });
+  } else {
+    throw new LabelError('Give items, productId or transferId');
+  }
+  out = out.filter(l => l.quantity > 0);
+  const total = out.reduce((s, l) => s + l.quantity, 0);
+  if (!total) throw new LabelError('Nothing to label');
+  if (total > MAX_LABELS) throw new LabelError(`At most ${MAX_LABELS} labels per sheet run (asked for ${total})`);
+  return out;
+}
+
+function getTemplate(db, name) {
+  const key = name || getSetting(db, 'label_template');
+  const template = TEMPLATES[key];
+  if (!template) throw new LabelError(`Unknown label template "${key}" (one of ${Object.keys(TEMPLATES).join(', ')})`);
+  return { key, ...template };
+}
+
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function labelHtml(v, show) {
+  const price = v.channel === 'wholesale' ? v.wholesale_price : v.price;
+  return `<div class="label">
+    ${show.name ? `<div class="name">${esc(v.name)}</div>` : ''}
+    ${show.ref ? `<div class="ref">${esc(v.ref)}</div>` : ''}
+    ${show.variant ? `<div class="variant">${esc(v.color)} · ${esc(v.size)}${v.channel === 'wholesale' ? ' · WS' : ''}</div>` : ''}
+    ${show.price && price != null ? `<div class="price">$${Number(price).toFixed(2)}</div>` : ''}
+    ${show.barcode && v.barcode ? `<div class="barcode">${barcodes.renderSvg(v.barcode, { module: 2, height: 40 })}</div>` : ''}
+  </div>`;
+}
+
+// Print-ready HTML for the labels. Options: template (key of TEMPLATES,
+// default the label_template setting), skip (empty positions at the start
+// of the first sheet, for part-used sheets), hide (fields to leave out),
+// autoPrint.
+function renderSheet(db, labels, { template, skip = 0, hide = [], autoPrint = false } = {}) {
+  const t       = getTemplate(db, template);
+  const perPage = t.cols * t.rows;
+  const hidden  = [].concat(hide).flatMap(h => String(h).split(',')).map(h => h.trim()).filter(Boolean);
+  const bad     = hidden.filter(h => !FIELDS.includes(h));
+  if (bad.length) throw new LabelError(`Unknown label field: ${bad.join(', ')} (one of ${FIELDS.join(', ')})`);
+  const show = Object.fromEntries(FIELDS.map(f => [f, !hidden.includes(f)]));
+
+  const cells = Array(Math.min(Math.max(parseInt(skip) || 0, 0), perPage - 1)).fill('<div class="label empty"></div>');
+  for (const { variant, quantity } of labels) {
+    const html = labelHtml(variant, show);
+    for (let i = 0; i < quantity; i++) cells.push(html);
+  }
+  const pages = [];
+  for (let i = 0; i < cells.length; i += perPage) pages.push(`<div class="page">${cells.slice(i, i + perPage).join('')}</div>`);
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Labels — ${esc(t.name)}</title>
+<style>
+  @page { size: ${t.page.width}mm ${t.page.height}mm; margin: 0; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: 'DM Mono', 'Courier New', monospace; color: #000; }
+  .page {
+    width: ${t.page.width}mm; height: ${t.page.height}mm; overflow: hidden; page-break-after: always;
+    padding: ${t.margin.top}mm 0 0 ${t.margin.left}mm;
+    display: grid; grid-template-columns: repeat(${t.cols}, ${t.label.width}mm); grid-auto-rows: ${t.label.height}mm;
+    column-gap: ${t.gap.x}mm; row-gap: ${t.gap.y}mm; align-content: start;
+  }
+  .page:last-child { page-break-after: auto; }
+  .label { padding: 2mm 3mm; overflow: hidden; display: flex; flex-direction: column; justify-content: center; text-align: center; gap: 0.5mm; }
+  .name { font-size: 9pt; font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .ref, .variant { font-size: 7pt; }
+  .price { font-size: 11pt; font-weight: bold; }
+  .barcode svg { width: 100%; height: auto; max-height: ${Math.max(t.label.height * 0.45, 8)}mm; }
+  @media screen { body { background: #ddd; } .page { background: #fff; margin: 8mm auto; box-shadow: 0 1px 4px rgba(0,0,0,0.3); } .label { outline: 1px dashed #ccc; } }
+</style></head>
+<body>
+${pages.join('\n')}
+${autoPrint ? '<script>window.onload = () => window.print();</script>' : ''}
+</body></html>`;
+}
+
+const listTemplates = () => Object.entries(TEMPLATES).map(([key, t]) => ({ key, ...t }));
+
+module.exports = { TEMPLATES, FIELDS, LabelError, collectLabels, renderSheet, listTemplates };
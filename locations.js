@@ -0,0 +1,84 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// locations.js — Shops, workshops and warehouses
+// A location is identified by its code ('magaza', 'atölye'), which is what
+// transactions, shifts and variant_stock store. Locations are deactivated
+// rather than deleted so old transactions keep pointing at something.
+// Stock changes that name no location land at default_stock_location.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { getSetting } = require('./settings');
+
+const KINDS = ['shop', 'workshop', 'warehouse'];
+
+class LocationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'LocationError';
+    this.status = status;
+  }
+}
+
+function listLocations(db, { all = false } = {}) {
+  return db.all(`SELECT * FROM locations ${all ? '' : 'WHERE active = 1'} ORDER BY name`);
+}
+
+function getLocation(db, code) {
+  return db.get('SELECT * FROM locations WHERE code = ?', [code]);
+}
+
+// The location a request names, checked; undefined/'' means none
+function resolveLocation(db, code) {
+  if (code == null || code === '') return null;
+  const loc = getLocation(db, String(code));
+  if (!loc) throw new LocationError(`Unknown location "${code}"`, 404);
+  if (!loc.active) throw new LocationError(`Location "${code}" is no longer active`);
+  return loc;
+}
+
+// Where a stock change happens: the given location or the default one
+function stockLocation(db, code) {
+  return code || getSetting(db, 'default_stock_location');
+}
+
+function validateLocation(body, { partial = false } = {}) {
+  const out = {};
+  if (!partial) {
+    out.code = String(body.code || '').trim().toLowerCase();
+    if (!out.code) throw new LocationError('code is required');
+  }
+  if (!partial || body.name !== undefined) {
+    out.name = String(body.name || '').trim();
+    if (!out.name) throw new LocationError('name is required');
+  }
+  if (!partial || body.kind !== undefined) {
+    out.kind = body.kind || 'shop';
+    if (!KINDS.includes(out.kind)) throw new LocationError(`kind must be one of: ${KINDS.join(', ')}`);
+  }
+  if (body.active !== undefined) out.active = body.active ? 1 : 0;
+  return out;
+}
+
+function createLocation(db, body) {
+  const loc = validateLocation(body);
+  if (getLocation(db, loc.code)) throw new LocationError(`Location "${loc.code}" already exists`, 409);
+  db.run('INSERT INTO locations (code, name, kind, active) VALUES (?, ?, ?, ?)',
+    [loc.code, loc.name, loc.kind, loc.active ?? 1]);
+  return getLocation(db, loc.code);
+}
+
+function updateLocation(db, code, body) {
+  if (!getLocation(db, code)) throw new LocationError('Location not found', 404);
+  const changes = validateLocation(body, { partial: true });
+  if (changes.active === 0 && code === getSetting(db, 'default_stock_location'))
+    throw new LocationError('The default stock location cannot be deactivated');
+  const keys = Object.keys(changes);
+  if (keys.length)
+    db.run(`UPDATE locations SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE code = ?`, [...keys.map(k => changes[k]), code]);
+  return getLocation(db, code);
+}
+
+module.exports = {
+  KINDS, LocationError, listLocations, getLocation, resolveLocation, stockLocation, createLocation, updateLocation,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// numbering.js — Document numbers and internal transaction IDs
+// Every transaction (and stock transfer, wholesale order, delivery note…)
+// gets a human-readable number from a sequence per location, document type
+// and year: MAG-2026-000123 for a sale at the magaza, MAG-RET-2026-000004
+// for a return there. Numbers are allocated in the same database
+// transaction as the insert, so a rolled-back insert gives its number back
+// and the sequence stays gap-free.
+// The primary key (TXN-…, RET-…) is separate and is what rows link by.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Type part of the number; sales carry none
+const TYPE_CODES = {
+  sale:     '',
+  return:   'RET',
+  deposit:  'DEP',
+  in:       'IN',
+  out:      'OUT',
+  transfer: 'TRF',
+  order:    'ORD',
+  delivery: 'DN',
+  invoice:  'INV',
+};
+
+// 'magaza' → 'MAG', 'atölye' → 'ATO'; transactions with no location → 'GEN'
+function locationCode(location) {
+  const code = String(location || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/ı/g, 'i')
+    .toUpperCase().replace(/[^A-Z0-9]/g, '')
+    .slice(0, 3);
+  return code || 'GEN';
+}
+
+function prefixFor(type, location) {
+  const typeCode = TYPE_CODES[type] ?? String(type).toUpperCase();
+  return [locationCode(location), typeCode].filter(Boolean).join('-');
+}
+
+// Next number in a sequence. Call inside db.transaction() together with the
+// INSERT that uses it.
+function allocate(db, { type, location, date = new Date() }) {
+  const prefix = prefixFor(type, location);
+  const year   = date.getFullYear();
+  db.run(
+    `INSERT INTO document_sequences (prefix, year, last_number) VALUES (?, ?, 1)
+     ON CONFLICT(prefix, year) DO UPDATE SET last_number = last_number + 1`,
+    [prefix, year]
+  );
+  const { last_number } = db.get('SELECT last_number FROM document_sequences WHERE prefix = ? AND year = ?', [prefix, year]);
+  return `${prefix}-${year}-${String(last_number).padStart(6, '0')}`;
+}
+
+// Internal primary key, e.g. 'TXN-1760000000000'. Strictly increasing within
+// the process so two postings in the same millisecond don't collide.
+let _lastId = 0;
+function newId(prefix) {
+  _lastId = Math.max(Date.now(), _lastId + 1);
+  return `${prefix}-${_lastId}`;
+}
+
+// Number transactions saved before numbering existed, oldest first, in the
+// year they were made. Returns how many were numbered.
+function backfillNumbers(db) {
+  const rows = db.all(`
+    SELECT id, type, location, created_at FROM transactions
+    WHERE doc_number IS NULL
+    ORDER BY created_at, rowid
+  `);
+  if (!rows.length) return 0;
+  db.transaction(() => {
+    for (const r of rows) {
+      const date = r.created_at ? new Date(String(r.created_at).replace(' ', 'T') + 'Z') : new Date();
+      db.run('UPDATE transactions SET doc_number = ? WHERE id = ?',
+        [allocate(db, { type: r.type, location: r.location, date: isNaN(date) ? new Date() : date }), r.id]);
+    }
+  })();
+  return rows.length;
+}
+
+module.exports = { TYPE_CODES, locationCode, allocate, newId, backfillNumbers };
@@ -0,0 +1,348 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// payments.js — Structured multi-currency payments
+// One transaction_payments row per method/currency tender, with the rate to
+// the base currency at the time of payment (base units per 1 unit of
+// currency). transactions.total is always in BASE_CURRENCY;
+// transactions.payment_method is kept only as a human-readable summary.
+// The methods a tender may use are configured in payment_methods: the
+// currencies each takes, whether it goes into the cash drawer, whether it
+// can be overpaid to give change, and the card terminal it runs on.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const BASE_CURRENCY = 'USD';
+
+// Direction of money in transaction_payments (SQL, transactions aliased t):
+// sales, deposits and money-in come into the till, money-out and refunds leave it.
+const TENDER_SIGN = `(CASE WHEN t.type IN ('sale', 'deposit', 'in') THEN 1 WHEN t.type IN ('out', 'return') THEN -1 ELSE 0 END)`;
+
+// Tenders of these methods go into the cash drawer (SQL subquery)
+const DRAWER_METHODS_SQL = '(SELECT code FROM payment_methods WHERE in_drawer = 1)';
+
+// Methods the server itself books: cash for entries without one, store
+// credit for refunds kept in the shop (credits.js). They cannot be deleted.
+const BUILT_IN_METHODS = ['cash', 'store_credit'];
+
+class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'PaymentError';
+    this.status = status;
+  }
+}
+
+// Split a legacy payment_method string into { method, currency, amount } entries.
+// "cash (USD 100.00), card (EUR 50.00)" → two entries; the manual-entry form
+// "cash (USD 10.00) (EUR 5.00)" → two cash entries. Strings with no amounts
+// ("cash", null) count the whole total as base currency, like the POS did.
+function parsePaymentString(paymentMethod, total) {
+  const entries = [];
+  for (const chunk of (paymentMethod || '').split(',')) {
+    const method = chunk.split('(')[0].trim() || 'other';
+    for (const m of chunk.matchAll(/\(([A-Z]{3})\s+([\d.]+)\)/g)) {
+      entries.push({ method, currency: m[1], amount: parseFloat(m[2]) || 0 });
+    }
+  }
+  if (entries.length) return entries;
+  const method = (paymentMethod || '').trim() || 'cash';
+  return [{ method, currency: BASE_CURRENCY, amount: parseFloat(total) || 0 }];
+}
+
+function formatPaymentEntries(entries) {
+  return entries
+    .filter(e => e.amount > 0)
+    .map(e => `${e.method} (${e.currency} ${Number(e.amount).toFixed(2)})`)
+    .join(', ') || null;
+}
+
+// Value of one entry in base currency; null when its rate is unknown
+// (legacy foreign-currency rows migrated without a rate).
+function baseAmount(e) {
+  if (e.currency === BASE_CURRENCY) return e.amount;
+  return e.rate ? e.amount * e.rate : null;
+}
+
+function totalInBase(entries) {
+  return Math.round(entries.reduce((s, e) => s + (baseAmount(e) || 0), 0) * 100) / 100;
+}
+
+// Validate payment entries from a request body. Accepts the structured
+// `payments: [{ method, currency, amount, rate }]` array, or falls back to a
+// legacy `paymentMethod` string for older clients; with neither, a given
+// `total` is taken as paid in cash in base currency. Foreign currencies need
+// a rate — sent by the client, or from `defaultRate(currency)` (today's
+// stored rate); zero amounts are dropped.
+function normalizePayments({ payments, paymentMethod, total } = {}, defaultRate = () => null) {
+  let entries;
+  if (Array.isArray(payments)) {
+    entries = payments.map(p => ({
+      method:   String(p.method || 'cash').trim().toLowerCase(),
+      currency: String(p.currency || BASE_CURRENCY).trim().toUpperCase(),
+      amount:   parseFloat(p.amount),
+      rate:     p.rate == null || p.rate === '' ? null : parseFloat(p.rate),
+      // The credit or gift card a store_credit payment is taken from (credits.js)
+      ...(p.code && { code: String(p.code).trim().toUpperCase() }),
+    }));
+  } else if (paymentMethod || total != null) {
+    entries = parsePaymentString(paymentMethod, total).map(e => ({ ...e, rate: null }));
+  } else {
+    return null;
+  }
+
+  for (const e of entries) {
+    if (!/^[A-Z]{3}$/.test(e.currency)) throw new PaymentError(`Invalid currency "${e.currency}"`);
+    if (!Number.isFinite(e.amount) || e.amount < 0) throw new PaymentError(`Invalid ${e.currency} amount`);
+    if (e.currency === BASE_CURRENCY) e.rate = 1;
+    if (!(e.rate > 0)) e.rate = defaultRate(e.currency);
+    if (!(e.rate > 0)) throw new PaymentError(`Exchange rate required for ${e.currency}`);
+  }
+  return entries.filter(e => e.amount > 0);
+}
+
+// ── PAYMENT METHODS ───────────────────────────────────────────────────────────
+
+const parseMethod = row => row && {
+  ...row,
+  currencies:   row.currencies ? row.currencies.split(',') : null,
+  in_drawer:    Boolean(row.in_drawer),
+  gives_change: Boolean(row.gives_change),
+  active:       Boolean(row.active),
+};
+
+// Active methods in till order; `all` includes switched-off ones
+function listMethods(db, { all = false } = {}) {
+  return db.all(`SELECT * FROM payment_methods ${all ? '' : 'WHERE active = 1'} ORDER BY sort_order, code`).map(parseMethod);
+}
+
+const getMethod = (db, code) => parseMethod(db.get('SELECT * FROM payment_methods WHERE code = ?', [String(code ?? '').trim().toLowerCase()]));
+
+const flag = (v, fallback) => (v === undefined ? fallback : v === true || v === 1 || v === 'true' || v === '1');
+
+// Body { code, name, currencies: ['USD', …] | 'USD,EUR' | null, inDrawer,
+// givesChange, terminalRef, active, sortOrder } merged over the current
+// method → the row to save
+function validateMethod(body, current = {}) {
+  const pick = (key, column) => (body[key] !== undefined ? body[key] : current[column]);
+  const raw  = pick('currencies', 'currencies');
+  const list = (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+    .map(c => String(c).trim().toUpperCase()).filter(Boolean);
+  const row = {
+    code:         current.code ?? String(body.code ?? '').trim().toLowerCase(),
+    name:         String(pick('name', 'name') ?? '').trim(),
+    currencies:   list.length ? [...new Set(list)].join(',') : null,
+    in_drawer:    flag(body.inDrawer, current.in_drawer) ? 1 : 0,
+    gives_change: flag(body.givesChange, current.gives_change) ? 1 : 0,
+    terminal_ref: String(pick('terminalRef', 'terminal_ref') ?? '').trim() || null,
+    active:       flag(body.active, current.active ?? true) ? 1 : 0,
+    sort_order:   parseInt(pick('sortOrder', 'sort_order')) || 0,
+  };
+  if (!/^[a-z][a-z0-9_]*$/.test(row.code)) throw new PaymentError('code must be lowercase letters, digits or _ (e.g. "card_pos2")');
+  if (!row.name) throw new PaymentError('name is required');
+  for (const c of list) if (!/^[A-Z]{3}$/.test(c)) throw new PaymentError(`Invalid currency "${c}"`);
+  if (row.code === 'store_credit' && (row.in_drawer || row.gives_change))
+    throw new PaymentError('Store credit is not money: it cannot count as drawer cash or give change');
+  return row;
+}
+
+const METHOD_COLUMNS = ['name', 'currencies', 'in_drawer', 'gives_change', 'terminal_ref', 'active', 'sort_order'];
+
+function createMethod(db, body, username) {
+  const row = validateMethod(body);
+  if (getMethod(db, row.code)) throw new PaymentError(`Payment method "${row.code}" already exists`, 409);
+  db.run(
+    `INSERT INTO payment_methods (code, ${METHOD_COLUMNS.join(', ')}, updated_by) VALUES (?, ${METHOD_COLUMNS.map(() => '?').join(', ')}, ?)`,
+    [row.code, ...METHOD_COLUMNS.map(c => row[c]), username || null]
+  );
+  return getMethod(db, row.code);
+}
+
+function updateMethod(db, code, body, username) {
+  const current = db.get('SELECT * FROM payment_methods WHERE code = ?', [String(code ?? '').trim().toLowerCase()]);
+  if (!current) throw new PaymentError('Payment method not found', 404);
+  const row = validateMethod(body, current);
+  db.run(
+    `UPDATE payment_methods SET ${METHOD_COLUMNS.map(c => `${c} = ?`).join(', ')}, updated_by = ?, updated_at = datetime('now') WHERE code = ?`,
+    [...METHOD_COLUMNS.map(c => row[c]), username || null, current.code]
+  );
+  return getMethod(db, current.code);
+}
+
+// Methods that were tendered stay on file for reports; switch them off with
+// active: false instead
+function deleteMethod(db, code) {
+  const current = getMethod(db, code);
+  if (!current) throw new PaymentError('Payment method not found', 404);
+  if (BUILT_IN_METHODS.includes(current.code)) throw new PaymentError(`${current.name} is built in — deactivate it instead`, 409);
+  if (db.get('SELECT 1 FROM transaction_payments WHERE method = ? LIMIT 1', [current.code]))
+    throw new PaymentError(`${current.name} was used in payments — deactivate it instead`, 409);
+  db.run('DELETE FROM payment_methods WHERE code = ?', [current.code]);
+  return current;
+}
+
+// Check normalized tenders against the configured methods: known, active,
+// in a currency the method takes. With `total` (what is due), paying more
+// is only allowed by as much as the change-giving tenders can hand back;
+// that change is added as a negative base-currency entry of the method that
+// gave it, so the entries sum to what was kept (and the drawer counts net).
+// With `requireFull` (a sale booked to no customer account) paying less than
+// `total` is refused too. Returns the entries (null stays null).
+function checkTenders(db, entries, { total, requireFull = false } = {}) {
+  if (!entries) return entries;
+  const methods = {};
+  db.all('SELECT * FROM payment_methods').forEach(m => { methods[m.code] = parseMethod(m); });
+  for (const e of entries) {
+    e.method = e.method.toLowerCase();
+    const m  = methods[e.method];
+    if (!m) throw new PaymentError(`Unknown payment method "${e.method}"`);
+    if (!m.active) throw new PaymentError(`${m.name} is no longer accepted`);
+    if (m.currencies && !m.currencies.includes(e.currency))
+      throw new PaymentError(`${m.name} is taken in ${m.currencies.join(', ')} only, not ${e.currency}`);
+  }
+  if (total != null) {
+    const over = totalInBase(entries) - total;
+    const change = totalInBase(entries.filter(e => methods[e.method].gives_change));
+    if (requireFull && over < -0.005)
+      throw new PaymentError(`Payments are ${(-over).toFixed(2)} ${BASE_CURRENCY} short of the ${Number(total).toFixed(2)} due — choose a customer to put the rest on account`);
+    if (over > 0.005 && over > change + 0.005)
+      throw new PaymentError(`Payments are ${over.toFixed(2)} ${BASE_CURRENCY} more than the ${Number(total).toFixed(2)} due, and only ${change.toFixed(2)} of them can give change`);
+    if (over > 0.005) {
+      const givers = entries.filter(e => methods[e.method].gives_change);
+      const giver  = givers.find(e => e.currency === BASE_CURRENCY) || givers[0];
+      entries.push({ method: giver.method, currency: BASE_CURRENCY, amount: -Math.round(over * 100) / 100, rate: 1 });
+    }
+  }
+  return entries;
+}
+
+// Replace a transaction's payment rows. Returns the base-currency total paid.
+function savePayments(db, transactionId, entries) {
+  db.run('DELETE FROM transaction_payments WHERE transaction_id = ?', [transactionId]);
+  for (const e of entries) {
+    db.run(
+      'INSERT INTO transaction_payments (transaction_id, method, currency, amount, rate, code) VALUES (?, ?, ?, ?, ?, ?)',
+      [transactionId, e.method, e.currency, e.amount, e.rate ?? null, e.code ?? null]
+    );
+  }
+  db.run('UPDATE transactions SET payment_method = ? WHERE id = ?', [formatPaymentEntries(entries), transactionId]);
+  return totalInBase(entries);
+}
+
+// What goes back when `share` (0–1) of a sale is returned, from its payment
+// rows (change entries included): per method, currency and rate, and never
+// worth more than `cap` in base currency
+function refundShare(rows, share, cap) {
+  const byTender = {};
+  for (const r of rows) {
+    const t = byTender[`${r.method}|${r.currency}|${r.rate}`] ??= { method: r.method, currency: r.currency, rate: r.rate, amount: 0 };
+    t.amount += r.amount * share;
+  }
+  const entries = Object.values(byTender).filter(e => e.amount > 0.005);
+  const worth   = totalInBase(entries);
+  const scale   = worth > cap ? cap / worth : 1;
+  return entries.map(e => ({ ...e, amount: Math.round(e.amount * scale * 100) / 100 }));
+}
+
+// { transaction_id: [payment rows] } for the given ids (all when ids is omitted)
+function paymentsByTxn(db, ids) {
+  if (ids && !ids.length) return {};
+  const rows = ids
+    ? db.all(`SELECT * FROM transaction_payments WHERE transaction_id IN (${ids.map(() => '?').join(',')}) ORDER BY id`, ids)
+    : db.all('SELECT * FROM transaction_payments ORDER BY id');
+  const out = {};
+  rows.forEach(r => (out[r.transaction_id] ??= []).push(r));
+  return out;
+}
+
+// One-off backfill: turn payment_method strings of transactions that have
+// no payment rows yet into rows. The old strings carried no rates, so
+// foreign-currency rows get a NULL rate until rates.backfillLegacyRates
+// finds one. Reserved sales are not paid yet.
+// Runs once per database (marked in settings): afterwards a sale with no
+// payment rows is one charged in full to a customer account.
+const MIGRATED_KEY = 'legacy_payments_migrated';
+
+function migrateLegacyPayments(db) {
+  if (db.get('SELECT 1 AS done FROM settings WHERE key = ?', [MIGRATED_KEY])) return 0;
+  const txns = db.all(`
+    SELECT t.id, t.total, t.payment_method FROM transactions t
+    WHERE COALESCE(t.status, 'completed') != 'reserved'
+      AND NOT EXISTS (SELECT 1 FROM transaction_payments p WHERE p.transaction_id = t.id)
+  `);
+  let migrated = 0;
+  db.transaction(() => {
+    for (const t of txns) {
+      const entries = parsePaymentString(t.payment_method, t.total).filter(e => e.amount > 0);
+      if (entries.length) migrated++;
+      for (const e of entries) {
+        db.run(
+          'INSERT INTO transaction_payments (transaction_id, method, currency, amount, rate) VALUES (?, ?, ?, ?, ?)',
+          [t.id, e.method, e.currency, e.amount, e.currency === BASE_CURRENCY ? 1 : null]
+        );
+      }
+    }
+    db.run("INSERT INTO settings (key, value, updated_at) VALUES (?, '1', datetime('now'))", [MIGRATED_KEY]);
+  })();
+  return migrated;
+}
+
+// One-off backfill: sales saved before change was booked (checkTenders)
+// kept the whole amount tendered. Each overpaid one gets its negative change
+// entry on its change-giving tender, so past drawers count what was kept.
+// Runs once per database; returns how many sales were corrected.
+const CHANGE_KEY = 'payment_change_backfilled';
+
+function backfillChange(db) {
+  if (db.get('SELECT 1 AS done FROM settings WHERE key = ?', [CHANGE_KEY])) return 0;
+  // What each sale's own payments were due: its total less its deposits
+  const sales = db.all(`
+    SELECT t.id, t.total - COALESCE((
+      SELECT SUM(CASE d.type WHEN 'deposit' THEN d.total ELSE -d.total END) FROM transactions d
+      WHERE d.original_id = t.id AND d.type IN ('deposit', 'out') AND (d.status = 'completed' OR d.status IS NULL)
+    ), 0) AS due
+    FROM transactions t
+    WHERE t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+      AND NOT EXISTS (SELECT 1 FROM transaction_payments p WHERE p.transaction_id = t.id AND p.amount < 0)
+  `);
+  const givers = new Set(db.all('SELECT code FROM payment_methods WHERE gives_change = 1').map(m => m.code));
+  let fixed = 0;
+  db.transaction(() => {
+    for (const sale of sales) {
+      const rows  = db.all('SELECT * FROM transaction_payments WHERE transaction_id = ? ORDER BY id', [sale.id]);
+      const over  = Math.round((totalInBase(rows) - Math.max(sale.due, 0)) * 100) / 100;
+      const giver = rows.find(r => givers.has(r.method) && r.currency === BASE_CURRENCY) || rows.find(r => givers.has(r.method));
+      if (!(over > 0.005) || !giver) continue;
+      db.run(
+        'INSERT INTO transaction_payments (transaction_id, method, currency, amount, rate) VALUES (?, ?, ?, ?, 1)',
+        [sale.id, giver.method, BASE_CURRENCY, -over]
+      );
+      fixed++;
+    }
+    db.run("INSERT INTO settings (key, value, updated_at) VALUES (?, '1', datetime('now'))", [CHANGE_KEY]);
+  })();
+  return fixed;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  TENDER_SIGN,
+  DRAWER_METHODS_SQL,
+  BUILT_IN_METHODS,
+  PaymentError,
+  parsePaymentString,
+  formatPaymentEntries,
+  baseAmount,
+  totalInBase,
+  normalizePayments,
+  listMethods,
+  getMethod,
+  createMethod,
+  updateMethod,
+  deleteMethod,
+  checkTenders,
+  savePayments,
+  refundShare,
+  paymentsByTxn,
+  migrateLegacyPayments,
+  backfillChange,
+};
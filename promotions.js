@@ -0,0 +1,376 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// promotions.js — Discounts and automatic promotions
+// A sale line keeps its list price and what was taken off it; unit_price is
+// what was charged per unit after discounts, so returns, VAT and revenue
+// work from it as before. Discounts come in this order:
+//   1. promotions   admin rules applied at checkout, at most one per line
+//                   (whichever gives the most off)
+//   2. line         a cashier's discount on one line, or a price typed in
+//                   below the list price (reason 'price_override')
+//   3. cart         a discount on the whole sale, shared out over its lines
+//                   in proportion to what is left of each
+// Every discount is a transaction_discounts row with its reason, so
+// analytics can tell how much was given away and why.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const vat = require('./vat');
+
+const RULE_TYPES = ['percent_off', 'buy_x_get_y', 'bundle_price'];
+
+// Why a cashier gave a discount. Promotions are recorded as 'promotion'.
+const DISCOUNT_REASONS = ['loyalty', 'staff', 'damaged', 'price_match', 'manager', 'price_override'];
+
+class DiscountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'DiscountError';
+    this.status = status;
+  }
+}
+
+const round = n => Math.round(n * 100) / 100;
+const sum   = values => round(values.reduce((s, v) => s + v, 0));
+const DATE  = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── PROMOTION RULES ───────────────────────────────────────────────────────────
+
+function listPromotions(db, { active } = {}) {
+  return db.all(`
+    SELECT pr.*, p.name AS product_name FROM promotions pr
+    LEFT JOIN products p ON p.id = pr.product_id
+    ${active ? "WHERE pr.active = 1 AND (pr.starts_at IS NULL OR pr.starts_at <= date('now')) AND (pr.ends_at IS NULL OR pr.ends_at >= date('now'))" : ''}
+    ORDER BY pr.active DESC, pr.starts_at IS NULL, pr.starts_at DESC, pr.id DESC
+  `);
+}
+
+const getPromotion = (db, id) => db.get('SELECT * FROM promotions WHERE id = ?', [id]);
+
+const text     = v => (v == null || String(v).trim() === '' ? null : String(v).trim());
+const positive = (v, field) => {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) throw new DiscountError(`${field} must be a whole number of at least 1`);
+  return n;
+};
+
+// Body (camelCase) merged over the current rule → the row to save
+function validatePromotion(db, body, current = {}) {
+  const pick = (key, column) => (body[key] !== undefined ? body[key] : current[column]);
+  const row = {
+    name:         text(pick('name', 'name')),
+    type:         text(pick('type', 'type')),
+    season:       text(pick('season', 'season')),
+    category:     text(pick('category', 'category'))?.toLowerCase() ?? null,
+    product_id:   pick('productId', 'product_id') || null,
+    channel:      text(pick('channel', 'channel')),
+    percent:      null, buy_qty: null, get_qty: null, bundle_qty: null, bundle_price: null,
+    starts_at:    text(pick('startsAt', 'starts_at')),
+    ends_at:      text(pick('endsAt', 'ends_at')),
+    active:       pick('active', 'active') === false || pick('active', 'active') === 0 ? 0 : 1,
+  };
+  if (!row.name) throw new DiscountError('name is required');
+  if (!RULE_TYPES.includes(row.type)) throw new DiscountError(`type must be one of ${RULE_TYPES.join(', ')}`);
+  if (row.channel && !['single', 'wholesale'].includes(row.channel)) throw new DiscountError('channel must be single or wholesale');
+  if (row.product_id && !db.get('SELECT id FROM products WHERE id = ?', [row.product_id]))
+    throw new DiscountError('Product not found', 404);
+  for (const d of ['starts_at', 'ends_at'])
+    if (row[d] && !DATE.test(row[d])) throw new DiscountError('startsAt and endsAt must be YYYY-MM-DD');
+  if (row.starts_at && row.ends_at && row.ends_at < row.starts_at) throw new DiscountError('endsAt is before startsAt');
+
+  if (row.type === 'percent_off') {
+    row.percent = Number(pick('percent', 'percent'));
+    if (!(row.percent > 0 && row.percent <= 100)) throw new DiscountError('percent must be more than 0 and at most 100');
+  } else if (row.type === 'buy_x_get_y') {
+    row.buy_qty = positive(pick('buyQty', 'buy_qty'), 'buyQty');
+    row.get_qty = positive(pick('getQty', 'get_qty'), 'getQty');
+  } else {
+    row.bundle_qty   = positive(pick('bundleQty', 'bundle_qty'), 'bundleQty');
+    row.bundle_price = Number(pick('bundlePrice', 'bundle_price'));
+    if (!(row.bundle_price >= 0)) throw new DiscountError('bundlePrice must be 0 or more');
+  }
+  return row;
+}
+
+const COLUMNS = ['name', 'type', 'season', 'category', 'product_id', 'channel', 'percent', 'buy_qty', 'get_qty',
+  'bundle_qty', 'bundle_price', 'starts_at', 'ends_at', 'active'];
+
+function createPromotion(db, body, username) {
+  const row = validatePromotion(db, body);
+  const { lastInsertRowid } = db.run(
+    `INSERT INTO promotions (${COLUMNS.join(', ')}, created_by) VALUES (${COLUMNS.map(() => '?').join(', ')}, ?)`,
+    [...COLUMNS.map(c => row[c]), username || null]
+  );
+  return getPromotion(db, lastInsertRowid);
+}
+
+function updatePromotion(db, id, body) {
+  const current = getPromotion(db, id);
+  if (!current) throw new DiscountError('Promotion not found', 404);
+  const row = validatePromotion(db, body, current);
+  db.run(
+    `UPDATE promotions SET ${COLUMNS.map(c => `${c} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`,
+    [...COLUMNS.map(c => row[c]), id]
+  );
+  return getPromotion(db, id);
+}
+
+// Rules that were used stay on file for the discount report; switch them
+// off with active: false instead
+function deletePromotion(db, id) {
+  const current = getPromotion(db, id);
+  if (!current) throw new DiscountError('Promotion not found', 404);
+  if (db.get('SELECT 1 FROM transaction_discounts WHERE promotion_id = ? LIMIT 1', [id]))
+    throw new DiscountError('This promotion was applied to sales — deactivate it instead', 409);
+  db.run('DELETE FROM promotions WHERE id = ?', [id]);
+  return current;
+}
+
+// ── PRICING A CART ────────────────────────────────────────────────────────────
+
+const lower = v => String(v ?? '').trim().toLowerCase();
+
+const inScope = (promo, line) =>
+  (!promo.season     || lower(promo.season) === lower(line.product.season)) &&
+  (!promo.category   || promo.category === lower(line.product.category)) &&
+  (!promo.product_id || promo.product_id === line.product.id) &&
+  (!promo.channel    || promo.channel === line.channel);
+
+// line → amount off, were the promotion applied to these lines
+function promotionDiscounts(promo, lines) {
+  const eligible = lines.filter(l => inScope(promo, l));
+  const off = new Map();
+  const add = (line, amount) => off.set(line, (off.get(line) || 0) + amount);
+
+  if (promo.type === 'percent_off') {
+    eligible.forEach(l => add(l, l.amount * promo.percent / 100));
+  } else {
+    // One entry per unit, dearest first: the cheapest units of each group go free
+    const units = eligible.flatMap(l => Array(l.quantity).fill(l)).sort((a, b) => b.list_price - a.list_price);
+    const size  = promo.type === 'buy_x_get_y' ? promo.buy_qty + promo.get_qty : promo.bundle_qty;
+    for (let i = 0; i + size <= units.length; i += size) {
+      const group = units.slice(i, i + size);
+      if (promo.type === 'buy_x_get_y') {
+        group.slice(promo.buy_qty).forEach(l => add(l, l.list_price));
+      } else {
+        const value = group.reduce((s, l) => s + l.list_price, 0);
+        if (value > promo.bundle_price) group.forEach(l => add(l, (value - promo.bundle_price) * l.list_price / value));
+      }
+    }
+  }
+  for (const [line, amount] of off) off.set(line, Math.min(round(amount), line.amount));
+  return { eligible, off };
+}
+
+// Body { type: 'percent'|'amount', value, reason } → checked, or null for none
+function validateDiscount(raw, what) {
+  if (raw == null || raw === '' || !Number(raw.value)) return null;
+  if (!['percent', 'amount'].includes(raw.type)) throw new DiscountError(`${what} discount type must be percent or amount`);
+  const value = Number(raw.value);
+  if (!(value > 0) || (raw.type === 'percent' && value > 100))
+    throw new DiscountError(`${what} discount must be a positive ${raw.type === 'percent' ? 'percentage up to 100' : 'amount'}`);
+  return { type: raw.type, value, reason: validateReason(raw.reason, what) };
+}
+
+function validateReason(raw, what = 'A') {
+  const reason = lower(raw);
+  if (!DISCOUNT_REASONS.includes(reason))
+    throw new DiscountError(`${what} discount needs a reason: one of ${DISCOUNT_REASONS.join(', ')}`);
+  return reason;
+}
+
+const remaining = line => round(line.amount - sum(line.discounts.map(d => d.amount)));
+
+function addDiscount(line, discount) {
+  const amount = Math.min(round(discount.amount), remaining(line));
+  if (amount > 0) line.discounts.push({ ...discount, amount });
+}
+
+function takeOff(line, { type, value }) {
+  return type === 'percent' ? remaining(line) * value / 100 : value;
+}
+
+// Price sale lines [{ productId, color, size, channel, quantity, unitPrice,
+// discount? }] with an optional cart `discount`. unitPrice is the price
+// before discounts (default: the catalogue price for the channel); below
+// the catalogue price it counts as a 'price_override' line discount and the
+// line takes no promotion. Returns { lines, subtotal, discount, total,
+// gross }: total before VAT added on top, gross with it. Nothing is saved.
+function priceCart(db, items, { discount, applyPromotions = true } = {}) {
+  const lines = items.map(item => {
+    const product = db.get('SELECT id, name, price, wholesale_price, season, category FROM products WHERE id = ?', [item.productId]);
+    if (!product) throw new DiscountError(`Product ${item.productId} not found`, 404);
+    const channel  = item.channel || 'single';
+    const quantity = parseInt(item.quantity) || 0;
+    if (quantity < 1) throw new DiscountError(`Quantity of ${product.name} must be at least 1`);
+    const catalogue = channel === 'wholesale' ? product.wholesale_price : product.price;
+    const price     = item.unitPrice == null || item.unitPrice === '' ? catalogue ?? 0 : Number(item.unitPrice);
+    if (!Number.isFinite(price) || price < 0) throw new DiscountError(`Price of ${product.name} must be 0 or more`);
+
+    const list = catalogue != null && catalogue > price ? catalogue : price;
+    const line = { item, product, channel, quantity, list_price: list, amount: round(list * quantity), discounts: [] };
+    line.overridden = price < list;
+    if (line.overridden)
+      addDiscount(line, { kind: 'line', reason: item.discount?.reason ? validateReason(item.discount.reason, 'A price override') : 'price_override', amount: (list - price) * quantity });
+    line.manual = line.overridden ? null : validateDiscount(item.discount, 'Line');
+    return line;
+  });
+
+  // 1. Promotions: repeatedly take the rule worth the most over the lines
+  // no rule has claimed yet
+  if (applyPromotions) {
+    let open = lines.filter(l => !l.overridden);
+    let rules = listPromotions(db, { active: true });
+    while (open.length && rules.length) {
+      let best = null;
+      for (const promo of rules) {
+        const result = promotionDiscounts(promo, open);
+        const value  = sum([...result.off.values()]);
+        if (value > 0 && (!best || value > best.value)) best = { promo, value, ...result };
+      }
+      if (!best) break;
+      for (const [line, amount] of best.off)
+        addDiscount(line, { kind: 'promotion', reason: 'promotion', promotion_id: best.promo.id, name: best.promo.name, amount });
+      open  = open.filter(l => !best.eligible.includes(l));
+      rules = rules.filter(r => r !== best.promo);
+    }
+  }
+
+  // 2. Line discounts
+  for (const line of lines)
+    if (line.manual) addDiscount(line, { kind: 'line', reason: line.manual.reason, amount: takeOff(line, line.manual) });
+
+  // 3. Cart discount, shared in proportion to what each line still costs;
+  // the last line takes the rounding
+  const cart = validateDiscount(discount, 'Cart');
+  const base = sum(lines.map(remaining));
+  if (cart && base > 0) {
+    const total = Math.min(round(cart.type === 'percent' ? base * cart.value / 100 : cart.value), base);
+    let left    = total;
+    lines.forEach((line, i) => {
+      const share = i === lines.length - 1 ? left : Math.min(round(total * remaining(line) / base), left);
+      addDiscount(line, { kind: 'cart', reason: cart.reason, amount: share });
+      left = round(left - share);
+    });
+  }
+
+  const priced = lines.map(line => {
+    const discount_amount = sum(line.discounts.map(d => d.amount));
+    const unit_price      = (line.amount - discount_amount) / line.quantity;
+    const { gross } = vat.lineAmounts({
+      quantity: line.quantity, unit_price,
+      vat_rate: vat.rateForProduct(db, line.product.id), vat_inclusive: vat.pricesIncludeVat(line.channel),
+    });
+    return {
+      productId: line.product.id, name: line.product.name, color: line.item.color || null, size: line.item.size || null,
+      channel: line.channel, quantity: line.quantity, list_price: line.list_price, unit_price,
+      discount_amount, discounts: line.discounts, total: round(line.amount - discount_amount), gross,
+    };
+  });
+  const subtotal = sum(lines.map(l => l.amount));
+  const off      = sum(priced.map(l => l.discount_amount));
+  return { lines: priced, subtotal, discount: off, total: round(subtotal - off), gross: sum(priced.map(l => l.gross)) };
+}
+
+// Record a priced line's discounts against the transaction_items row
+function saveDiscounts(db, transactionId, itemId, discounts) {
+  for (const d of discounts)
+    db.run(
+      'INSERT INTO transaction_discounts (transaction_id, item_id, kind, reason, promotion_id, amount) VALUES (?, ?, ?, ?, ?, ?)',
+      [transactionId, itemId, d.kind, d.reason, d.promotion_id ?? null, d.amount]
+    );
+}
+
+// A sale line edited to quantity × unitPrice (edit, finalize). At the same
+// price its discounts scale with the quantity; at a new price they are
+// replaced by one line discount down from the list price, for `reason`
+// (default 'price_override').
+function repriceLine(db, item, quantity, unitPrice, reason) {
+  const list = item.list_price ?? item.unit_price;
+  if (Math.abs(unitPrice - item.unit_price) < 0.005) {
+    unitPrice = item.unit_price;
+    if (quantity !== item.quantity)
+      db.run('UPDATE transaction_discounts SET amount = ROUND(amount * ?, 2) WHERE item_id = ?', [quantity / item.quantity, item.id]);
+  } else {
+    db.run('DELETE FROM transaction_discounts WHERE item_id = ?', [item.id]);
+    if (unitPrice < list)
+      saveDiscounts(db, item.transaction_id, item.id, [{
+        kind: 'line', reason: reason ? validateReason(reason) : 'price_override', amount: round((list - unitPrice) * quantity),
+      }]);
+  }
+  const discount = db.get('SELECT COALESCE(SUM(amount), 0) AS total FROM transaction_discounts WHERE item_id = ?', [item.id]).total;
+  db.run(
+    'UPDATE transaction_items SET quantity = ?, unit_price = ?, list_price = ?, discount_amount = ? WHERE id = ?',
+    [quantity, unitPrice, Math.max(list, unitPrice), round(discount), item.id]
+  );
+}
+
+// ── REPORT ────────────────────────────────────────────────────────────────────
+
+// Discounts given on completed sales less the share returned, for days
+// `from`–`to` (YYYY-MM-DD, both inclusive), in base currency. `ex_vat` is
+// the margin given away: the discount without the VAT it would have carried.
+function discountReport(db, { from, to, location } = {}) {
+  const where = `(t.status = 'completed' OR t.status IS NULL)
+    AND (? IS NULL OR date(t.created_at) >= ?) AND (? IS NULL OR date(t.created_at) <= ?)
+    AND (? IS NULL OR t.location = ?)`;
+  const params  = [from || null, from || null, to || null, to || null, location || null, location || null];
+  const exVat   = alias => `CASE WHEN ${alias}.vat_inclusive = 0 THEN 1 ELSE 1 / (1 + COALESCE(${alias}.vat_rate, 0) / 100.0) END`;
+
+  const given = `
+    WITH given AS (
+      SELECT d.kind, d.reason, d.promotion_id, ti.product_id, d.amount AS amount, d.amount * ${exVat('ti')} AS ex_vat
+      FROM transaction_discounts d
+      JOIN transaction_items ti ON ti.id = d.item_id
+      JOIN transactions t ON t.id = d.transaction_id
+      WHERE t.type = 'sale' AND ${where}
+      UNION ALL
+      SELECT d.kind, d.reason, d.promotion_id, o.product_id, -d.amount * r.quantity / o.quantity, -d.amount * r.quantity / o.quantity * ${exVat('o')}
+      FROM transaction_items r
+      JOIN transactions t ON t.id = r.transaction_id
+      JOIN transaction_items o ON o.id = r.original_item_id
+      JOIN transaction_discounts d ON d.item_id = o.id
+      WHERE t.type = 'return' AND ${where}
+    )`;
+  const group = (select, by) => db.all(`
+    ${given}
+    SELECT ${select}, ROUND(SUM(g.amount), 2) AS amount, ROUND(SUM(g.ex_vat), 2) AS ex_vat
+    FROM given g LEFT JOIN products p ON p.id = g.product_id LEFT JOIN promotions pr ON pr.id = g.promotion_id
+    GROUP BY ${by} HAVING ROUND(SUM(g.amount), 2) != 0 ORDER BY amount DESC
+  `, [...params, ...params]);
+
+  // What the goods would have fetched at list price, and what they did
+  const value = db.get(`
+    SELECT ROUND(SUM(sign * COALESCE(list_price, unit_price) * quantity), 2) AS list_value,
+           ROUND(SUM(sign * unit_price * quantity), 2) AS revenue
+    FROM (
+      SELECT 1 AS sign, ti.list_price, ti.unit_price, ti.quantity FROM transaction_items ti
+      JOIN transactions t ON t.id = ti.transaction_id WHERE t.type = 'sale' AND ${where}
+      UNION ALL
+      SELECT -1, o.list_price, r.unit_price, r.quantity FROM transaction_items r
+      JOIN transactions t ON t.id = r.transaction_id
+      LEFT JOIN transaction_items o ON o.id = r.original_item_id WHERE t.type = 'return' AND ${where}
+    )
+  `, [...params, ...params]);
+
+  const by_reason    = group('g.kind, g.reason', 'g.kind, g.reason');
+  const by_promotion = group('g.promotion_id, pr.name', 'g.promotion_id').filter(r => r.promotion_id != null);
+  const by_category  = group("COALESCE(p.category, '—') AS category", 'p.category');
+  const amount  = sum(by_reason.map(r => r.amount));
+  const ex_vat  = sum(by_reason.map(r => r.ex_vat));
+  const list    = value?.list_value || 0;
+  return {
+    from: from || null, to: to || null, location: location || null,
+    totals: {
+      list_value: list, revenue: value?.revenue || 0, discount: amount, ex_vat,
+      discount_rate: list ? round(amount / list * 100) : 0,
+    },
+    by_reason, by_promotion, by_category,
+  };
+}
+
+module.exports = {
+  RULE_TYPES, DISCOUNT_REASONS, DiscountError,
+  listPromotions, getPromotion, createPromotion, updatePromotion, deletePromotion,
+  priceCart, saveDiscounts, repriceLine, discountReport,
+};
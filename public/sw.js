@@ -0,0 +1,71 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// sw.js — Service worker of the installable POS
+// Keeps the POS page, its assets and the last catalogue the till loaded so
+// the POS opens and products can be browsed without a connection. Pages and
+// catalogue data come from the network when it answers and from the cache
+// when it doesn't. Writes are never cached: sales made offline wait in the
+// POS's IndexedDB outbox (see pos.html) until the server is back.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SHELL_CACHE = 'haniqa-shell-v1';
+const DATA_CACHE  = 'haniqa-data'; // per user: emptied on sign-in and sign-out
+
+const SHELL = ['/pos.html', '/login.html', '/styles.css', '/manifest.webmanifest', '/icons/icon.svg'];
+
+// GET routes whose last answer is kept for offline use (any query string)
+const CACHED_API = ['/api/products', '/api/dia/inventory', '/api/customers', '/api/locations', '/api/exchange-rates/latest',
+  '/api/payment-methods'];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('haniqa-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A good answer refreshes the cache; no answer at all falls back to it
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(request);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+// Web fonts never change under the same URL
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit   = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET') {
+    // Another user's customers and prices must not be served from the cache
+    if (url.pathname === '/api/auth/login' || url.pathname === '/api/auth/logout')
+      event.waitUntil(caches.delete(DATA_CACHE));
+    return;
+  }
+  if (FONT_HOSTS.includes(url.hostname)) return event.respondWith(cacheFirst(request, SHELL_CACHE));
+  if (url.origin !== self.location.origin) return;
+  if (CACHED_API.includes(url.pathname)) return event.respondWith(networkFirst(request, DATA_CACHE));
+  if (SHELL.includes(url.pathname)) return event.respondWith(networkFirst(request, SHELL_CACHE));
+});
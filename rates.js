@@ -0,0 +1,199 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// rates.js — Daily exchange rates and currency conversion for reports
+// A row (date, base, quote, rate) means 1 base = rate quote on that date.
+// Lookups use the latest rate on or before the date asked for (the earliest
+// rate on file for dates before it), the inverse pair, or a cross rate
+// through the POS base currency. Rates are cached in memory so the fx() SQL
+// function can convert row by row without querying mid-statement.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { BASE_CURRENCY, totalInBase } = require('./payments');
+
+class RateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name   = 'RateError';
+    this.status = 400;
+  }
+}
+
+let _series = null; // { 'EUR>USD': [{ date, rate }] sorted by date }
+
+function loadRates(db) {
+  _series = {};
+  db.all('SELECT date, base, quote, rate FROM exchange_rates ORDER BY date ASC').forEach(r => {
+    (_series[`${r.base}>${r.quote}`] ??= []).push({ date: r.date, rate: r.rate });
+  });
+}
+
+function seriesRate(from, to, date) {
+  const list = _series[`${from}>${to}`];
+  if (!list || !list.length) return null;
+  let lo = 0, hi = list.length - 1, hit = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].date <= date) { hit = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return list[hit === -1 ? 0 : hit].rate;
+}
+
+function directRate(from, to, date) {
+  const r = seriesRate(from, to, date);
+  if (r) return r;
+  const inv = seriesRate(to, from, date);
+  return inv ? 1 / inv : null;
+}
+
+// Units of `to` per 1 unit of `from` on `date` (YYYY-MM-DD…); null if unknown
+function rateOn(db, from, to, date) {
+  if (!from || !to) return null;
+  if (from === to) return 1;
+  if (!_series) loadRates(db);
+  const day = String(date || new Date().toISOString()).slice(0, 10);
+  const r = directRate(from, to, day);
+  if (r) return r;
+  if (from === BASE_CURRENCY || to === BASE_CURRENCY) return null;
+  const a = directRate(from, BASE_CURRENCY, day);
+  const b = directRate(BASE_CURRENCY, to, day);
+  return a && b ? a * b : null;
+}
+
+function hasRate(db, from, to) {
+  return rateOn(db, from, to, '9999-12-31') != null;
+}
+
+// Register fx(amount, from, to, date) on the connection. Returns NULL when
+// no rate is known, so SUM()s skip the row rather than mixing currencies.
+function registerSqlFunctions(db) {
+  loadRates(db);
+  db.createFunction('fx', (amount, from, to, date) => {
+    if (amount == null) return null;
+    const r = rateOn(db, from, to, date);
+    return r == null ? null : amount * r;
+  });
+}
+
+// SQL for `amountSql` converted to `currency` at `dateSql`. `fromSql` is a
+// SQL expression for the source currency. No currency → no conversion.
+function sqlConvert(amountSql, fromSql, dateSql, currency) {
+  if (!currency) return amountSql;
+  return `fx(${amountSql}, ${fromSql}, '${currency}', ${dateSql})`;
+}
+
+// Validate a `currency` query/body value for reports. Every source currency
+// must have some rate to it on file, or totals would silently drop rows.
+function reportCurrency(db, value, sources = [BASE_CURRENCY]) {
+  if (value == null || value === '') return null;
+  const currency = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) throw new RateError(`Invalid currency "${value}"`);
+  for (const from of sources) {
+    if (!hasRate(db, from, currency)) throw new RateError(`No ${from}→${currency} exchange rate on file`);
+  }
+  return currency;
+}
+
+function validateRate({ date, base, quote, rate }) {
+  const row = {
+    date:  String(date || '').trim().slice(0, 10),
+    base:  String(base || '').trim().toUpperCase(),
+    quote: String(quote || '').trim().toUpperCase(),
+    rate:  parseFloat(rate),
+  };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date) || isNaN(Date.parse(row.date))) throw new RateError(`Invalid date "${date}"`);
+  if (!/^[A-Z]{3}$/.test(row.base) || !/^[A-Z]{3}$/.test(row.quote)) throw new RateError('Currencies must be 3-letter codes');
+  if (row.base === row.quote) throw new RateError('Base and quote currency must differ');
+  if (!(row.rate > 0)) throw new RateError('Rate must be a positive number');
+  return row;
+}
+
+// Upsert validated rows; one rate per pair per day.
+function saveRates(db, rows, { source = 'manual', username } = {}) {
+  db.transaction(() => {
+    for (const r of rows) {
+      db.run(
+        `INSERT INTO exchange_rates (date, base, quote, rate, source, created_by) VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(date, base, quote) DO UPDATE SET
+           rate = excluded.rate, source = excluded.source, created_by = excluded.created_by, created_at = datetime('now')`,
+        [r.date, r.base, r.quote, r.rate, source, username || null]
+      );
+    }
+  })();
+  loadRates(db);
+}
+
+// Parse "date,base,quote,rate" lines (header, blank and # lines skipped;
+// ; or tab also accepted as separator). Returns { rows, errors }.
+function parseCsv(text) {
+  const rows = [], errors = [];
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const cols = line.split(/[,;\t]/).map(c => c.trim().replace(/^"|"$/g, ''));
+    if (i === 0 && /date/i.test(cols[0])) return;
+    try {
+      rows.push(validateRate({ date: cols[0], base: cols[1], quote: cols[2], rate: cols[3] }));
+    } catch (err) {
+      errors.push({ line: i + 1, error: err.message });
+    }
+  });
+  return { rows, errors };
+}
+
+function deleteRate(db, id) {
+  db.run('DELETE FROM exchange_rates WHERE id = ?', [id]);
+  loadRates(db);
+}
+
+// Payments migrated from the old payment_method strings (see
+// payments.migrateLegacyPayments) have no rate in foreign currencies, and
+// their transactions' totals added every currency together. Give each such
+// row the rate on file for its day and, once all of a transaction's rows
+// have one, replace a total that was that plain sum with the base-currency
+// figure. Transactions still missing a rate are flagged needs_rate (listed
+// with ?needsRate=1) and picked up again on a later start, after rates for
+// their days are entered. Runs at startup; returns { converted, missing }
+// transaction ids.
+function backfillLegacyRates(db) {
+  const txns = db.all(`
+    SELECT DISTINCT t.id, t.total, t.created_at FROM transactions t
+    JOIN transaction_payments p ON p.transaction_id = t.id
+    WHERE p.rate IS NULL AND p.currency != ?
+  `, [BASE_CURRENCY]);
+  const converted = [], missing = [];
+  db.transaction(() => {
+    for (const t of txns) {
+      const rows = db.all('SELECT * FROM transaction_payments WHERE transaction_id = ?', [t.id]);
+      for (const r of rows.filter(r => r.rate == null && r.currency !== BASE_CURRENCY)) {
+        r.rate = rateOn(db, r.currency, BASE_CURRENCY, t.created_at);
+        if (r.rate) db.run('UPDATE transaction_payments SET rate = ? WHERE id = ?', [r.rate, r.id]);
+      }
+      if (rows.some(r => r.rate == null && r.currency !== BASE_CURRENCY)) {
+        db.run('UPDATE transactions SET needs_rate = 1 WHERE id = ?', [t.id]);
+        missing.push(t.id);
+        continue;
+      }
+      const plainSum = rows.reduce((s, r) => s + r.amount, 0);
+      const total    = Math.abs(plainSum - t.total) < 0.005 ? totalInBase(rows) : t.total;
+      db.run('UPDATE transactions SET total = ?, needs_rate = 0 WHERE id = ?', [total, t.id]);
+      converted.push(t.id);
+    }
+  })();
+  return { converted, missing };
+}
+
+module.exports = {
+  RateError,
+  loadRates,
+  rateOn,
+  hasRate,
+  registerSqlFunctions,
+  sqlConvert,
+  reportCurrency,
+  validateRate,
+  saveRates,
+  parseCsv,
+  deleteRate,
+  backfillLegacyRates,
+};
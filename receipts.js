@@ -0,0 +1,278 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// receipts.js — Customer receipts for transactions
+// buildReceipt() gathers what goes on the slip (lines with color and size,
+// payments per currency, change due, cashier, location, document number);
+// renderHtml() lays it out for an 80mm roll printed from the browser and
+// renderEscPos() encodes it as raw ESC/POS bytes for a thermal printer.
+// A gift receipt leaves out prices and payments; a reprint is marked as a
+// copy. Amounts are in base currency unless a payment line says otherwise.
+// VAT is listed per rate under the total; wholesale lines are priced net
+// with their VAT added there. Discounted lines show their list price and
+// what came off it (promotion name or reason). Store credit and gift cards
+// the transaction credited or drew on are listed with their code and the
+// balance left.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const payments     = require('./payments');
+const reservations = require('./reservations');
+const credits      = require('./credits');
+const { getSetting }  = require('./settings');
+const { getLocation } = require('./locations');
+
+class ReceiptError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'ReceiptError';
+    this.status = status;
+  }
+}
+
+const TITLES = { sale: 'SALE', return: 'RETURN', deposit: 'DEPOSIT', in: 'CASH IN', out: 'CASH OUT' };
+
+const round = n => Math.round(n * 100) / 100;
+const money = n => Number(n || 0).toFixed(2);
+
+// Everything printed on the receipt of transaction `id`
+function buildReceipt(db, id, { gift = false, reprint = false } = {}) {
+  const txn = db.get(`
+    SELECT t.*, c.name AS customer_name FROM transactions t
+    LEFT JOIN customers c ON c.id = t.customer_id
+    WHERE t.id = ? OR t.doc_number = ?
+  `, [id, id]);
+  if (!txn) throw new ReceiptError('Transaction not found', 404);
+  if (gift && txn.type !== 'sale') throw new ReceiptError('Gift receipts are for sales only');
+
+  const items = db.all(`
+    SELECT ti.*, p.name AS product_name, p.ref FROM transaction_items ti
+    LEFT JOIN products p ON p.id = ti.product_id
+    WHERE ti.transaction_id = ? ORDER BY ti.id
+  `, [txn.id]);
+  const discounts = db.all(`
+    SELECT d.item_id, d.reason, d.amount, pr.name AS promotion FROM transaction_discounts d
+    LEFT JOIN promotions pr ON pr.id = d.promotion_id
+    WHERE d.transaction_id = ? ORDER BY d.id
+  `, [txn.id]);
+  const lines = items.map(i => ({
+    name:       i.product_name || `Product #${i.product_id}`,
+    ref:        i.ref || null,
+    color:      i.color,
+    size:       i.size,
+    channel:    i.channel || 'single',
+    quantity:   i.quantity,
+    unit_price: i.unit_price,
+    amount:     round(i.quantity * i.unit_price),
+    plus_vat:   i.vat_inclusive === 0,
+    list_price: i.list_price ?? i.unit_price,
+    discounts:  discounts.filter(d => d.item_id === i.id)
+      .map(d => ({ label: d.promotion || d.reason.replace(/_/g, ' '), amount: d.amount })),
+  }));
+  // VAT per rate: [{ rate, net, vat }]
+  const vatByRate = {};
+  for (const i of items.filter(i => i.vat_rate != null)) {
+    const r = vatByRate[i.vat_rate] ??= { rate: i.vat_rate, net: 0, vat: 0 };
+    r.net = round(r.net + (i.net_amount || 0)); r.vat = round(r.vat + (i.vat_amount || 0));
+  }
+  // Change handed back is stored as negative rows (payments.checkTenders)
+  const rows = db.all('SELECT method, currency, amount, rate FROM transaction_payments WHERE transaction_id = ? ORDER BY id', [txn.id])
+    .map(p => ({ ...p, base: payments.baseAmount(p) }));
+  const tendered = rows.filter(p => p.amount > 0);
+  const paid     = payments.totalInBase(tendered);
+  const kept     = payments.totalInBase(rows);
+
+  // What the till handed back, or what went on the customer's account
+  let change = 0, onAccount = 0, deposits = 0, balanceDue = 0;
+  if (txn.status === 'reserved') {
+    deposits   = reservations.depositTotals(db, [txn.id])[txn.id] || 0;
+    balanceDue = round(txn.total - deposits);
+  } else if (txn.type === 'sale') {
+    if (paid > kept) change = round(paid - kept);
+    else if (paid > txn.total) change = round(paid - txn.total);
+    else if (txn.customer_id && kept < txn.total) onAccount = round(txn.total - kept);
+  }
+
+  const original = txn.original_id && db.get('SELECT id, doc_number FROM transactions WHERE id = ?', [txn.original_id]);
+  const exchange = txn.exchange_id && db.get('SELECT id, doc_number FROM transactions WHERE id = ?', [txn.exchange_id]);
+  const location = txn.location && getLocation(db, txn.location);
+
+  return {
+    title:       gift ? 'GIFT RECEIPT' : txn.status === 'reserved' ? 'RESERVATION' : TITLES[txn.type] || txn.type.toUpperCase(),
+    header:      String(getSetting(db, 'receipt_header') || '').split('\n').filter(Boolean),
+    footer:      String(getSetting(db, 'receipt_footer') || '').split('\n').filter(Boolean),
+    id:          txn.id,
+    doc_number:  txn.doc_number || txn.id,
+    type:        txn.type,
+    status:      txn.status || 'completed',
+    created_at:  txn.created_at,
+    cashier:     txn.created_by,
+    location:    location ? location.name : txn.location,
+    customer:    txn.customer_name || null,
+    description: lines.length ? null : txn.description,
+    original:    original ? original.doc_number || original.id : null,
+    exchange:    exchange ? exchange.doc_number || exchange.id : null,
+    currency:    payments.BASE_CURRENCY,
+    gift, reprint,
+    lines:       gift ? lines.map(({ unit_price, amount, list_price, discounts, ...l }) => l) : lines,
+    ...(!gift && {
+      total: txn.total, saved: round(lines.reduce((s, l) => s + l.discounts.reduce((d, x) => d + x.amount, 0), 0)), vat: Object.values(vatByRate).sort((a, b) => a.rate - b.rate),
+      payments: tendered, paid, change, on_account: onAccount,
+      deposits, balance_due: balanceDue,
+      credits: credits.creditsOf(db, txn.id),
+    }),
+  };
+}
+
+const variantOf = l => [l.color, l.size].filter(Boolean).join(' / ') + (l.channel === 'wholesale' ? ' (wholesale)' : '');
+const tenderOf  = p => `${p.method} ${p.currency}`;
+const creditOf  = c => `${c.kind === 'gift_card' ? 'Gift card' : 'Store credit'} ${c.code}`;
+const signed    = n => (n > 0 ? '+' : '−') + money(Math.abs(n));
+
+// ── HTML (80mm) ───────────────────────────────────────────────────────────────
+
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// `autoPrint` opens the browser's print dialog once the page has loaded
+function renderHtml(r, { autoPrint = false } = {}) {
+  const row = (left, right, cls = '') => `<div class="row ${cls}"><span>${esc(left)}</span><span>${esc(right)}</span></div>`;
+  const lines = r.lines.map(l => `
+    <div class="line">
+      <div class="row"><span>${l.quantity} × ${esc(l.name)}</span>${r.gift ? '' : `<span>${money(l.amount)}</span>`}</div>
+      <div class="dim">${esc(variantOf(l))}${r.gift ? '' : ` · ${money(l.unit_price)} each${l.plus_vat ? ' + KDV' : ''}`}</div>
+      ${r.gift || !l.discounts.length ? '' : `<div class="dim">was ${money(l.list_price * l.quantity)}${l.discounts.map(d => ` · −${money(d.amount)} ${esc(d.label)}`).join('')}</div>`}
+    </div>`).join('');
+
+  const totals = r.gift ? '' : [
+    '<div class="rule"></div>',
+    row(`TOTAL ${r.currency}`, money(r.total), 'big'),
+    r.saved ? row('You saved', money(r.saved), 'bold') : '',
+    ...r.vat.map(v => row(`KDV %${v.rate} on ${money(v.net)}`, money(v.vat), 'dim')),
+    ...r.payments.map(p => row(tenderOf(p), money(p.amount) + (p.currency !== r.currency && p.base != null ? ` (${money(p.base)})` : ''))),
+    r.change      ? row(`Change due ${r.currency}`, money(r.change), 'bold') : '',
+    r.on_account  ? row('On account', money(r.on_account)) : '',
+    r.status === 'reserved' ? row('Deposits paid', money(r.deposits)) + row('Balance due', money(r.balance_due), 'bold') : '',
+    ...r.credits.map(c => row(creditOf(c), `${signed(c.amount)} ${c.currency}`, 'bold')
+      + row(`Balance${c.expires_at ? ` · valid to ${c.expires_at}` : ''}`, `${money(c.balance)} ${c.currency}`, 'dim')),
+  ].join('');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${esc(r.doc_number)}</title>
+<style>
+  @page { size: 80mm auto; margin: 0; }
+  body { width: 72mm; margin: 0 auto; padding: 4mm 0; font: 12px/1.35 'DM Mono', 'Courier New', monospace; color: #000; }
+  .center { text-align: center; }
+  .row { display: flex; justify-content: space-between; gap: 8px; }
+  .line { margin: 4px 0; }
+  .dim { color: #444; font-size: 11px; }
+  .big { font-size: 15px; font-weight: bold; margin: 4px 0; }
+  .bold { font-weight: bold; }
+  .rule { border-top: 1px dashed #000; margin: 6px 0; }
+  .title { font-weight: bold; letter-spacing: 0.15em; margin: 6px 0; }
+</style></head>
+<body>
+  <div class="center">${r.header.map(h => `<div class="bold">${esc(h)}</div>`).join('')}</div>
+  <div class="center title">${esc(r.title)}${r.reprint ? ' — COPY' : ''}</div>
+  ${r.status === 'voided' ? '<div class="center bold">*** VOIDED ***</div>' : ''}
+  ${row('No', r.doc_number)}
+  ${row('Date', r.created_at)}
+  ${row('Cashier', r.cashier || '—')}
+  ${r.location ? row('Location', r.location) : ''}
+  ${r.customer ? row('Customer', r.customer) : ''}
+  ${r.original ? row(r.type === 'return' ? 'Return of' : 'For', r.original) : ''}
+  ${r.exchange ? row('Exchanged with', r.exchange) : ''}
+  <div class="rule"></div>
+  ${lines || (r.description ? `<div>${esc(r.description)}</div>` : '')}
+  ${totals}
+  <div class="rule"></div>
+  <div class="center">${r.footer.map(f => `<div>${esc(f)}</div>`).join('')}</div>
+  ${autoPrint ? '<script>window.onload = () => window.print();</script>' : ''}
+</body></html>`;
+}
+
+// ── ESC/POS ───────────────────────────────────────────────────────────────────
+
+const WIDTH = 48; // characters per line, font A on 80mm paper
+
+const ESC = 0x1b, GS = 0x1d;
+const CMD = {
+  init:        [ESC, 0x40],
+  alignLeft:   [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn:      [ESC, 0x45, 1],
+  boldOff:     [ESC, 0x45, 0],
+  doubleOn:    [GS, 0x21, 0x11],
+  doubleOff:   [GS, 0x21, 0x00],
+  feedCut:     [ESC, 0x64, 4, GS, 0x56, 0x42, 0],
+};
+
+// The printer's default code page is plain ASCII; Turkish letters and
+// currency signs are spelled out rather than relying on a code page.
+const ASCII = { ç: 'c', Ç: 'C', ğ: 'g', Ğ: 'G', ı: 'i', İ: 'I', ö: 'o', Ö: 'O', ş: 's', Ş: 'S', ü: 'u', Ü: 'U', '€': 'EUR', '₺': 'TL', '×': 'x', '—': '-', '…': '...' };
+const ascii = s => String(s ?? '').replace(/[^\x20-\x7e\n]/g, c => ASCII[c] ?? (c.normalize('NFD').replace(/[^\x20-\x7e]/g, '') || '?'));
+
+// Left and right text on one line, the left side cut short if needed
+function cols(left, right, width = WIDTH) {
+  left = ascii(left); right = ascii(right);
+  const room = width - right.length - 1;
+  if (left.length > room) left = left.slice(0, Math.max(room, 0));
+  return left + ' '.repeat(width - left.length - right.length) + right;
+}
+
+function renderEscPos(r) {
+  const out = [];
+  const cmd  = c => out.push(Buffer.from(c));
+  const text = s => out.push(Buffer.from(ascii(s) + '\n', 'ascii'));
+
+  cmd(CMD.init);
+  cmd(CMD.alignCenter);
+  if (r.header.length) { cmd(CMD.boldOn); r.header.forEach(text); cmd(CMD.boldOff); }
+  cmd(CMD.doubleOn); text(r.title); cmd(CMD.doubleOff);
+  if (r.reprint) text('COPY');
+  if (r.status === 'voided') { cmd(CMD.boldOn); text('*** VOIDED ***'); cmd(CMD.boldOff); }
+  cmd(CMD.alignLeft);
+  text(cols('No', r.doc_number));
+  text(cols('Date', r.created_at));
+  text(cols('Cashier', r.cashier || '-'));
+  if (r.location) text(cols('Location', r.location));
+  if (r.customer) text(cols('Customer', r.customer));
+  if (r.original) text(cols(r.type === 'return' ? 'Return of' : 'For', r.original));
+  if (r.exchange) text(cols('Exchanged with', r.exchange));
+  text('-'.repeat(WIDTH));
+
+  for (const l of r.lines) {
+    text(r.gift ? `${l.quantity} x ${l.name}` : cols(`${l.quantity} x ${l.name}`, money(l.amount)));
+    text(`  ${variantOf(l)}${r.gift ? '' : ` @ ${money(l.unit_price)}${l.plus_vat ? ' + KDV' : ''}`}`);
+    if (!r.gift && l.discounts.length) {
+      text(`  was ${money(l.list_price * l.quantity)}`);
+      for (const d of l.discounts) text(cols(`  - ${d.label}`, `-${money(d.amount)}`));
+    }
+  }
+  if (!r.lines.length && r.description) text(r.description);
+
+  if (!r.gift) {
+    text('-'.repeat(WIDTH));
+    cmd(CMD.boldOn); text(cols(`TOTAL ${r.currency}`, money(r.total))); cmd(CMD.boldOff);
+    if (r.saved) text(cols('You saved', money(r.saved)));
+    for (const v of r.vat) text(cols(`KDV %${v.rate} on ${money(v.net)}`, money(v.vat)));
+    for (const p of r.payments)
+      text(cols(tenderOf(p), money(p.amount) + (p.currency !== r.currency && p.base != null ? ` (${money(p.base)})` : '')));
+    if (r.change) { cmd(CMD.boldOn); text(cols(`Change due ${r.currency}`, money(r.change))); cmd(CMD.boldOff); }
+    if (r.on_account) text(cols('On account', money(r.on_account)));
+    if (r.status === 'reserved') {
+      text(cols('Deposits paid', money(r.deposits)));
+      text(cols('Balance due', money(r.balance_due)));
+    }
+    for (const c of r.credits) {
+      text(cols(creditOf(c), `${signed(c.amount).replace('−', '-')} ${c.currency}`));
+      text(cols(`  Balance${c.expires_at ? `, valid to ${c.expires_at}` : ''}`, `${money(c.balance)} ${c.currency}`));
+    }
+  }
+
+  text('-'.repeat(WIDTH));
+  cmd(CMD.alignCenter);
+  r.footer.forEach(text);
+  cmd(CMD.feedCut);
+  return Buffer.concat(out);
+}
+
+module.exports = { ReceiptError, buildReceipt, renderHtml, renderEscPos };
@@ -0,0 +1,268 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// reservations.js — Deposits, cancellation and expiry of reserved sales
+// A deposit is its own 'deposit' transaction pointing at the reservation
+// (original_id), so it is booked to the drawer, shift and day it was taken
+// in. Finalize only collects what the deposits leave owing. A cancelled
+// reservation either refunds its deposits (an 'out' transaction in the same
+// tenders) or keeps them as store credit (an 'out' transaction paid in
+// store credit, put on a credit account — see credits.js).
+// Reservations lapse at expires_at (reservation_days after they are made,
+// unless set per reservation). A background job flags those about to lapse
+// and moves lapsed ones to 'expired', releasing their held stock; deposits
+// on an expired reservation are still settled through cancel.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const payments = require('./payments');
+const shifts   = require('./shifts');
+const stock    = require('./stock');
+const audit    = require('./audit');
+const numbering = require('./numbering');
+const credits  = require('./credits');
+const { getSetting } = require('./settings');
+
+class ReservationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'ReservationError';
+    this.status = status;
+  }
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+// Date → 'YYYY-MM-DD HH:MM:SS' (UTC), the format SQLite's datetime() writes
+const sqlTime = d => d.toISOString().slice(0, 19).replace('T', ' ');
+
+// { reservation_id: net deposits in base currency } (refunds netted off)
+function depositTotals(db, ids) {
+  if (ids && !ids.length) return {};
+  const rows = db.all(`
+    SELECT original_id, SUM(CASE type WHEN 'deposit' THEN total ELSE -total END) AS paid
+    FROM transactions
+    WHERE type IN ('deposit', 'out') AND original_id IS NOT NULL AND (status = 'completed' OR status IS NULL)
+      ${ids ? `AND original_id IN (${ids.map(() => '?').join(',')})` : ''}
+    GROUP BY original_id
+  `, ids || []);
+  const out = {};
+  rows.forEach(r => { out[r.original_id] = round(r.paid); });
+  return out;
+}
+
+// Payment rows of a sale's deposits, e.g. to refund a return pro rata
+function depositPayments(db, saleId) {
+  return db.all(`
+    SELECT p.* FROM transaction_payments p
+    JOIN transactions t ON t.id = p.transaction_id
+    WHERE t.original_id = ? AND t.type = 'deposit' AND (t.status = 'completed' OR t.status IS NULL)
+    ORDER BY p.id
+  `, [saleId]);
+}
+
+function balanceDue(db, txn) {
+  return round(txn.total - (depositTotals(db, [txn.id])[txn.id] || 0));
+}
+
+function assertReserved(txn) {
+  if (!txn) throw new ReservationError('Transaction not found', 404);
+  if (txn.type !== 'sale' || txn.status !== 'reserved')
+    throw new ReservationError(`${txn.id} is not a reserved sale`);
+}
+
+// Take a deposit of `tenders` (normalized payment entries) on a reservation
+function addDeposit(db, txn, { tenders, location, description, username }) {
+  assertReserved(txn);
+  if (!tenders || !tenders.length) throw new ReservationError('payments must contain at least one amount');
+  const amount = payments.totalInBase(tenders);
+  const due    = balanceDue(db, txn);
+  if (amount > due + 0.005)
+    throw new ReservationError(`Deposit of ${amount.toFixed(2)} is more than the ${due.toFixed(2)} still owed`);
+
+  const id    = numbering.newId('DEP');
+  const where = location || txn.location;
+  const shift = shifts.currentShift(db, where);
+  db.transaction(() => {
+    db.run(
+      `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, original_id, shift_id, customer_id)
+       VALUES (?, ?, 'deposit', 'completed', ?, ?, ?, ?, ?, ?, ?)`,
+      [id, numbering.allocate(db, { type: 'deposit', location: where }), amount, description || `Deposit on ${txn.id}`, username, where || null, txn.id, shift?.id ?? null, txn.customer_id ?? null]
+    );
+    payments.savePayments(db, id, tenders);
+    credits.settleTenders(db, id, tenders, { location: where, username });
+  })();
+  return db.get('SELECT * FROM transactions WHERE id = ?', [id]);
+}
+
+// Cancel a reservation: release its held stock and settle any deposits —
+// mode 'refund' pays them back in the tenders they came in, 'store_credit'
+// leaves the money with us as credit for the customer, on the account with
+// `creditCode` or a new one. Expired reservations have no stock held any
+// more but may still have deposits to settle.
+function cancelReservation(db, txn, { mode, creditCode, location, username }) {
+  if (txn?.status !== 'expired') assertReserved(txn);
+  const deposits = depositTotals(db, [txn.id])[txn.id] || 0;
+  if (deposits > 0 && !['refund', 'store_credit'].includes(mode))
+    throw new ReservationError(`${txn.id} has ${deposits.toFixed(2)} in deposits — choose deposit: 'refund' or 'store_credit'`);
+
+  // Net each tender of the deposits against anything already refunded
+  let refund = [];
+  if (deposits > 0 && mode === 'refund') {
+    const rows = db.all(`
+      SELECT p.method, p.currency, p.rate,
+        SUM(CASE t.type WHEN 'deposit' THEN p.amount ELSE -p.amount END) AS amount
+      FROM transaction_payments p
+      JOIN transactions t ON t.id = p.transaction_id
+      WHERE t.original_id = ? AND t.type IN ('deposit', 'out') AND (t.status = 'completed' OR t.status IS NULL)
+      GROUP BY p.method, p.currency, p.rate
+    `, [txn.id]);
+    refund = rows.filter(r => r.amount > 0.005).map(r => ({ ...r, amount: round(r.amount) }));
+  } else if (deposits > 0) {
+    refund = [{ method: 'store_credit', currency: payments.BASE_CURRENCY, amount: deposits, rate: 1 }];
+  }
+
+  const refundId = numbering.newId('MAN');
+  const where    = location || txn.location;
+  const shift    = shifts.currentShift(db, where);
+  let credit = null;
+  db.transaction(() => {
+    if (txn.status === 'reserved') {
+      const items = db.all('SELECT * FROM transaction_items WHERE transaction_id = ?', [txn.id]);
+      for (const item of items) stock.release(db, item, item.quantity, { reason: 'cancel', refId: txn.id, username, location: txn.location });
+    }
+    db.run(
+      "UPDATE transactions SET status = 'cancelled', refund_to = ? WHERE id = ?",
+      [deposits > 0 ? mode : null, txn.id]
+    );
+    if (refund.length) {
+      db.run(
+        `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, original_id, shift_id, customer_id)
+         VALUES (?, ?, 'out', 'completed', ?, ?, ?, ?, ?, ?, ?)`,
+        [refundId, numbering.allocate(db, { type: 'out', location: where }), payments.totalInBase(refund),
+         `Deposit ${mode === 'store_credit' ? 'kept as store credit' : 'refund'} — ${txn.id}`, username, where || null, txn.id,
+         shift?.id ?? null, txn.customer_id ?? null]
+      );
+      if (mode === 'store_credit') {
+        credit = credits.issue(db, {
+          kind: 'store_credit', amount: deposits, code: creditCode, customerId: txn.customer_id, location: where,
+          note: `Deposits on ${txn.id}`, transactionId: refundId, username,
+        });
+        refund[0].code = credit.code;
+      }
+      payments.savePayments(db, refundId, refund);
+    }
+  })();
+  return {
+    transaction: db.get('SELECT * FROM transactions WHERE id = ?', [txn.id]),
+    refund:      refund.length ? db.get('SELECT * FROM transactions WHERE id = ?', [refundId]) : null,
+    deposits,
+    store_credit: credit,
+  };
+}
+
+// Expiry for a new or extended reservation: an explicit `expiresAt`
+// (date or datetime), else `days` from now, else the reservation_days
+// setting. Returns null (never expires) when the setting is 0.
+function expiryFor(db, { expiresAt, days } = {}, now = new Date()) {
+  if (expiresAt != null && expiresAt !== '') {
+    const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(expiresAt) ? `${expiresAt}T23:59:59Z` : expiresAt);
+    if (isNaN(d)) throw new ReservationError(`Invalid expiresAt "${expiresAt}"`);
+    if (d <= now) throw new ReservationError('expiresAt must be in the future');
+    return sqlTime(d);
+  }
+  const n = days != null && days !== '' ? parseFloat(days) : getSetting(db, 'reservation_days');
+  if (!Number.isFinite(n) || n < 0) throw new ReservationError('Reservation days must be a positive number');
+  return n > 0 ? sqlTime(new Date(now.getTime() + n * 86400000)) : null;
+}
+
+// Move a reservation's expiry (also revives the "about to expire" flag)
+function setExpiry(db, txn, { expiresAt, days, username, route }) {
+  assertReserved(txn);
+  const next = expiryFor(db, { expiresAt, days });
+  db.transaction(() => {
+    db.run('UPDATE transactions SET expires_at = ?, expiry_warned_at = NULL WHERE id = ?', [next, txn.id]);
+    audit.record(db, {
+      username, route, action: 'extend', entity: 'transaction', entityId: txn.id,
+      before: { expires_at: txn.expires_at }, after: { expires_at: next },
+    });
+  })();
+  return db.get('SELECT * FROM transactions WHERE id = ?', [txn.id]);
+}
+
+// Reserved sales lapsing before the end of `date` (YYYY-MM-DD, default today)
+function expiringBy(db, date) {
+  const day = String(date || new Date().toISOString()).slice(0, 10);
+  return db.all(`
+    SELECT * FROM transactions
+    WHERE type = 'sale' AND status = 'reserved' AND expires_at IS NOT NULL AND expires_at <= ?
+    ORDER BY expires_at
+  `, [`${day} 23:59:59`]);
+}
+
+// One pass of the expiry job: flag reservations within the warning window,
+// expire lapsed ones. Each change is written to the audit log.
+function runExpiry(db, now = new Date()) {
+  const nowSql  = sqlTime(now);
+  const warnSql = sqlTime(new Date(now.getTime() + getSetting(db, 'reservation_warn_hours') * 3600000));
+  const route   = 'job:reservation-expiry';
+
+  const toWarn = db.all(`
+    SELECT * FROM transactions
+    WHERE type = 'sale' AND status = 'reserved' AND expires_at IS NOT NULL
+      AND expires_at > ? AND expires_at <= ? AND expiry_warned_at IS NULL
+  `, [nowSql, warnSql]);
+  const toExpire = db.all(`
+    SELECT * FROM transactions
+    WHERE type = 'sale' AND status = 'reserved' AND expires_at IS NOT NULL AND expires_at <= ?
+  `, [nowSql]);
+  if (!toWarn.length && !toExpire.length) return { warned: 0, expired: 0 };
+
+  db.transaction(() => {
+    for (const txn of toWarn) {
+      db.run('UPDATE transactions SET expiry_warned_at = ? WHERE id = ?', [nowSql, txn.id]);
+      audit.record(db, {
+        username: 'system', route, action: 'expiry_warning', entity: 'transaction', entityId: txn.id,
+        after: { expires_at: txn.expires_at },
+      });
+    }
+    for (const txn of toExpire) {
+      const items = db.all('SELECT * FROM transaction_items WHERE transaction_id = ?', [txn.id]);
+      for (const item of items) stock.release(db, item, item.quantity, { reason: 'expire', refId: txn.id, username: 'system', location: txn.location });
+      db.run("UPDATE transactions SET status = 'expired' WHERE id = ?", [txn.id]);
+      audit.record(db, {
+        username: 'system', route, action: 'expire', entity: 'transaction', entityId: txn.id,
+        before: { status: 'reserved', expires_at: txn.expires_at },
+        after:  { status: 'expired', released: items.map(i => ({ item_id: i.id, quantity: i.quantity })) },
+      });
+    }
+  })();
+  return { warned: toWarn.length, expired: toExpire.length };
+}
+
+// Run the expiry job now and then every 5 minutes (alongside the DIA sync)
+function scheduleExpiry(db) {
+  const tick = () => {
+    try {
+      const { warned, expired } = runExpiry(db);
+      if (warned || expired) console.log(`⏰ Reservations: ${warned} expiring soon, ${expired} expired`);
+    } catch (err) {
+      console.error('✗ Reservation expiry failed:', err.message);
+    }
+  };
+  tick();
+  setInterval(tick, 5 * 60 * 1000);
+}
+
+module.exports = {
+  ReservationError,
+  depositTotals,
+  depositPayments,
+  balanceDue,
+  addDeposit,
+  cancelReservation,
+  expiryFor,
+  setExpiry,
+  expiringBy,
+  runExpiry,
+  scheduleExpiry,
+};
@@ -9,6 +9,28 @@ const fs = require('fs');
 require('dotenv').config();
 const analytics = require('./analytics');
 const dia        = require('./dia');
+const stock      = require('./stock');
+const settings   = require('./settings');
+const payments   = require('./payments');
+const rates      = require('./rates');
+const shifts     = require('./shifts');
+const customers  = require('./customers');
+const reservations = require('./reservations');
+const numbering  = require('./numbering');
+const audit      = require('./audit');
+const txList     = require('./transactions');
+const exchanges  = require('./exchanges');
+const locations  = require('./locations');
+const transfers  = require('./transfers');
+const conversions = require('./conversions');
+const receipts   = require('./receipts');
+const barcodes   = require('./barcodes');
+const labels     = require('./labels');
+const idempotency = require('./idempotency');
+const vat        = require('./vat');
+const promotions = require('./promotions');
+const credits    = require('./credits');
+const wholesale  = require('./wholesale');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
 // ── DATA DIRECTORY (persistent volume on Fly.io, project root locally) ────────
@@ -34,6 +56,12 @@ const upload = multer({
   },
 });
 
+// Exchange-rate CSV imports are small and parsed in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: 1024 * 1024 },
+});
+
 const { db, init } = require('./db');
 
 const app    = express();
@@ -64,17 +92,49 @@ function requireAuth(req, res, next) {
   next();
 }
 
+function requireAdmin(req, res, next) {
+  if (req.session.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
+  next();
+}
+
 // ── HELPERS ───────────────────────────────────────────────────────────────────
-// Attach computed stock + sold to a list of products
-function enrichProducts(prods) {
-  const variants = db.all('SELECT * FROM product_variants ORDER BY product_id, channel, color, size');
+// Units and revenue net of returns: returns carry positive quantities, so
+// multiply by this sign (anything that is not a sale or return counts as 0).
+const NET_SIGN = `(CASE t.type WHEN 'sale' THEN 1 WHEN 'return' THEN -1 ELSE 0 END)`;
+const { TENDER_SIGN } = payments;
+
+// Audit entry for a change this request made: `before` is the snapshot taken
+// ahead of it (undefined for a creation), the state after is read back now.
+const routeOf = req => `${req.method} ${req.originalUrl}`;
+function recordChange(req, action, entity, id, before) {
+  audit.record(db, {
+    username: req.session.username, route: routeOf(req),
+    action, entity, entityId: id, before, after: audit.snapshot(db, entity, id),
+  });
+}
+
+// Routes that take money accept an Idempotency-Key header: a retry with the
+// same key gets the first response back instead of booking twice
+const retrySafe = idempotency.idempotent(db);
+
+// Attach computed stock + sold to a list of products. Variants list their
+// units per location; with `location`, stock figures are those at it.
+function enrichProducts(prods, location) {
+  const perLocation = {};
+  db.all('SELECT variant_id, location, stock, reserved FROM variant_stock ORDER BY location')
+    .forEach(r => (perLocation[r.variant_id] ??= []).push({ location: r.location, stock: r.stock, reserved: r.reserved }));
+  const variants = db.all('SELECT * FROM product_variants ORDER BY product_id, channel, color, size').map(v => {
+    const rows = perLocation[v.id] || [];
+    const here = location && (rows.find(r => r.location === location) || { stock: 0, reserved: 0 });
+    return { ...v, ...(here && { stock: here.stock, reserved: here.reserved }), locations: rows };
+  });
   const soldRows = db.all(`
     SELECT ti.product_id,
-           SUM(ti.quantity)                  AS units,
-           SUM(ti.quantity * ti.unit_price)  AS revenue
+           SUM(${NET_SIGN} * ti.quantity)                  AS units,
+           SUM(${NET_SIGN} * ti.quantity * ti.unit_price)  AS revenue
     FROM transaction_items ti
     JOIN transactions t ON t.id = ti.transaction_id
-    WHERE t.type = 'sale'
+    WHERE t.type IN ('sale', 'return')
       AND (t.status = 'completed' OR t.status IS NULL)
     GROUP BY ti.product_id
   `);
@@ -84,24 +144,78 @@ function enrichProducts(prods) {
 
   const soldByProd = {};
   soldRows.forEach(s => { soldByProd[s.product_id] = s; });
+  const vatRates = vat.productRates(db);
 
   return prods.map(p => {
     const pvs            = byProduct[p.id] || [];
     const stockSingle    = pvs.filter(v => v.channel === 'single')   .reduce((s, v) => s + (parseInt(v.stock) || 0), 0);
     const stockWholesale = pvs.filter(v => v.channel === 'wholesale').reduce((s, v) => s + (parseInt(v.stock) || 0), 0);
+    const reserved       = pvs.reduce((s, v) => s + (parseInt(v.reserved) || 0), 0);
     const s              = soldByProd[p.id] || {};
     return {
       ...p,
       variants:        pvs,
       stock:           stockSingle + stockWholesale,
+      reserved,
+      available:       stockSingle + stockWholesale - reserved,
       stock_single:    stockSingle,
       stock_wholesale: stockWholesale,
       sold:            parseInt(s.units)    || 0,
       revenue:         parseFloat(s.revenue) || 0,
+      effective_vat_rate: vatRates[p.id] ?? settings.getSetting(db, 'default_vat_rate'),
     };
   });
 }
 
+// Reports take an optional ?currency=XXX. Amounts are then converted at the
+// rate of each row's own date; without it they stay as stored (POS prices in
+// the base currency, DIA prices in their document currency).
+const posMoney = (expr, currency) =>
+  rates.sqlConvert(expr, `'${payments.BASE_CURRENCY}'`, 't.created_at', currency);
+const diaMoney = (expr, currency, alias = '') =>
+  rates.sqlConvert(expr, `COALESCE(${alias}currency, '${dia.DIA_CURRENCY}')`, `${alias}tarih`, currency);
+
+// POS figures take ?location= to cover one location's sales and stock
+const locationParam = req => locations.resolveLocation(db, req.query.location)?.code ?? null;
+// Variant stock rows, at one location or (NULL) all; binds the location twice
+const LOCATION_STOCK = `
+  SELECT pv.product_id, pv.channel, vs.stock FROM product_variants pv
+  JOIN variant_stock vs ON vs.variant_id = pv.id
+  WHERE (? IS NULL OR vs.location = ?)`;
+
+// Today's stored rate into the base currency, for payments sent without one
+const tenderRate = currency => rates.rateOn(db, currency, payments.BASE_CURRENCY);
+
+// Payment entries of a request body, checked against the configured payment
+// methods. With `due` (base currency), overpaying is limited to the change
+// the change-giving tenders can hand back, and that change is booked as a
+// negative entry. `requireFull` for sales with no customer account to carry
+// what is left unpaid.
+const readTenders = (body, due, { requireFull } = {}) =>
+  payments.checkTenders(db, payments.normalizePayments(body, tenderRate), { total: due, requireFull });
+
+function reportCurrency(value, source = 'pos') {
+  const sources = source === 'dia'
+    ? db.all('SELECT DISTINCT COALESCE(currency, ?) AS c FROM dia_sales_cache', [dia.DIA_CURRENCY]).map(r => r.c)
+    : [payments.BASE_CURRENCY];
+  return rates.reportCurrency(db, value, sources);
+}
+
+// Returned quantity per original transaction_items.id
+function returnedQtyByItem() {
+  const rows = db.all(`
+    SELECT ti.original_item_id AS item_id, SUM(ti.quantity) AS qty
+    FROM transaction_items ti
+    JOIN transactions t ON t.id = ti.transaction_id
+    WHERE t.type = 'return' AND ti.original_item_id IS NOT NULL
+      AND (t.status = 'completed' OR t.status IS NULL)
+    GROUP BY ti.original_item_id
+  `);
+  const map = {};
+  rows.forEach(r => { map[r.item_id] = parseInt(r.qty) || 0; });
+  return map;
+}
+
 // ── USER MANAGEMENT ───────────────────────────────────────────────────────────
 
 app.post('/admin/create-user', requireAuth, async (req, res) => {
@@ -112,6 +226,7 @@ app.post('/admin/create-user', requireAuth, async (req, res) => {
     const hash = await bcrypt.hash(password, 10);
     db.run('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
       [username, hash, role || 'manager']);
+    recordChange(req, 'create', 'user', username);
     res.json({ ok: true, username, role: role || 'manager' });
   } catch (err) {
     if (err.message?.includes('UNIQUE')) return res.status(409).json({ error: 'Username already exists' });
@@ -127,8 +242,324 @@ app.post('/admin/change-password', requireAuth, async (req, res) => {
   try {
     const hash = await bcrypt.hash(newPassword, 10);
     db.run('UPDATE users SET password_hash = ? WHERE username = ?', [hash, username]);
+    // The hash itself stays out of the log; the entry only says it changed
+    recordChange(req, 'change_password', 'user', username);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── SETTINGS ──────────────────────────────────────────────────────────────────
+
+app.get('/api/settings', requireAuth, (req, res) => {
+  try {
+    res.json(settings.getAllSettings(db));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.patch('/api/settings', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const before  = audit.snapshot(db, 'settings');
+    const unknown = settings.saveSettings(db, req.body, req.session.username);
+    if (unknown.length) return res.status(400).json({ error: `Unknown setting(s): ${unknown.join(', ')}` });
+    recordChange(req, 'update', 'settings', null, before);
+    res.json(settings.getAllSettings(db));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── PAYMENT METHODS ───────────────────────────────────────────────────────────
+
+// Methods the till offers, in order; ?all=1 includes switched-off ones
+app.get('/api/payment-methods', requireAuth, (req, res) => {
+  try {
+    res.json(payments.listMethods(db, { all: req.query.all === '1' }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { code, name, currencies?: ['USD', …] (default: any), inDrawer?,
+// givesChange?, terminalRef?, active?, sortOrder? }
+app.post('/api/payment-methods', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const row = payments.createMethod(db, req.body, req.session.username);
+    recordChange(req, 'create', 'payment_method', row.code);
+    res.status(201).json(row);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.patch('/api/payment-methods/:code', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'payment_method', req.params.code.toLowerCase());
+    const row    = payments.updateMethod(db, req.params.code, req.body, req.session.username);
+    recordChange(req, 'update', 'payment_method', row.code, before);
+    res.json(row);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/payment-methods/:code', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'payment_method', req.params.code.toLowerCase());
+    const row    = payments.deleteMethod(db, req.params.code);
+    recordChange(req, 'delete', 'payment_method', row.code, before);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── VAT RATES ─────────────────────────────────────────────────────────────────
+
+// The default rate (default_vat_rate setting) and the per-category ones
+app.get('/api/vat-rates', requireAuth, (req, res) => {
+  try {
+    res.json(vat.listRates(db));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { category, rate } — rate in percent, e.g. 10
+app.post('/api/vat-rates', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const category = String(req.body.category || '').trim().toLowerCase();
+    const before   = audit.snapshot(db, 'vat_rate', category);
+    const row      = vat.setCategoryRate(db, category, req.body.rate, req.session.username);
+    recordChange(req, before ? 'update' : 'create', 'vat_rate', row.category, before);
+    res.status(before ? 200 : 201).json(row);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/vat-rates/:category', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const row = vat.deleteCategoryRate(db, req.params.category);
+    recordChange(req, 'delete', 'vat_rate', row.category, row);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── PROMOTIONS & DISCOUNTS ────────────────────────────────────────────────────
+
+// ?active=1 for the rules running today
+app.get('/api/promotions', requireAuth, (req, res) => {
+  try {
+    res.json(promotions.listPromotions(db, { active: req.query.active === '1' }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reason codes a cashier picks from when giving a discount
+app.get('/api/promotions/reasons', requireAuth, (req, res) => {
+  res.json(promotions.DISCOUNT_REASONS);
+});
+
+// Body: { name, type, season?, category?, productId?, channel?, startsAt?,
+// endsAt?, active? } plus percent (percent_off), buyQty + getQty
+// (buy_x_get_y) or bundleQty + bundlePrice (bundle_price)
+app.post('/api/promotions', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const row = promotions.createPromotion(db, req.body, req.session.username);
+    recordChange(req, 'create', 'promotion', row.id);
+    res.status(201).json(row);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.patch('/api/promotions/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'promotion', req.params.id);
+    const row    = promotions.updatePromotion(db, req.params.id, req.body);
+    recordChange(req, 'update', 'promotion', row.id, before);
+    res.json(row);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/promotions/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const row = promotions.deletePromotion(db, req.params.id);
+    recordChange(req, 'delete', 'promotion', row.id, row);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// What a cart would cost, without recording anything: the POS shows
+// promotions and discounts before the sale. Body: { items, discount?,
+// applyPromotions? } as for POST /api/transactions.
+app.post('/api/promotions/price', requireAuth, (req, res) => {
+  if (!Array.isArray(req.body.items) || !req.body.items.length)
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  try {
+    res.json(promotions.priceCart(db, req.body.items, {
+      discount: req.body.discount, applyPromotions: req.body.applyPromotions !== false,
+    }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── AUDIT LOG ─────────────────────────────────────────────────────────────────
+
+// ?entity=&entityId=&user=&action=&from=&to= (YYYY-MM-DD); newest first,
+// page back with ?before=<last id>&limit=
+app.get('/api/audit', requireAuth, requireAdmin, (req, res) => {
+  const { entity, entityId, user, action, from, to, before, limit } = req.query;
+  try {
+    res.json(audit.query(db, { entity, entityId, username: user, action, from, to, beforeId: before, limit }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Everything that happened to one record, oldest first. A transaction's
+// history includes the returns, deposits and refunds recorded against it.
+const HISTORY_ENTITIES = { products: 'product', transactions: 'transaction', customers: 'customer', shifts: 'shift', transfers: 'transfer',
+  'wholesale-orders': 'wholesale_order' };
+for (const [collection, entity] of Object.entries(HISTORY_ENTITIES)) {
+  app.get(`/api/${collection}/:id/history`, requireAuth, (req, res) => {
+    try {
+      const ids = [req.params.id];
+      // A transaction's history takes in what was recorded against it and
+      // the other half of an exchange
+      if (entity === 'transaction')
+        ids.push(...db.all('SELECT id FROM transactions WHERE original_id = ? OR exchange_id = ?', [req.params.id, req.params.id]).map(r => r.id));
+      res.json(audit.history(db, entity, ids));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+}
+
+// ── EXCHANGE RATES ────────────────────────────────────────────────────────────
+
+// ?base=EUR&quote=USD&from=YYYY-MM-DD&to=YYYY-MM-DD — newest first
+app.get('/api/exchange-rates', requireAuth, (req, res) => {
+  const { base, quote, from, to } = req.query;
+  const where = [], params = [];
+  if (base)  { where.push('base = ?');  params.push(String(base).toUpperCase()); }
+  if (quote) { where.push('quote = ?'); params.push(String(quote).toUpperCase()); }
+  if (from)  { where.push('date >= ?'); params.push(from); }
+  if (to)    { where.push('date <= ?'); params.push(to); }
+  try {
+    res.json(db.all(`
+      SELECT * FROM exchange_rates
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY date DESC, base, quote
+      LIMIT 1000
+    `, params));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rates into `quote` (default: the POS base currency) for a date (default
+// today), for every currency with rates on file. The POS uses this to fill
+// in the rate of foreign-currency payments.
+app.get('/api/exchange-rates/latest', requireAuth, (req, res) => {
+  const quote = String(req.query.quote || payments.BASE_CURRENCY).toUpperCase();
+  const date  = req.query.date || new Date().toISOString().slice(0, 10);
+  try {
+    const currencies = db.all('SELECT base AS c FROM exchange_rates UNION SELECT quote FROM exchange_rates').map(r => r.c);
+    const out = { [quote]: 1 };
+    currencies.forEach(c => {
+      const r = rates.rateOn(db, c, quote, date);
+      if (r != null) out[c] = r;
+    });
+    res.json({ date, quote, rates: out });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save validated rates with an audit entry for each one created or changed
+const findRate = r => db.get('SELECT * FROM exchange_rates WHERE date = ? AND base = ? AND quote = ?', [r.date, r.base, r.quote]);
+function saveRatesAudited(req, rows, source) {
+  const before = rows.map(findRate);
+  rates.saveRates(db, rows, { source, username: req.session.username });
+  rows.forEach((r, i) => recordChange(req, before[i] ? 'update' : 'create', 'exchange_rate', findRate(r).id, before[i]));
+}
+
+// Body: { date, base, quote, rate } or an array of them
+app.post('/api/exchange-rates', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const rows = (Array.isArray(req.body) ? req.body : [req.body]).map(rates.validateRate);
+    saveRatesAudited(req, rows, 'manual');
+    res.status(201).json({ saved: rows.length });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// multipart field "file": CSV of date,base,quote,rate. Valid lines are saved
+// even when others fail; the failures come back with their line numbers.
+app.post('/api/exchange-rates/import', requireAuth, requireAdmin, csvUpload.single('file'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  try {
+    const { rows, errors } = rates.parseCsv(req.file.buffer.toString('utf8'));
+    if (!rows.length) return res.status(400).json({ error: 'No valid rates in file', errors });
+    saveRatesAudited(req, rows, 'csv');
+    res.json({ imported: rows.length, errors });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/exchange-rates/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'exchange_rate', req.params.id);
+    rates.deleteRate(db, req.params.id);
+    if (before) recordChange(req, 'delete', 'exchange_rate', req.params.id, before);
     res.json({ ok: true });
   } catch (err) {
+    console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -160,306 +591,1379 @@ app.get('/api/auth/me', requireAuth, (req, res) =>
 
 // ── PRODUCTS ──────────────────────────────────────────────────────────────────
 
-app.get('/api/products', requireAuth, (req, res) => {
+// ?location= gives stock at that location instead of the totals
+app.get('/api/products', requireAuth, (req, res) => {
+  try {
+    const location = locations.resolveLocation(db, req.query.location)?.code;
+    res.json(enrichProducts(db.all('SELECT * FROM products ORDER BY id ASC'), location));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/products', requireAuth, (req, res) => {
+  const { name, ref, category, price, wholesale_price, season, description } = req.body;
+  if (!name || !ref || !category || !price)
+    return res.status(400).json({ error: 'Name, ref, category, and price are required' });
+  try {
+    // vat_rate overrides the category's rate; leave it out to use that
+    const vatRate = req.body.vat_rate === undefined ? null : vat.validateRate(req.body.vat_rate, { optional: true });
+    db.run(
+      `INSERT INTO products (name, ref, category, price, wholesale_price, status, season, description, vat_rate)
+       VALUES (?, ?, ?, ?, ?, 'new', ?, ?, ?)`,
+      [name, ref, category, price, wholesale_price || null, season || null, description || null, vatRate]
+    );
+    const newProduct = db.get('SELECT * FROM products WHERE ref = ?', [ref]);
+    recordChange(req, 'create', 'product', newProduct.id);
+    res.status(201).json(enrichProducts([newProduct])[0]);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.message?.includes('UNIQUE'))
+      return res.status(409).json({ error: 'A product with this reference code already exists' });
+    console.error('POST /api/products error:', err);
+    res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+app.patch('/api/products/:id', requireAuth, (req, res) => {
+  const { id } = req.params;
+  const { status, trend, name, ref, category, price, wholesale_price, season, description } = req.body;
+  try {
+    const before = audit.snapshot(db, 'product', id);
+    if (!before) return res.status(404).json({ error: 'Product not found' });
+    // vat_rate: null goes back to the category's rate
+    const vatRate = req.body.vat_rate === undefined ? undefined : vat.validateRate(req.body.vat_rate, { optional: true });
+    db.run(
+      `UPDATE products SET
+         status          = COALESCE(?, status),
+         trend           = COALESCE(?, trend),
+         name            = COALESCE(?, name),
+         ref             = COALESCE(?, ref),
+         category        = COALESCE(?, category),
+         price           = COALESCE(?, price),
+         wholesale_price = COALESCE(?, wholesale_price),
+         season          = COALESCE(?, season),
+         description     = COALESCE(?, description),
+         updated_at      = datetime('now')
+       WHERE id = ?`,
+      [status, trend, name, ref, category, price, wholesale_price, season, description, id]
+    );
+    if (vatRate !== undefined) db.run('UPDATE products SET vat_rate = ? WHERE id = ?', [vatRate, id]);
+    recordChange(req, 'update', 'product', id, before);
+    res.json(enrichProducts([db.get('SELECT * FROM products WHERE id = ?', [id])])[0]);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { variants: [{ color, size, channel, stock }], location? } — stock is
+// the count at `location`, or the total across locations without one
+app.patch('/api/products/:id/variants', requireAuth, (req, res) => {
+  const { id } = req.params;
+  const { variants } = req.body;
+  if (!Array.isArray(variants)) return res.status(400).json({ error: 'variants must be an array' });
+  try {
+    const before = audit.snapshot(db, 'product', id);
+    if (!before) return res.status(404).json({ error: 'Product not found' });
+    const location = locations.resolveLocation(db, req.body.location)?.code;
+    // Update in place so variant ids (and their holds) survive the rewrite
+    const doUpdate = db.transaction(() => {
+      const keep = new Set();
+      for (const v of variants) {
+        if (!v.color || !v.size || !v.channel) continue;
+        const item = { product_id: Number(id), color: v.color, size: String(v.size), channel: v.channel };
+        stock.setOnHand(db, item, parseInt(v.stock) || 0, { reason: 'catalogue', username: req.session.username, location });
+        keep.add(stock.findVariant(db, item).id);
+      }
+      for (const row of db.all('SELECT id FROM product_variants WHERE product_id = ?', [id])) {
+        if (!keep.has(row.id)) db.run('DELETE FROM product_variants WHERE id = ?', [row.id]);
+      }
+    });
+    doUpdate();
+    recordChange(req, 'update_variants', 'product', id, before);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/products/:id/image', requireAuth, upload.single('image'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No image uploaded' });
+  const imageUrl = '/uploads/' + req.file.filename;
+  const existing = audit.snapshot(db, 'product', req.params.id);
+  if (existing?.image_url) {
+    const oldPath = path.join(uploadsDir, path.basename(existing.image_url));
+    if (fs.existsSync(oldPath)) fs.unlinkSync(oldPath);
+  }
+  db.run("UPDATE products SET image_url = ?, updated_at = datetime('now') WHERE id = ?", [imageUrl, req.params.id]);
+  if (existing) recordChange(req, 'update_image', 'product', req.params.id, existing);
+  res.json({ imageUrl });
+});
+
+app.delete('/api/products/:id', requireAuth, (req, res) => {
+  try {
+    const product = audit.snapshot(db, 'product', req.params.id);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (product.image_url) {
+      const imgPath = path.join(uploadsDir, path.basename(product.image_url));
+      if (fs.existsSync(imgPath)) fs.unlinkSync(imgPath);
+    }
+    db.run('DELETE FROM products WHERE id = ?', [req.params.id]);
+    recordChange(req, 'delete', 'product', req.params.id, product);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── LOCATIONS ─────────────────────────────────────────────────────────────────
+
+// Active locations; ?all=1 includes deactivated ones
+app.get('/api/locations', requireAuth, (req, res) => {
+  try {
+    res.json(locations.listLocations(db, { all: req.query.all === '1' }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { code, name, kind: shop|workshop|warehouse }
+app.post('/api/locations', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const loc = locations.createLocation(db, req.body);
+    recordChange(req, 'create', 'location', loc.code);
+    res.status(201).json(loc);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { name?, kind?, active? } — the code stays
+app.patch('/api/locations/:code', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'location', req.params.code);
+    const loc    = locations.updateLocation(db, req.params.code, req.body);
+    recordChange(req, 'update', 'location', loc.code, before);
+    res.json(loc);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── STOCK TRANSFERS ───────────────────────────────────────────────────────────
+
+// ?status=draft|in_transit|received|cancelled&location= (either end)
+app.get('/api/transfers', requireAuth, (req, res) => {
+  try {
+    res.json(transfers.listTransfers(db, { status: req.query.status, location: req.query.location }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/transfers/:id', requireAuth, (req, res) => {
+  const transfer = transfers.getTransfer(db, req.params.id);
+  if (!transfer) return res.status(404).json({ error: 'Transfer not found' });
+  res.json(transfer);
+});
+
+// Body: { from, to, items: [{ productId, color, size, channel, quantity }], note? }
+app.post('/api/transfers', requireAuth, (req, res) => {
+  try {
+    const transfer = transfers.createTransfer(db, { ...req.body, username: req.session.username });
+    recordChange(req, 'create', 'transfer', transfer.id);
+    res.status(201).json(transfer);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// send: draft → in_transit, receive: in_transit → received, cancel
+for (const [step, fn] of [['send', 'sendTransfer'], ['receive', 'receiveTransfer'], ['cancel', 'cancelTransfer']]) {
+  app.post(`/api/transfers/:id/${step}`, requireAuth, (req, res) => {
+    try {
+      const before   = audit.snapshot(db, 'transfer', req.params.id);
+      const transfer = transfers[fn](db, req.params.id, { username: req.session.username });
+      recordChange(req, step, 'transfer', transfer.id, before);
+      res.json(transfer);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+}
+
+// ── WHOLESALE ORDERS ──────────────────────────────────────────────────────────
+
+// ?status=&customerId=&location=
+app.get('/api/wholesale-orders', requireAuth, (req, res) => {
+  try {
+    const { status, customerId, location } = req.query;
+    if (status && !wholesale.STATUSES.includes(status))
+      return res.status(400).json({ error: `status must be one of ${wholesale.STATUSES.join(', ')}` });
+    res.json(wholesale.listOrders(db, { status, customerId, location }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Units owed on open orders with no stock to hold for them (?location=)
+app.get('/api/wholesale-orders/backorders', requireAuth, (req, res) => {
+  try {
+    res.json(wholesale.backorders(db, { location: req.query.location }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/wholesale-orders/:id', requireAuth, (req, res) => {
+  const order = wholesale.getOrder(db, req.params.id);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  res.json(order);
+});
+
+// Body: { customerId, location?, items: [{ productId, color, size, quantity,
+// unitPrice? }], validUntil?, note? } — starts as a quote
+app.post('/api/wholesale-orders', requireAuth, (req, res) => {
+  try {
+    const order = wholesale.createOrder(db, { ...req.body, username: req.session.username });
+    recordChange(req, 'create', 'wholesale_order', order.id);
+    res.status(201).json(order);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Quotes only. Body: { items?, validUntil?, note? }
+app.patch('/api/wholesale-orders/:id', requireAuth, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'wholesale_order', req.params.id);
+    const order  = wholesale.updateQuote(db, req.params.id, req.body);
+    recordChange(req, 'update', 'wholesale_order', order.id, before);
+    res.json(order);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// confirm: quote → confirmed, pick: → picking, deliver: close a part-shipped
+// order, invoice: delivered → invoiced, cancel
+for (const [step, fn] of [['confirm', 'confirmOrder'], ['pick', 'pickOrder'], ['deliver', 'deliverOrder'], ['invoice', 'invoiceOrder'], ['cancel', 'cancelOrder']]) {
+  app.post(`/api/wholesale-orders/:id/${step}`, requireAuth, (req, res) => {
+    try {
+      const before = audit.snapshot(db, 'wholesale_order', req.params.id);
+      const order  = wholesale[fn](db, req.params.id, { username: req.session.username });
+      recordChange(req, step, 'wholesale_order', order.id, before);
+      res.json(order);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+}
+
+// Ship units: { lines?: [{ lineId, quantity }] (default: all held), note? }.
+// Booked as a sale to the customer's account.
+app.post('/api/wholesale-orders/:id/shipments', requireAuth, retrySafe, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'wholesale_order', req.params.id);
+    const result = wholesale.shipOrder(db, req.params.id, { lines: req.body.lines, note: req.body.note, username: req.session.username });
+    recordChange(req, 'ship', 'wholesale_order', result.order.id, before);
+    recordChange(req, 'create', 'transaction', result.transaction.id);
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Printable A4 documents; ?print=1 opens the print dialog
+app.get('/api/wholesale-orders/:id/proforma', requireAuth, (req, res) => {
+  const order = wholesale.getOrder(db, req.params.id);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  res.type('html').send(wholesale.renderProforma(db, order, { autoPrint: req.query.print === '1' }));
+});
+
+app.get('/api/wholesale-orders/:id/shipments/:shipmentId/delivery-note', requireAuth, (req, res) => {
+  try {
+    const order = wholesale.getOrder(db, req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.type('html').send(wholesale.renderDeliveryNote(db, order, req.params.shipmentId, { autoPrint: req.query.print === '1' }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── CHANNEL CONVERSION ────────────────────────────────────────────────────────
+
+// ?category= — that category's rules and the '*' ones
+app.get('/api/conversion-rules', requireAuth, (req, res) => {
+  try {
+    res.json(conversions.listRules(db, { category: req.query.category }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { category ('*' for any), packSize, sizes: '36,38,40' | ['36', '38', '40'] }
+app.post('/api/conversion-rules', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const valid  = conversions.validateRule(req.body);
+    const before = audit.snapshot(db, 'conversion_rule', conversions.ruleFor(db, valid.category, valid.pack_size)?.id);
+    const rule   = conversions.saveRule(db, valid, req.session.username);
+    recordChange(req, before ? 'update' : 'create', 'conversion_rule', rule.id, before);
+    res.status(before ? 200 : 201).json(rule);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/conversion-rules/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'conversion_rule', req.params.id);
+    conversions.deleteRule(db, req.params.id);
+    recordChange(req, 'delete', 'conversion_rule', req.params.id, before);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Open wholesale packs into single sizes.
+// Body: { color, packSize, quantity (packs), location? }
+app.post('/api/products/:id/convert', requireAuth, (req, res) => {
+  try {
+    const before = audit.snapshot(db, 'product', req.params.id);
+    if (!before) return res.status(404).json({ error: 'Product not found' });
+    const location   = locations.resolveLocation(db, req.body.location)?.code;
+    const conversion = conversions.convertPacks(db, {
+      ...req.body, productId: before.id, location, username: req.session.username,
+    });
+    recordChange(req, 'convert', 'product', before.id, before);
+    res.status(201).json(conversion);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── BARCODES ──────────────────────────────────────────────────────────────────
+
+// Scan lookup: the variant, its product's name and prices, and what is
+// available (at ?location= when given)
+app.get('/api/variants/by-barcode/:code', requireAuth, (req, res) => {
+  try {
+    const variant = barcodes.findByBarcode(db, req.params.code);
+    if (!variant) return res.status(404).json({ error: `No variant with barcode ${req.params.code}` });
+    const location = locationParam(req);
+    const here     = location ? stock.atLocation(db, variant.id, location) : variant;
+    res.json({ ...variant, stock: here.stock, reserved: here.reserved, available: here.stock - here.reserved, location });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { barcode } — a supplier code, or empty to go back to the generated one
+app.patch('/api/variants/:id/barcode', requireAuth, (req, res) => {
+  try {
+    const row = db.get('SELECT product_id FROM product_variants WHERE id = ?', [req.params.id]);
+    if (!row) return res.status(404).json({ error: 'Variant not found' });
+    const before  = audit.snapshot(db, 'product', row.product_id);
+    const variant = barcodes.setBarcode(db, req.params.id, req.body.barcode);
+    recordChange(req, 'update_barcode', 'product', row.product_id, before);
+    res.json(variant);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// SVG of any code: EAN-13 when it is a valid one, else Code 128.
+// ?module= (px per bar unit, default 2), ?height= (px), ?text=0 hides the digits
+app.get('/api/barcodes/:code', requireAuth, (req, res) => {
+  try {
+    const svg = barcodes.renderSvg(req.params.code, {
+      module: Math.min(Math.max(parseInt(req.query.module) || 2, 1), 10),
+      height: Math.min(Math.max(parseInt(req.query.height) || 60, 10), 400),
+      text:   req.query.text !== '0',
+    });
+    res.type('image/svg+xml').set('Cache-Control', 'private, max-age=86400').send(svg);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── LABELS ────────────────────────────────────────────────────────────────────
+
+app.get('/api/labels/templates', requireAuth, (req, res) => {
+  res.json({ default: settings.getSetting(db, 'label_template'), templates: labels.listTemplates() });
+});
+
+// Label sheet as print-ready HTML. What to label: ?items=variantId:qty,…
+// or ?productId= (&quantity=N|stock) or ?transferId=. Layout: ?template=,
+// ?skip= (used positions on the first sheet), ?hide=price,ref…, ?print=1
+app.get('/api/labels', requireAuth, (req, res) => {
+  try {
+    const list = labels.collectLabels(db, req.query);
+    res.type('html').send(labels.renderSheet(db, list, {
+      template: req.query.template, skip: req.query.skip, hide: req.query.hide, autoPrint: req.query.print === '1',
+    }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── INVENTORY (read-only — stock is managed by DIA sync) ─────────────────────
+
+// Stock per variant: on hand, held and available at ?location= (or across
+// all, with the split per location), plus units in transit to it.
+// Filters: productId, channel.
+app.get('/api/inventory', requireAuth, (req, res) => {
+  try {
+    const location = locationParam(req);
+    const where = [], params = [];
+    if (req.query.productId) { where.push('pv.product_id = ?'); params.push(req.query.productId); }
+    if (req.query.channel)   { where.push('pv.channel = ?');    params.push(req.query.channel); }
+    const variants = db.all(`
+      SELECT pv.id AS variant_id, pv.product_id, p.name, p.ref, pv.color, pv.size, pv.channel, pv.barcode, pv.stock, pv.reserved
+      FROM product_variants pv
+      JOIN products p ON p.id = pv.product_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY p.name, pv.channel, pv.color, pv.size
+    `, params);
+    const perLocation = {};
+    db.all('SELECT * FROM variant_stock ORDER BY location')
+      .forEach(r => (perLocation[r.variant_id] ??= []).push({ location: r.location, stock: r.stock, reserved: r.reserved }));
+    const transit = transfers.inTransit(db, location);
+
+    res.json(variants.map(v => {
+      const here = location ? (perLocation[v.variant_id] || []).find(r => r.location === location) || { stock: 0, reserved: 0 } : v;
+      return {
+        ...v,
+        stock:      here.stock,
+        reserved:   here.reserved,
+        available:  here.stock - here.reserved,
+        in_transit: transit[`${v.product_id}|${v.color}|${v.size}|${v.channel}`] || 0,
+        ...(!location && { locations: perLocation[v.variant_id] || [] }),
+      };
+    }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ── TRANSACTIONS ──────────────────────────────────────────────────────────────
+
+// Newest first, a page at a time: ?limit= (default 50) and ?cursor= from the
+// previous page's next_cursor. Filters: from, to, type, status, location,
+// method, createdBy, productId, customerId, needsRate, q — see transactions.js.
+app.get('/api/transactions', requireAuth, (req, res) => {
+  try {
+    res.json(txList.listTransactions(db, req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/transactions', requireAuth, retrySafe, (req, res) => {
+  const { type, description, items, status, location } = req.body;
+  // Sales with items are priced here; `total` is only needed without them
+  const priced = type === 'sale' && Array.isArray(items) && items.length > 0;
+  if (!type || (!priced && req.body.total === undefined && !Array.isArray(req.body.payments)))
+    return res.status(400).json({ error: 'Type and total are required' });
+  if (type === 'return') return res.status(400).json({ error: 'Record returns through /api/transactions/:id/return' });
+  if (type === 'deposit') return res.status(400).json({ error: 'Record deposits through /api/transactions/:id/deposits' });
+
+  const txStatus = status === 'reserved' ? 'reserved' : 'completed';
+  const txId     = numbering.newId(type === 'sale' ? 'TXN' : 'MAN');
+  const username = req.session.username;
+
+  // Reservations are paid on pickup, so they carry no payment rows yet.
+  // A sale booked to a customer may be paid short (or not at all, with
+  // `payments: []`); the rest goes on their account. Walk-in sales are paid
+  // in full.
+  let tenders = null, customer = null, expiresAt = null, cart = null;
+  try {
+    customer = customers.resolveCustomer(db, req.body.customerId);
+    locations.resolveLocation(db, location);
+    // Sale lines are priced here: promotions, line and cart discounts
+    if (priced)
+      cart = promotions.priceCart(db, items, { discount: req.body.discount, applyPromotions: req.body.applyPromotions !== false });
+    // A total sent with them is what the till showed: it has to be what the sale costs
+    if (cart && req.body.total !== undefined && Math.abs((parseFloat(req.body.total) || 0) - cart.gross) > 0.005)
+      return res.status(400).json({ error: `Total ${(parseFloat(req.body.total) || 0).toFixed(2)} does not match the priced cart (${cart.gross.toFixed(2)}) — reprice the cart and try again` });
+    const requireFull = type === 'sale' && !customer;
+    if (txStatus !== 'reserved')
+      tenders = cart ? readTenders({ ...req.body, total: cart.gross }, cart.gross, { requireFull })
+        : readTenders(req.body, type === 'sale' ? parseFloat(req.body.total) || 0 : undefined, { requireFull });
+    // Reservations lapse after reservation_days unless given expiresAt / reservationDays
+    else expiresAt = reservations.expiryFor(db, { expiresAt: req.body.expiresAt, days: req.body.reservationDays });
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+  // Sales are priced in base currency; money in/out is whatever was tendered
+  const total = cart ? cart.gross
+    : type !== 'sale' && tenders ? payments.totalInBase(tenders) : parseFloat(req.body.total) || 0;
+  // Money taken now goes into the drawer shift open at this location
+  const shift = tenders ? shifts.currentShift(db, location) : null;
+
+  const doInsert = db.transaction(() => {
+    db.run(
+      `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, shift_id, customer_id, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [txId, numbering.allocate(db, { type, location }), type, txStatus, total, description || null, username,
+       location || null, shift?.id ?? null, customer?.id ?? null, expiresAt]
+    );
+    if (tenders) {
+      payments.savePayments(db, txId, tenders);
+      credits.settleTenders(db, txId, tenders, { location, username });
+    }
+    if (cart) {
+      for (const line of cart.lines) {
+        const { lastInsertRowid } = db.run(
+          `INSERT INTO transaction_items (transaction_id, product_id, color, size, channel, quantity, unit_price, list_price, discount_amount)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [txId, line.productId, line.color, line.size, line.channel, line.quantity, line.unit_price, line.list_price, line.discount_amount]
+        );
+        promotions.saveDiscounts(db, txId, lastInsertRowid, line.discounts);
+        // Completed sales take stock off the shelf where they are made;
+        // reservations only hold it there
+        const variant = { product_id: line.productId, color: line.color, size: line.size, channel: line.channel };
+        if (txStatus === 'reserved') stock.hold(db, variant, line.quantity, { refId: txId, username, location });
+        else                         stock.sell(db, variant, line.quantity, { refId: txId, username, location });
+      }
+      vat.priceLines(db, txId);
+    }
+    recordChange(req, 'create', 'transaction', txId);
+  });
+
+  try {
+    doInsert();
+    res.status(201).json(db.get('SELECT * FROM transactions WHERE id = ?', [txId]));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Receipt of a transaction (id or document number). ?format=html (80mm,
+// default; &print=1 opens the print dialog) or escpos (raw printer bytes);
+// &gift=1 for a gift receipt without prices, &reprint=1 to mark it a copy.
+app.get('/api/transactions/:id/receipt', requireAuth, (req, res) => {
+  try {
+    const receipt = receipts.buildReceipt(db, req.params.id, {
+      gift: req.query.gift === '1', reprint: req.query.reprint === '1',
+    });
+    if (req.query.format === 'escpos') {
+      res.set('Content-Type', 'application/octet-stream');
+      res.set('Content-Disposition', `attachment; filename="${receipt.doc_number}.bin"`);
+      return res.send(receipts.renderEscPos(receipt));
+    }
+    if (req.query.format && req.query.format !== 'html')
+      return res.status(400).json({ error: 'format must be html or escpos' });
+    res.type('html').send(receipts.renderHtml(receipt, { autoPrint: req.query.print === '1' }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Void a completed transaction: it stays on file with who voided it, when
+// and why, drops out of revenue and the drawer, and its stock and store
+// credit effects are undone. The two halves of an exchange are voided together. Body: { reason }
+app.post('/api/transactions/:id/void', requireAuth, (req, res) => {
+  const reason = String(req.body.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'A reason is required to void a transaction' });
+  try {
+    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+    if (txn.status && txn.status !== 'completed')
+      return res.status(409).json({ error: txn.status === 'reserved' ? 'Reservations are cancelled, not voided'
+        : txn.status === 'voided' ? `${txn.id} is already voided`
+        : `Transaction is ${txn.status} and cannot be voided` });
+    const group = [txn];
+    if (txn.exchange_id) group.push(db.get('SELECT * FROM transactions WHERE id = ?', [txn.exchange_id]));
+    for (const t of group) {
+      const hasReturns = db.get("SELECT id FROM transactions WHERE original_id = ? AND type = 'return' AND (status = 'completed' OR status IS NULL) LIMIT 1", [t.id]);
+      if (hasReturns)
+        return res.status(409).json({ error: `Sale ${t.id} has returns recorded against it (${hasReturns.id}) — void those first` });
+      const hasDeposits = db.get("SELECT id FROM transactions WHERE original_id = ? AND type IN ('deposit', 'out') AND (status = 'completed' OR status IS NULL) LIMIT 1", [t.id]);
+      if (hasDeposits)
+        return res.status(409).json({ error: `Deposits are recorded against it (${hasDeposits.id}) — void those first` });
+      const shipment = wholesale.shipmentOf(db, t.id);
+      if (shipment)
+        return res.status(409).json({ error: `Sale ${t.id} is delivery ${shipment.doc_number} of wholesale order ${shipment.order_doc_number} — record a return instead` });
+      shifts.assertEditable(db, t);
+    }
+    const before = group.map(t => audit.snapshot(db, 'transaction', t.id));
+    const doVoid = db.transaction(() => {
+      group.forEach((t, i) => {
+        // Undo the stock effect: sales go back on the shelf, a voided return
+        // takes its restocked units back off.
+        const items = db.all('SELECT * FROM transaction_items WHERE transaction_id = ?', [t.id]);
+        const meta  = { reason: 'void', refId: t.id, username: req.session.username, location: t.location };
+        for (const item of items) {
+          if (t.type === 'return')    stock.adjust(db, item, { stock: -item.quantity }, meta);
+          else if (t.type === 'sale') stock.restock(db, item, item.quantity, meta);
+        }
+        // Credit it took is given back; credit it issued is taken off again
+        credits.reverseTransaction(db, t.id, { location: t.location, note: `void — ${reason}`, username: req.session.username });
+        db.run(
+          "UPDATE transactions SET status = 'voided', voided_by = ?, voided_at = datetime('now'), void_reason = ? WHERE id = ?",
+          [req.session.username, reason, t.id]
+        );
+        recordChange(req, 'void', 'transaction', t.id, before[i]);
+      });
+    });
+    doVoid();
+    res.json(db.get('SELECT * FROM transactions WHERE id = ?', [txn.id]));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Purge: remove a transaction for good. Admin only, and only once it is
+// older than purge_retention_days. Stock is left as it is — a purge erases
+// the record, not what happened on the shop floor; void first to undo that.
+app.delete('/api/transactions/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+    const days = settings.getSetting(db, 'purge_retention_days');
+    const age  = db.get("SELECT julianday('now') - julianday(?) AS days", [txn.created_at]).days;
+    if (!(age >= days))
+      return res.status(409).json({ error: `Only transactions older than ${days} days can be purged — void it instead` });
+    if (txn.status === 'reserved')
+      return res.status(409).json({ error: 'Cancel the reservation before purging it' });
+    // An exchange goes as a pair
+    const ids    = [txn.id, txn.exchange_id].filter(Boolean);
+    const marks  = ids.map(() => '?').join(',');
+    const linked = db.get(`SELECT id FROM transactions WHERE original_id IN (${marks}) AND id NOT IN (${marks}) LIMIT 1`, [...ids, ...ids]);
+    if (linked)
+      return res.status(409).json({ error: `${linked.id} is recorded against it — purge that first` });
+    const before = ids.map(id => audit.snapshot(db, 'transaction', id));
+    const doPurge = db.transaction(() => {
+      db.run(`UPDATE transactions SET exchange_id = NULL WHERE id IN (${marks})`, ids);
+      ids.forEach((id, i) => {
+        db.run('DELETE FROM transactions WHERE id = ?', [id]);
+        recordChange(req, 'purge', 'transaction', id, before[i]);
+      });
+    });
+    doPurge();
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Edit items/price/payment on an already-completed sale (stock restores for removed/reduced items).
+// A line priced below its list price is recorded as a discount, for the
+// item's discountReason (default 'price_override').
+app.patch('/api/transactions/:id/edit', requireAuth, (req, res) => {
+  const { items } = req.body;
+  try {
+    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+    if (txn.type !== 'sale' || (txn.status && txn.status !== 'completed'))
+      return res.status(400).json({ error: 'This endpoint is for completed sales only' });
+    const shipment = wholesale.shipmentOf(db, txn.id);
+    if (shipment)
+      return res.status(409).json({ error: `This sale is delivery ${shipment.doc_number} of wholesale order ${shipment.order_doc_number} and cannot be edited` });
+    shifts.assertEditable(db, txn);
+
+    const origItems = db.all('SELECT * FROM transaction_items WHERE transaction_id = ?', [txn.id]);
+
+    // Lines that were (partly) returned cannot shrink below the returned quantity
+    if (Array.isArray(items)) {
+      const returned = returnedQtyByItem();
+      for (const orig of origItems) {
+        const done = returned[orig.id] || 0;
+        if (!done) continue;
+        const updated = items.find(i => i.itemId === orig.id);
+        const newQty  = updated ? Math.max(1, parseInt(updated.quantity) || 1) : 0;
+        if (newQty < done)
+          return res.status(400).json({ error: `${done} unit(s) of item ${orig.id} were already returned` });
+      }
+    }
+    // Payments are only replaced when the client sends new ones
+    const newPayments = req.body.payments || req.body.paymentMethod;
+    const before      = audit.snapshot(db, 'transaction', txn.id);
+
+    const doEdit = db.transaction(() => {
+      if (Array.isArray(items)) {
+        const meta = { reason: 'edit', refId: txn.id, username: req.session.username, location: txn.location };
+        for (const orig of origItems) {
+          const updated = items.find(i => i.itemId === orig.id);
+
+          if (!updated) {
+            db.run('DELETE FROM transaction_items WHERE id = ?', [orig.id]);
+            stock.restock(db, orig, orig.quantity, meta);
+          } else {
+            const newQty   = Math.max(1, parseInt(updated.quantity)  || 1);
+            const newPrice = Math.max(0, parseFloat(updated.unitPrice) || 0);
+            promotions.repriceLine(db, orig, newQty, newPrice, updated.discountReason);
+            stock.adjust(db, orig, { stock: orig.quantity - newQty }, meta);
+          }
+        }
+      }
+
+      // Recalculate total from remaining items, VAT on wholesale lines included
+      const newTotal = vat.priceLines(db, txn.id);
+      db.run('UPDATE transactions SET total = ? WHERE id = ?', [newTotal, txn.id]);
+      if (newPayments) {
+        const owed = newTotal - (reservations.depositTotals(db, [txn.id])[txn.id] || 0);
+        const tenders = readTenders({ ...req.body, total: Math.max(owed, 0) }, Math.max(owed, 0), { requireFull: !txn.customer_id });
+        payments.savePayments(db, txn.id, tenders);
+        credits.settleTenders(db, txn.id, tenders, { location: txn.location, username: req.session.username });
+      }
+      recordChange(req, 'edit', 'transaction', txn.id, before);
+    });
+
+    doEdit();
+    res.json(db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.patch('/api/transactions/:id/finalize', requireAuth, retrySafe, (req, res) => {
+  const { items } = req.body;
+  // items: [{ itemId, quantity, unitPrice, discountReason? }] — the final edited state from the UI
+  try {
+    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+    if (txn.status === 'expired')  return res.status(409).json({ error: 'Reservation has expired and its stock was released' });
+    if (txn.status !== 'reserved') return res.status(400).json({ error: 'Transaction is not reserved' });
+
+    const origItems = db.all('SELECT * FROM transaction_items WHERE transaction_id = ?', [txn.id]);
+    // Payment is collected now, into whichever drawer is open where it is picked up
+    const location  = locations.resolveLocation(db, req.body.location)?.code || txn.location;
+    const shift     = shifts.currentShift(db, location);
+    const customer  = req.body.customerId !== undefined
+      ? customers.resolveCustomer(db, req.body.customerId)
+      : { id: txn.customer_id };
+    const before    = audit.snapshot(db, 'transaction', txn.id);
+
+    const doFinalize = db.transaction(() => {
+      // Turn each line's hold (where it was reserved) into a real decrement
+      // of whatever is finally taken, where it is picked up
+      const meta = { refId: txn.id, username: req.session.username, location };
+      for (const orig of origItems) {
+        const updated = Array.isArray(items) ? items.find(i => i.itemId === orig.id) : orig;
+        stock.release(db, orig, orig.quantity, { ...meta, location: txn.location });
+
+        if (!updated) {
+          db.run('DELETE FROM transaction_items WHERE id = ?', [orig.id]);
+        } else if (Array.isArray(items)) {
+          const newQty   = Math.max(1, parseInt(updated.quantity)  || 1);
+          const newPrice = Math.max(0, parseFloat(updated.unitPrice) || 0);
+          promotions.repriceLine(db, orig, newQty, newPrice, updated.discountReason);
+          stock.sell(db, orig, newQty, meta);
+        } else {
+          stock.sell(db, orig, orig.quantity, meta);
+        }
+      }
+
+      // Recalculate total from remaining items, VAT on wholesale lines included
+      const newTotal = vat.priceLines(db, txn.id);
+
+      db.run(
+        "UPDATE transactions SET status = 'completed', total = ?, location = ?, shift_id = ?, customer_id = ? WHERE id = ?",
+        [newTotal, location || null, shift?.id ?? null, customer?.id ?? null, txn.id]
+      );
+      // Deposits already taken count towards the total; collect the rest
+      const owed = Math.round((newTotal - (reservations.depositTotals(db, [txn.id])[txn.id] || 0)) * 100) / 100;
+      if (owed < 0)
+        throw new reservations.ReservationError(`Deposits exceed the new total by ${(-owed).toFixed(2)} — refund the difference first`);
+      const tenders = readTenders({ ...req.body, total: owed }, owed, { requireFull: !customer?.id });
+      payments.savePayments(db, txn.id, tenders);
+      credits.settleTenders(db, txn.id, tenders, { location, username: req.session.username });
+      recordChange(req, 'finalize', 'transaction', txn.id, before);
+    });
+
+    doFinalize();
+    res.json(db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Return (iade) lines of a completed sale. Body: { items: [{ itemId, quantity }],
+// refundTo: 'original' | 'store_credit', creditCode?, description? }. Partial
+// returns are allowed until every unit of a line is back; returned units go
+// back into the matching product_variants row. 'original' refunds through the
+// sale's own methods and currencies, pro rata to the value returned;
+// 'store_credit' puts the value on a new credit account (or the one with
+// creditCode), returned as `store_credit`.
+app.post('/api/transactions/:id/return', requireAuth, retrySafe, (req, res) => {
+  const { items, refundTo, description } = req.body;
+  if (!Array.isArray(items) || !items.length)
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  const mode = refundTo === 'store_credit' ? 'store_credit' : 'original';
+
+  try {
+    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+    if (txn.type !== 'sale' || (txn.status && txn.status !== 'completed'))
+      return res.status(400).json({ error: 'Only completed sales can be returned' });
+
+    const origItems = db.all(`
+      SELECT ti.*, p.name AS product_name
+      FROM transaction_items ti
+      LEFT JOIN products p ON p.id = ti.product_id
+      WHERE ti.transaction_id = ?
+    `, [txn.id]);
+    const returned = returnedQtyByItem();
+
+    const qtyByItem = {};
+    for (const r of items) {
+      const qty = parseInt(r.quantity) || 0;
+      if (qty < 1) return res.status(400).json({ error: 'Return quantities must be at least 1' });
+      qtyByItem[r.itemId] = (qtyByItem[r.itemId] || 0) + qty;
+    }
+    const lines = [];
+    for (const [itemId, qty] of Object.entries(qtyByItem)) {
+      const orig = origItems.find(i => i.id === Number(itemId));
+      if (!orig) return res.status(400).json({ error: `Item ${itemId} is not part of ${txn.id}` });
+      const left = orig.quantity - (returned[orig.id] || 0);
+      if (qty > left)
+        return res.status(400).json({ error: `Only ${left} unit(s) of item ${orig.id} can still be returned` });
+      lines.push({ orig, qty });
+    }
+
+    // Refunded at what was charged: wholesale lines with the VAT added on top
+    const total  = Math.round(lines.reduce((s, l) => s + vat.lineAmounts({ ...l.orig, quantity: l.qty }).gross, 0) * 100) / 100;
+    const share  = txn.total > 0 ? Math.min(total / txn.total, 1) : 0;
+    // Refund in the sale's own currencies (deposits included) at the rates it
+    // was paid at, net of change, up to what the returned goods are worth
+    const refund = mode === 'store_credit'
+      ? [{ method: 'store_credit', currency: payments.BASE_CURRENCY, amount: total, rate: 1 }]
+      : payments.refundShare([...(payments.paymentsByTxn(db, [txn.id])[txn.id] || []), ...reservations.depositPayments(db, txn.id)], share, total);
+    const retId = numbering.newId('RET');
+    // Refunds come out of the drawer open now, where the customer brought it back
+    const location = locations.resolveLocation(db, req.body.location)?.code || txn.location;
+    const shift    = shifts.currentShift(db, location);
+    const desc  = description || 'Return: ' + lines.map(l => `${l.qty}x ${l.orig.product_name || 'Product #' + l.orig.product_id}`).join(', ');
+
+    let credit = null;
+    const doReturn = db.transaction(() => {
+      db.run(
+        `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, original_id, refund_to, shift_id, customer_id)
+         VALUES (?, ?, 'return', 'completed', ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [retId, numbering.allocate(db, { type: 'return', location }), total, desc, req.session.username, location || null, txn.id, mode, shift?.id ?? null, txn.customer_id ?? null]
+      );
+      if (mode === 'store_credit' && total > 0) {
+        credit = credits.issue(db, {
+          kind: 'store_credit', amount: total, code: req.body.creditCode, customerId: txn.customer_id, location,
+          note: `Refund — ${txn.id}`, transactionId: retId, username: req.session.username,
+        });
+        refund[0].code = credit.code;
+      }
+      payments.savePayments(db, retId, refund);
+      for (const { orig, qty } of lines) {
+        db.run(
+          `INSERT INTO transaction_items (transaction_id, product_id, color, size, channel, quantity, unit_price, original_item_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [retId, orig.product_id, orig.color, orig.size, orig.channel, qty, orig.unit_price, orig.id]
+        );
+        stock.restock(db, orig, qty, { reason: 'return', refId: retId, username: req.session.username, location });
+      }
+      vat.priceLines(db, retId);
+      recordChange(req, 'create', 'transaction', retId);
+    });
+
+    doReturn();
+    res.status(201).json({ ...db.get('SELECT * FROM transactions WHERE id = ?', [retId]), ...(credit && { store_credit: credit }) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Exchange lines of a completed sale for other goods. Body: { returns:
+// [{ itemId, quantity }], items: [{ productId, color, size, channel, quantity,
+// unitPrice?, discount? }], discount?, applyPromotions?, payments?, refundTo?:
+// 'original' | 'store_credit', creditCode?, location?, description? }. Posts a
+// return and a new sale together, the new lines priced as for a sale;
+// `payments` settle only the price difference (cash in base currency when
+// omitted).
+app.post('/api/transactions/:id/exchange', requireAuth, retrySafe, (req, res) => {
+  try {
+    const txn     = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    const tenders = readTenders({ payments: req.body.payments });
+    const result  = exchanges.postExchange(db, txn, {
+      returns: req.body.returns, items: req.body.items, discount: req.body.discount, applyPromotions: req.body.applyPromotions !== false,
+      tenders, refundTo: req.body.refundTo, creditCode: req.body.creditCode,
+      location: locations.resolveLocation(db, req.body.location)?.code, description: req.body.description,
+      username: req.session.username,
+    });
+    recordChange(req, 'create', 'transaction', result.return.id);
+    recordChange(req, 'create', 'transaction', result.sale.id);
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Deposit on a reserved sale. Body: { payments: [{ method, currency, amount, rate }],
+// location?, description? } — at most the balance still owed.
+app.post('/api/transactions/:id/deposits', requireAuth, retrySafe, (req, res) => {
+  try {
+    const txn     = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    const tenders = readTenders({ payments: req.body.payments });
+    const deposit = reservations.addDeposit(db, txn, {
+      tenders, location: locations.resolveLocation(db, req.body.location)?.code, description: req.body.description,
+      username: req.session.username,
+    });
+    recordChange(req, 'create', 'transaction', deposit.id);
+    res.status(201).json({ deposit, balance_due: reservations.balanceDue(db, txn) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel a reservation, releasing its stock. With deposits taken, body
+// { deposit: 'refund' | 'store_credit', creditCode?, location? } says what
+// happens to them.
+app.post('/api/transactions/:id/cancel', requireAuth, (req, res) => {
   try {
-    res.json(enrichProducts(db.all('SELECT * FROM products ORDER BY id ASC')));
+    const txn    = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    const before = txn && audit.snapshot(db, 'transaction', txn.id);
+    const result = reservations.cancelReservation(db, txn, {
+      mode: req.body.deposit, creditCode: req.body.creditCode, location: locations.resolveLocation(db, req.body.location)?.code,
+      username: req.session.username,
+    });
+    recordChange(req, 'cancel', 'transaction', txn.id, before);
+    if (result.refund) recordChange(req, 'create', 'transaction', result.refund.id);
+    res.json(result);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/products', requireAuth, (req, res) => {
-  const { name, ref, category, price, wholesale_price, season, description } = req.body;
-  if (!name || !ref || !category || !price)
-    return res.status(400).json({ error: 'Name, ref, category, and price are required' });
+// Extend (or shorten) a reservation. Body: { expiresAt } or { days } from now
+app.patch('/api/transactions/:id/expiry', requireAuth, (req, res) => {
   try {
-    db.run(
-      `INSERT INTO products (name, ref, category, price, wholesale_price, status, season, description)
-       VALUES (?, ?, ?, ?, ?, 'new', ?, ?)`,
-      [name, ref, category, price, wholesale_price || null, season || null, description || null]
-    );
-    const newProduct = db.get('SELECT * FROM products WHERE ref = ?', [ref]);
-    res.status(201).json(enrichProducts([newProduct])[0]);
+    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    res.json(reservations.setExpiry(db, txn, {
+      expiresAt: req.body.expiresAt, days: req.body.days, username: req.session.username, route: routeOf(req),
+    }));
   } catch (err) {
-    if (err.message?.includes('UNIQUE'))
-      return res.status(409).json({ error: 'A product with this reference code already exists' });
-    console.error('POST /api/products error:', err);
-    res.status(500).json({ error: err.message || 'Server error' });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.patch('/api/products/:id', requireAuth, (req, res) => {
-  const { id } = req.params;
-  const { status, trend, name, ref, category, price, wholesale_price, season, description } = req.body;
+// Reservations lapsing by the end of ?date= (default today), soonest first
+app.get('/api/reservations/expiring', requireAuth, (req, res) => {
   try {
-    db.run(
-      `UPDATE products SET
-         status          = COALESCE(?, status),
-         trend           = COALESCE(?, trend),
-         name            = COALESCE(?, name),
-         ref             = COALESCE(?, ref),
-         category        = COALESCE(?, category),
-         price           = COALESCE(?, price),
-         wholesale_price = COALESCE(?, wholesale_price),
-         season          = COALESCE(?, season),
-         description     = COALESCE(?, description),
-         updated_at      = datetime('now')
-       WHERE id = ?`,
-      [status, trend, name, ref, category, price, wholesale_price, season, description, id]
-    );
-    const product = db.get('SELECT * FROM products WHERE id = ?', [id]);
-    if (!product) return res.status(404).json({ error: 'Product not found' });
-    res.json(enrichProducts([product])[0]);
+    res.json(reservations.expiringBy(db, req.query.date));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.patch('/api/products/:id/variants', requireAuth, (req, res) => {
-  const { id } = req.params;
-  const { variants } = req.body;
-  if (!Array.isArray(variants)) return res.status(400).json({ error: 'variants must be an array' });
+app.patch('/api/transactions/:id', requireAuth, (req, res) => {
+  const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+  if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+
+  // Completed sales and returns: allow editing description, customer + payments only (no inventory impact)
+  const isSale = txn.type === 'sale' || txn.type === 'return';
+  if (isSale && txn.status === 'reserved') return res.status(400).json({ error: 'Use the finalize endpoint for reserved sales' });
+  if (txn.status === 'voided') return res.status(409).json({ error: 'Voided transactions cannot be edited' });
+
+  const { description, total, paymentMethod } = req.body;
   try {
+    // customerId: null detaches the transaction from its customer account
+    const customer = req.body.customerId !== undefined ? customers.resolveCustomer(db, req.body.customerId) : undefined;
+    const account  = customer !== undefined ? customer?.id : txn.customer_id;
+    // A sale's own payments cover what its deposits did not
+    const due      = txn.type === 'sale'
+      ? Math.round((txn.total - (reservations.depositTotals(db, [txn.id])[txn.id] || 0)) * 100) / 100 : undefined;
+    const tenders  = req.body.payments || paymentMethod
+      ? readTenders({ payments: req.body.payments, paymentMethod, total: total ?? due ?? txn.total }, due, { requireFull: due != null && !account })
+      : null;
+    if (tenders || (!isSale && total != null)) shifts.assertEditable(db, txn);
+    // Nor can a sale paid short leave the account that carries the rest
+    if (due != null && !tenders && !account && txn.customer_id) {
+      const short = due - payments.totalInBase(payments.paymentsByTxn(db, [txn.id])[txn.id] || []);
+      if (short > 0.005)
+        return res.status(400).json({ error: `${short.toFixed(2)} ${payments.BASE_CURRENCY} of this sale is unpaid — it has to stay on a customer account` });
+    }
+    const before   = audit.snapshot(db, 'transaction', txn.id);
     const doUpdate = db.transaction(() => {
-      db.run('DELETE FROM product_variants WHERE product_id = ?', [id]);
-      for (const v of variants) {
-        if (!v.color || !v.size || !v.channel) continue;
-        db.run(
-          'INSERT INTO product_variants (product_id, color, size, channel, stock) VALUES (?, ?, ?, ?, ?)',
-          [id, v.color, v.size, v.channel, v.stock || 0]
-        );
+      db.run('UPDATE transactions SET description = COALESCE(?, description) WHERE id = ?', [description ?? null, txn.id]);
+      if (customer !== undefined) db.run('UPDATE transactions SET customer_id = ? WHERE id = ?', [customer?.id ?? null, txn.id]);
+      // Money in/out is worth whatever was tendered, in base currency
+      let newTotal = isSale ? null : total ?? null;
+      if (tenders) {
+        const paid = payments.savePayments(db, txn.id, tenders);
+        credits.settleTenders(db, txn.id, tenders, { location: txn.location, username: req.session.username });
+        if (!isSale) newTotal = paid;
       }
+      if (newTotal != null) db.run('UPDATE transactions SET total = ? WHERE id = ?', [newTotal, txn.id]);
+      recordChange(req, 'update', 'transaction', txn.id, before);
     });
     doUpdate();
-    res.json({ ok: true });
+    res.json(db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/products/:id/image', requireAuth, upload.single('image'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No image uploaded' });
-  const imageUrl = '/uploads/' + req.file.filename;
-  const existing = db.get('SELECT image_url FROM products WHERE id = ?', [req.params.id]);
-  if (existing?.image_url) {
-    const oldPath = path.join(uploadsDir, path.basename(existing.image_url));
-    if (fs.existsSync(oldPath)) fs.unlinkSync(oldPath);
-  }
-  db.run("UPDATE products SET image_url = ?, updated_at = datetime('now') WHERE id = ?", [imageUrl, req.params.id]);
-  res.json({ imageUrl });
+// ── SHIFTS ────────────────────────────────────────────────────────────────────
+
+app.get('/api/shifts', requireAuth, (req, res) => {
+  const { location, status } = req.query;
+  const where = [], params = [];
+  if (location) { where.push('location = ?'); params.push(location); }
+  if (status)   { where.push('status = ?');   params.push(status); }
+  res.json(db.all(`
+    SELECT id, location, status, opened_by, opened_at, closed_by, closed_at, note
+    FROM shifts ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY opened_at DESC, id DESC LIMIT 200
+  `, params));
 });
 
-app.delete('/api/products/:id', requireAuth, (req, res) => {
+// Open shift at a location with its live (X-report) figures, or null
+app.get('/api/shifts/current', requireAuth, (req, res) => {
+  const shift = shifts.currentShift(db, req.query.location);
+  res.json(shift ? shifts.shiftSummary(db, shift) : null);
+});
+
+app.post('/api/shifts/open', requireAuth, (req, res) => {
   try {
-    const product = db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
-    if (!product) return res.status(404).json({ error: 'Product not found' });
-    if (product.image_url) {
-      const imgPath = path.join(uploadsDir, path.basename(product.image_url));
-      if (fs.existsSync(imgPath)) fs.unlinkSync(imgPath);
-    }
-    db.run('DELETE FROM products WHERE id = ?', [req.params.id]);
-    res.json({ ok: true });
+    const { location, float } = req.body;
+    locations.resolveLocation(db, location);
+    const shift = shifts.openShift(db, { location, float, username: req.session.username });
+    recordChange(req, 'open', 'shift', shift.id);
+    res.json(shifts.shiftSummary(db, shift));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ── INVENTORY (read-only — stock is managed by DIA sync) ─────────────────────
-
-// ── TRANSACTIONS ──────────────────────────────────────────────────────────────
-
-app.get('/api/transactions', requireAuth, (req, res) => {
+// Body: { counted: { USD: 412.5, TRY: 1800 }, note? } → the Z-report
+app.post('/api/shifts/:id/close', requireAuth, (req, res) => {
   try {
-    const transactions = db.all('SELECT * FROM transactions ORDER BY created_at DESC LIMIT 200');
-    const allItems     = db.all('SELECT * FROM transaction_items');
-    const byTxn = {};
-    allItems.forEach(item => { (byTxn[item.transaction_id] ??= []).push(item); });
-    res.json(transactions.map(t => ({ ...t, items: byTxn[t.id] || [] })));
+    const { counted, note } = req.body;
+    const before = audit.snapshot(db, 'shift', req.params.id);
+    const report = shifts.closeShift(db, req.params.id, { counted, note, username: req.session.username });
+    recordChange(req, 'close', 'shift', req.params.id, before);
+    res.json(report);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/transactions', requireAuth, (req, res) => {
-  const { type, total, paymentMethod, description, items, status, location } = req.body;
-  if (!type || total === undefined) return res.status(400).json({ error: 'Type and total are required' });
-
-  const txStatus = status === 'reserved' ? 'reserved' : 'completed';
-  const txId     = (type === 'sale' ? 'TXN' : 'MAN') + '-' + Date.now();
-  const username = req.session.username;
+// Stored Z-report of a closed shift, exactly as it was at close
+app.get('/api/shifts/:id/z-report', requireAuth, (req, res) => {
+  const shift = shifts.getShift(db, req.params.id);
+  if (!shift) return res.status(404).json({ error: 'Shift not found' });
+  if (shift.status !== 'closed') return res.status(409).json({ error: 'Shift is still open — use /api/shifts/current for live figures' });
+  res.json(JSON.parse(shift.z_report));
+});
 
-  const doInsert = db.transaction(() => {
-    db.run(
-      'INSERT INTO transactions (id, type, status, total, payment_method, description, created_by, location) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [txId, type, txStatus, total, paymentMethod || null, description || null, username, location || null]
-    );
-    if (type === 'sale' && Array.isArray(items) && items.length > 0) {
-      for (const item of items) {
-        const channel = item.channel || 'single';
-        db.run(
-          'INSERT INTO transaction_items (transaction_id, product_id, color, size, channel, quantity, unit_price) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [txId, item.productId, item.color || null, item.size || null, channel, item.quantity, item.unitPrice]
-        );
-      }
-    }
-  });
+// ── CUSTOMERS ─────────────────────────────────────────────────────────────────
 
+app.get('/api/customers', requireAuth, (req, res) => {
   try {
-    doInsert();
-    res.status(201).json(db.get('SELECT * FROM transactions WHERE id = ?', [txId]));
+    res.json(customers.listCustomers(db, { q: req.query.q, type: req.query.type }));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.delete('/api/transactions/:id', requireAuth, (req, res) => {
+app.post('/api/customers', requireAuth, (req, res) => {
   try {
-    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
-    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
-    const doDelete = db.transaction(() => {
-      db.run('DELETE FROM transactions WHERE id = ?', [txn.id]);
-    });
-    doDelete();
-    res.json({ ok: true });
+    const c = customers.validateCustomer(req.body);
+    const { lastInsertRowid } = db.run(
+      'INSERT INTO customers (name, phone, tax_number, type, note, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [c.name, c.phone ?? null, c.tax_number ?? null, c.type, c.note ?? null, req.session.username]
+    );
+    recordChange(req, 'create', 'customer', lastInsertRowid);
+    res.status(201).json({ ...customers.getCustomer(db, lastInsertRowid), balance: 0 });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Edit items/price/payment on an already-completed sale (stock restores for removed/reduced items)
-app.patch('/api/transactions/:id/edit', requireAuth, (req, res) => {
-  const { paymentMethod, items } = req.body;
+app.get('/api/customers/:id', requireAuth, (req, res) => {
+  const customer = customers.getCustomer(db, req.params.id);
+  if (!customer) return res.status(404).json({ error: 'Customer not found' });
+  res.json({ ...customer, balance: customers.balances(db)[customer.id] || 0 });
+});
+
+app.patch('/api/customers/:id', requireAuth, (req, res) => {
   try {
-    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
-    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
-    if (txn.type !== 'sale' || txn.status === 'reserved')
-      return res.status(400).json({ error: 'This endpoint is for completed sales only' });
+    const customer = customers.getCustomer(db, req.params.id);
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    const fields = customers.validateCustomer(req.body, { partial: true });
+    const keys   = Object.keys(fields);
+    if (keys.length) {
+      db.run(
+        `UPDATE customers SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`,
+        [...keys.map(k => fields[k]), customer.id]
+      );
+      recordChange(req, 'update', 'customer', customer.id, customer);
+    }
+    res.json({ ...customers.getCustomer(db, customer.id), balance: customers.balances(db)[customer.id] || 0 });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const origItems = db.all('SELECT * FROM transaction_items WHERE transaction_id = ?', [txn.id]);
+app.delete('/api/customers/:id', requireAuth, requireAdmin, (req, res) => {
+  const customer = customers.getCustomer(db, req.params.id);
+  if (!customer) return res.status(404).json({ error: 'Customer not found' });
+  const used = db.get('SELECT id FROM transactions WHERE customer_id = ? LIMIT 1', [customer.id]);
+  if (used) return res.status(409).json({ error: `Customer has transactions on file (${used.id})` });
+  const credit = db.get('SELECT code FROM credit_accounts WHERE customer_id = ? LIMIT 1', [customer.id]);
+  if (credit) return res.status(409).json({ error: `Customer has store credit on file (${credit.code})` });
+  const order = db.get('SELECT doc_number FROM wholesale_orders WHERE customer_id = ? LIMIT 1', [customer.id]);
+  if (order) return res.status(409).json({ error: `Customer has wholesale orders on file (${order.doc_number})` });
+  db.run('DELETE FROM customers WHERE id = ?', [customer.id]);
+  recordChange(req, 'delete', 'customer', customer.id, customer);
+  res.json({ ok: true });
+});
 
-    const doEdit = db.transaction(() => {
-      if (Array.isArray(items)) {
-        for (const orig of origItems) {
-          const updated = items.find(i => i.itemId === orig.id);
+// Account statement: ?from=&to= (YYYY-MM-DD) with opening/closing balance
+app.get('/api/customers/:id/statement', requireAuth, (req, res) => {
+  const customer = customers.getCustomer(db, req.params.id);
+  if (!customer) return res.status(404).json({ error: 'Customer not found' });
+  const { from, to } = req.query;
+  res.json({ customer, currency: payments.BASE_CURRENCY, from: from || null, to: to || null,
+    ...customers.statement(db, customer.id, { from, to }) });
+});
 
-          if (!updated) {
-            db.run('DELETE FROM transaction_items WHERE id = ?', [orig.id]);
-          } else {
-            const newQty   = Math.max(1, parseInt(updated.quantity)  || 1);
-            const newPrice = Math.max(0, parseFloat(updated.unitPrice) || 0);
-            db.run(
-              'UPDATE transaction_items SET quantity = ?, unit_price = ? WHERE id = ?',
-              [newQty, newPrice, orig.id]
-            );
-          }
-        }
-      }
+// What a customer bought, by product and variant, net of returns
+app.get('/api/customers/:id/purchases', requireAuth, (req, res) => {
+  const customer = customers.getCustomer(db, req.params.id);
+  if (!customer) return res.status(404).json({ error: 'Customer not found' });
+  res.json(db.all(`
+    SELECT ti.product_id, p.name, p.ref, ti.color, ti.size, ti.channel,
+      SUM(${NET_SIGN} * ti.quantity)                AS units,
+      SUM(${NET_SIGN} * ti.quantity * ti.unit_price) AS revenue,
+      MAX(t.created_at)                             AS last_bought
+    FROM transactions t
+    JOIN transaction_items ti ON ti.transaction_id = t.id
+    LEFT JOIN products p ON p.id = ti.product_id
+    WHERE t.customer_id = ? AND t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
+    GROUP BY ti.product_id, ti.color, ti.size, ti.channel
+    ORDER BY last_bought DESC
+  `, [customer.id]));
+});
 
-      // Recalculate total from remaining items
-      const totalRow = db.get(
-        'SELECT COALESCE(SUM(quantity * unit_price), 0) AS t FROM transaction_items WHERE transaction_id = ?',
-        [txn.id]
-      );
-      const newTotal = parseFloat(totalRow.t) || 0;
+// Payment on account (tahsilat): money in, credited to the customer's ledger.
+// Body: { payments: [{ method, currency, amount, rate }], location?, description? }
+app.post('/api/customers/:id/payments', requireAuth, retrySafe, (req, res) => {
+  try {
+    const customer = customers.getCustomer(db, req.params.id);
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    const tenders = readTenders({ payments: req.body.payments });
+    if (!tenders || !tenders.length) return res.status(400).json({ error: 'payments must contain at least one amount' });
+
+    const location = locations.resolveLocation(db, req.body.location)?.code;
+    const txId  = numbering.newId('MAN');
+    const shift = shifts.currentShift(db, location);
+    db.transaction(() => {
       db.run(
-        'UPDATE transactions SET payment_method = ?, total = ? WHERE id = ?',
-        [paymentMethod || txn.payment_method, newTotal, txn.id]
+        `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, shift_id, customer_id)
+         VALUES (?, ?, 'in', 'completed', ?, ?, ?, ?, ?, ?)`,
+        [txId, numbering.allocate(db, { type: 'in', location }), payments.totalInBase(tenders), req.body.description || `Payment on account — ${customer.name}`,
+         req.session.username, location || null, shift?.id ?? null, customer.id]
       );
+      payments.savePayments(db, txId, tenders);
+      credits.settleTenders(db, txId, tenders, { location, username: req.session.username });
+      recordChange(req, 'create', 'transaction', txId);
+    })();
+    res.status(201).json({
+      transaction: db.get('SELECT * FROM transactions WHERE id = ?', [txId]),
+      balance:     customers.balances(db)[customer.id] || 0,
     });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    doEdit();
-    res.json(db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]));
+// ── STORE CREDIT & GIFT CARDS ─────────────────────────────────────────────────
+
+// Filters: ?kind=, customerId=, location= (issuing), q= (code or customer
+// name), status=open|expired|empty
+app.get('/api/credits', requireAuth, (req, res) => {
+  try {
+    const { kind, customerId, location, q, status } = req.query;
+    res.json(credits.listAccounts(db, { kind, customerId, location, q, status }));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.patch('/api/transactions/:id/finalize', requireAuth, (req, res) => {
-  const { paymentMethod, items } = req.body;
-  // items: [{ itemId, quantity, unitPrice }] — the final edited state from the UI
+// Unspent balances the shop owes, per kind and currency (?location= issuing)
+app.get('/api/credits/liability', requireAuth, (req, res) => {
   try {
-    const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
-    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
-    if (txn.status !== 'reserved') return res.status(400).json({ error: 'Transaction is not reserved' });
+    res.json(credits.liability(db, { location: req.query.location }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const origItems = db.all('SELECT * FROM transaction_items WHERE transaction_id = ?', [txn.id]);
+// One account by code, with its ledger
+app.get('/api/credits/:code', requireAuth, (req, res) => {
+  try {
+    res.json(credits.accountWithLedger(db, req.params.code));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const doFinalize = db.transaction(() => {
-      if (Array.isArray(items)) {
-        for (const orig of origItems) {
-          const updated = items.find(i => i.itemId === orig.id);
+// Issue credit. Body: { kind: 'gift_card' | 'store_credit', amount, currency?,
+// code? (pre-printed card, or an account to top up), customerId?, expiresAt?,
+// note?, payments?, location? }. With payments the card is sold: the money
+// is booked as a 'money in' transaction and must match amount. Without, it
+// is a goodwill gesture — admin only, and the note says why.
+app.post('/api/credits', requireAuth, retrySafe, (req, res) => {
+  try {
+    const { kind = 'gift_card', amount, code, expiresAt } = req.body;
+    const note     = String(req.body.note || '').trim();
+    const currency = String(req.body.currency || payments.BASE_CURRENCY).trim().toUpperCase();
+    const location = locations.resolveLocation(db, req.body.location)?.code;
+    const customer = customers.resolveCustomer(db, req.body.customerId);
+    const tenders  = readTenders({ payments: req.body.payments });
+    if (!(Number(amount) > 0)) return res.status(400).json({ error: 'amount must be more than 0' });
+    if (!tenders?.length) {
+      if (req.session.role !== 'admin') return res.status(403).json({ error: 'Only an admin can issue credit without payment' });
+      if (!note) return res.status(400).json({ error: 'A note is required to issue credit without payment' });
+    }
 
-          if (!updated) {
-            db.run('DELETE FROM transaction_items WHERE id = ?', [orig.id]);
-          } else {
-            const newQty   = Math.max(1, parseInt(updated.quantity)  || 1);
-            const newPrice = Math.max(0, parseFloat(updated.unitPrice) || 0);
-            db.run(
-              'UPDATE transaction_items SET quantity = ?, unit_price = ? WHERE id = ?',
-              [newQty, newPrice, orig.id]
-            );
-          }
-        }
+    let txId = null, account = null;
+    db.transaction(() => {
+      if (tenders?.length) {
+        // Paid in full, at today's rate when the card is kept in another currency
+        const rate = currency === payments.BASE_CURRENCY ? 1 : tenderRate(currency);
+        if (!(rate > 0)) throw new credits.CreditError(`Exchange rate required for ${currency}`);
+        const due  = Math.round(Number(amount) * rate * 100) / 100;
+        const paid = payments.totalInBase(tenders);
+        if (Math.abs(paid - due) > 0.005)
+          throw new credits.CreditError(`Payments of ${paid.toFixed(2)} do not match the ${due.toFixed(2)} ${payments.BASE_CURRENCY} to collect`);
+        txId = numbering.newId('MAN');
+        const shift = shifts.currentShift(db, location);
+        // Not booked to the customer: the money is on the card, not their account
+        db.run(
+          `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, shift_id)
+           VALUES (?, ?, 'in', 'completed', ?, ?, ?, ?, ?)`,
+          [txId, numbering.allocate(db, { type: 'in', location }), paid, note || `${kind === 'gift_card' ? 'Gift card' : 'Store credit'} sold`,
+           req.session.username, location || null, shift?.id ?? null]
+        );
+        payments.savePayments(db, txId, tenders);
+        credits.settleTenders(db, txId, tenders, { location, username: req.session.username });
       }
-
-      // Recalculate total from remaining items
-      const totalRow = db.get(
-        'SELECT COALESCE(SUM(quantity * unit_price), 0) AS t FROM transaction_items WHERE transaction_id = ?',
-        [txn.id]
-      );
-      const newTotal = parseFloat(totalRow.t) || 0;
-
-      db.run(
-        "UPDATE transactions SET status = 'completed', payment_method = ?, total = ? WHERE id = ?",
-        [paymentMethod || null, newTotal, txn.id]
-      );
+      account = credits.issue(db, {
+        kind, amount, currency, code, customerId: customer?.id, location, expiresAt, note, transactionId: txId,
+        username: req.session.username,
+      });
+      if (txId) recordChange(req, 'create', 'transaction', txId);
+      recordChange(req, 'issue', 'credit', account.code);
+    })();
+    res.status(201).json({
+      ...credits.accountWithLedger(db, account.code),
+      transaction: txId ? db.get('SELECT * FROM transactions WHERE id = ?', [txId]) : null,
     });
-
-    doFinalize();
-    res.json(db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.patch('/api/transactions/:id', requireAuth, (req, res) => {
-  const txn = db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
-  if (!txn) return res.status(404).json({ error: 'Transaction not found' });
-
-  // Completed sales: allow editing description + payment_method only (no inventory impact)
-  if (txn.type === 'sale') {
-    if (txn.status === 'reserved') return res.status(400).json({ error: 'Use the finalize endpoint for reserved sales' });
-    const { description, paymentMethod } = req.body;
-    try {
-      db.run(`UPDATE transactions SET
-        description    = COALESCE(?, description),
-        payment_method = COALESCE(?, payment_method)
-      WHERE id = ?`, [description ?? null, paymentMethod ?? null, req.params.id]);
-      return res.json(db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]));
-    } catch (err) {
-      console.error(err);
-      return res.status(500).json({ error: 'Server error' });
-    }
-  }
-
-  const { description, total, paymentMethod } = req.body;
+// Correct a balance. Body: { amount (signed), note }
+app.post('/api/credits/:code/adjust', requireAuth, requireAdmin, (req, res) => {
   try {
-    db.run(`UPDATE transactions SET
-      description    = COALESCE(?, description),
-      total          = COALESCE(?, total),
-      payment_method = COALESCE(?, payment_method)
-    WHERE id = ?`, [description ?? null, total ?? null, paymentMethod ?? null, req.params.id]);
-    res.json(db.get('SELECT * FROM transactions WHERE id = ?', [req.params.id]));
+    const before  = audit.snapshot(db, 'credit', credits.normalizeCode(req.params.code));
+    const account = credits.adjust(db, req.params.code, { amount: req.body.amount, note: req.body.note, username: req.session.username });
+    recordChange(req, 'adjust', 'credit', account.code, before);
+    res.json(credits.accountWithLedger(db, account.code));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
@@ -496,6 +2000,10 @@ app.get('/api/dia/status', requireAuth, (req, res) => {
 app.post('/api/dia/sync', requireAuth, async (req, res) => {
   try {
     const { stockCount, salesCount } = await dia.fullSync(db);
+    audit.record(db, {
+      username: req.session.username, route: routeOf(req), action: 'sync', entity: 'dia_cache',
+      after: { stockCount, salesCount },
+    });
     res.json({ ok: true, stockCount, salesCount });
   } catch (err) {
     console.error('Manual DIA sync error:', err);
@@ -553,15 +2061,17 @@ app.get('/api/dashboard/stats', requireAuth, (req, res) => {
 
   if (source === 'dia') {
     try {
+      const currency = reportCurrency(req.query.currency, 'dia');
+      const diaAmt   = diaMoney('miktar * birimfiyat', currency);
       const totals = db.get(`
         SELECT
-          COALESCE(SUM(miktar * birimfiyat), 0) AS total_revenue,
+          COALESCE(SUM(${diaAmt}), 0) AS total_revenue,
           COALESCE(SUM(miktar), 0)              AS total_units
         FROM dia_sales_cache
       `);
       const today = db.get(`
         SELECT
-          COALESCE(SUM(miktar * birimfiyat), 0) AS today_sales,
+          COALESCE(SUM(${diaAmt}), 0) AS today_sales,
           COUNT(DISTINCT belge_no)              AS today_count
         FROM dia_sales_cache
         WHERE date(tarih) = date('now')
@@ -582,66 +2092,95 @@ app.get('/api/dashboard/stats', requireAuth, (req, res) => {
         totalUnits:       totals?.total_units     ?? 0,
         activeSKUs:       counts?.active_skus     ?? 0,
         lowStockCount:    counts?.low_stock_count ?? 0,
+        currency:         currency || dia.DIA_CURRENCY,
         source: 'dia',
       });
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
       console.error(err);
       return res.status(500).json({ error: 'Server error' });
     }
   }
   try {
+    const currency = reportCurrency(req.query.currency);
+    const location = locationParam(req);
+    const money    = posMoney('ti.quantity * ti.unit_price', currency);
     const totals = db.get(`
       SELECT
-        COALESCE(SUM(ti.quantity * ti.unit_price), 0) AS total_revenue,
-        COALESCE(SUM(ti.quantity), 0)                 AS total_units
+        COALESCE(SUM(CASE WHEN t.type = 'sale'   THEN ${money} END), 0) AS gross_revenue,
+        COALESCE(SUM(CASE WHEN t.type = 'return' THEN ${money} END), 0) AS total_returns,
+        COALESCE(SUM(CASE WHEN t.type = 'sale'   THEN ti.quantity END), 0)                 AS gross_units,
+        COALESCE(SUM(${NET_SIGN} * ti.quantity), 0)                                        AS total_units
       FROM transaction_items ti
       JOIN transactions t ON t.id = ti.transaction_id
-      WHERE t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+      WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
         AND (? = 'both' OR ti.channel = ?)
-    `, [channel, channel]);
+        AND (? IS NULL OR t.location = ?)
+    `, [channel, channel, location, location]);
 
     const today = db.get(`
       SELECT
-        COALESCE(SUM(ti.quantity * ti.unit_price), 0) AS today_sales,
-        COUNT(DISTINCT t.id)                          AS today_count
+        COALESCE(SUM(${NET_SIGN} * ${money}), 0)       AS today_sales,
+        COUNT(DISTINCT CASE WHEN t.type = 'sale' THEN t.id END)           AS today_count,
+        COALESCE(SUM(CASE WHEN t.type = 'return' THEN ${money} END), 0) AS today_returns
       FROM transaction_items ti
       JOIN transactions t ON t.id = ti.transaction_id
-      WHERE t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+      WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
         AND date(t.created_at) = date('now')
         AND (? = 'both' OR ti.channel = ?)
-    `, [channel, channel]);
-
-    const cashRow = db.get(`
-      SELECT COALESCE(SUM(
-        CASE WHEN type IN ('sale','in') AND (status='completed' OR status IS NULL) THEN total
-             WHEN type = 'out' THEN -total ELSE 0 END
-      ), 0) AS cash_change
-      FROM transactions WHERE date(created_at) = date('now')
-    `);
+        AND (? IS NULL OR t.location = ?)
+    `, [channel, channel, location, location]);
+
+    // Money tendered today, per method and currency; `value` is the same in
+    // the report currency. Store-credit refunds never leave the drawer;
+    // legacy foreign tenders with no rate have no value and only show up in
+    // the per-currency breakdown.
+    const tenders = db.all(`
+      SELECT p.method, p.currency,
+        SUM(${TENDER_SIGN} * p.amount)                                            AS amount,
+        SUM(${TENDER_SIGN} * ${posMoney('p.amount * COALESCE(p.rate, CASE WHEN p.currency = ? THEN 1 END)', currency)}) AS value
+      FROM transaction_payments p
+      JOIN transactions t ON t.id = p.transaction_id
+      WHERE date(t.created_at) = date('now') AND (t.status = 'completed' OR t.status IS NULL)
+        AND p.method != 'store_credit'
+        AND (? IS NULL OR t.location = ?)
+      GROUP BY p.method, p.currency
+      ORDER BY p.method, p.currency
+    `, [payments.BASE_CURRENCY, location, location]);
+    const cashChange = tenders.reduce((s, r) => s + (r.value || 0), 0);
 
     const counts = db.get(`
       SELECT
         COUNT(*) AS active_skus,
         COALESCE((
           SELECT COUNT(*) FROM (
-            SELECT product_id FROM product_variants
+            SELECT product_id FROM (${LOCATION_STOCK})
             WHERE (? = 'both' OR channel = ?)
             GROUP BY product_id HAVING SUM(stock) < 20
           )
         ), 0) AS low_stock_count
       FROM products
-    `, [channel, channel]);
+    `, [location, location, channel, channel]);
 
     res.json({
       todaysSales:      today.today_sales,
       todaysSalesCount: today.today_count,
-      todaysCashChange: cashRow.cash_change,
-      totalRevenue:     totals.total_revenue,
+      todaysCashChange: Math.round(cashChange * 100) / 100,
+      todaysTenders:    tenders,
+      baseCurrency:     payments.BASE_CURRENCY,
+      currency:         currency || payments.BASE_CURRENCY,
+      todaysReturns:    today.today_returns,
+      totalRevenue:     totals.gross_revenue - totals.total_returns,
+      grossRevenue:     totals.gross_revenue,
+      totalReturns:     totals.total_returns,
+      returnRate:       totals.gross_units > 0
+        ? Math.round((totals.gross_units - totals.total_units) / totals.gross_units * 1000) / 10 : 0,
       totalUnits:       totals.total_units,
       activeSKUs:       counts.active_skus,
       lowStockCount:    counts.low_stock_count,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
@@ -655,11 +2194,13 @@ app.get('/api/dashboard/monthly', requireAuth, (req, res) => {
 
   if (source === 'dia') {
     try {
+      const currency = reportCurrency(req.query.currency, 'dia');
+      const diaAmt   = diaMoney('miktar * birimfiyat', currency);
       const rows = db.all(`
         SELECT
           strftime('%Y-%m', tarih)                                          AS ym,
           strftime('%b', tarih)                                             AS month,
-          ROUND(COALESCE(SUM(miktar * birimfiyat), 0) / 1000.0, 1)        AS revenue,
+          ROUND(COALESCE(SUM(${diaAmt}), 0) / 1000.0, 1)        AS revenue,
           COALESCE(SUM(miktar), 0)                                          AS units
         FROM dia_sales_cache
         ${from && to ? `WHERE tarih >= '${from}' AND tarih <= '${to}'` : "WHERE tarih >= date('now', '-12 months')"}
@@ -669,15 +2210,20 @@ app.get('/api/dashboard/monthly', requireAuth, (req, res) => {
         months:  rows.map(r => r.month),
         revenue: rows.map(r => r.revenue),
         units:   rows.map(r => r.units),
+        currency: currency || dia.DIA_CURRENCY,
       });
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
       console.error(err);
       return res.status(500).json({ error: 'Server error' });
     }
   }
 
   try {
-    const params = [channel, channel];
+    const currency = reportCurrency(req.query.currency);
+    const location = locationParam(req);
+    const money    = posMoney('ti.quantity * ti.unit_price', currency);
+    const params = [channel, channel, location, location];
     let dateCond = `t.created_at >= datetime('now', '-12 months')`;
     if (from && to) {
       dateCond = `t.created_at >= ? AND t.created_at < datetime(?, '+1 day')`;
@@ -693,13 +2239,15 @@ app.get('/api/dashboard/monthly', requireAuth, (req, res) => {
       SELECT
         strftime('%Y-%m', t.created_at)                                   AS ym,
         strftime('%b',    t.created_at)                                   AS month,
-        ROUND(COALESCE(SUM(ti.quantity * ti.unit_price), 0) / 1000.0, 1) AS revenue,
-        COALESCE(SUM(ti.quantity), 0)                                     AS units
+        ROUND(COALESCE(SUM(${NET_SIGN} * ${money}), 0) / 1000.0, 1) AS revenue,
+        ROUND(COALESCE(SUM(CASE WHEN t.type = 'return' THEN ${money} END), 0) / 1000.0, 1) AS returns,
+        COALESCE(SUM(${NET_SIGN} * ti.quantity), 0)                                     AS units
       FROM transactions t
       JOIN transaction_items ti ON ti.transaction_id = t.id
-      WHERE t.type = 'sale'
+      WHERE t.type IN ('sale', 'return')
         AND (t.status = 'completed' OR t.status IS NULL)
         AND (? = 'both' OR ti.channel = ?)
+        AND (? IS NULL OR t.location = ?)
         AND ${dateCond}
       GROUP BY ym
       ORDER BY ym ASC
@@ -707,9 +2255,12 @@ app.get('/api/dashboard/monthly', requireAuth, (req, res) => {
     res.json({
       months:  rows.map(r => r.month),
       revenue: rows.map(r => r.revenue),
+      returns: rows.map(r => r.returns),
       units:   rows.map(r => r.units),
+      currency: currency || payments.BASE_CURRENCY,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
@@ -721,6 +2272,8 @@ app.get('/api/dashboard/top-sellers', requireAuth, (req, res) => {
 
   if (source === 'dia') {
     try {
+      const currency = reportCurrency(req.query.currency, 'dia');
+      const diaAmt   = diaMoney('ds.miktar * ds.birimfiyat', currency, 'ds.');
       return res.json(db.all(`
         SELECT
           ds.stokkodu                           AS ref,
@@ -729,7 +2282,7 @@ app.get('/api/dashboard/top-sellers', requireAuth, (req, res) => {
           COALESCE(p.price, MAX(ds.birimfiyat)) AS price,
           COALESCE(p.id, 0)                     AS id,
           SUM(ds.miktar)                        AS sold,
-          SUM(ds.miktar * ds.birimfiyat)        AS revenue_total,
+          SUM(${diaAmt})                        AS revenue_total,
           COALESCE(st.total_stock, 0)           AS stock
         FROM dia_sales_cache ds
         LEFT JOIN products p ON p.ref = ds.stokkodu
@@ -743,12 +2296,15 @@ app.get('/api/dashboard/top-sellers', requireAuth, (req, res) => {
         LIMIT 8
       `));
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
       console.error(err);
       return res.status(500).json({ error: 'Server error' });
     }
   }
 
   try {
+    const money    = posMoney('ti.quantity * ti.unit_price', reportCurrency(req.query.currency));
+    const location = locationParam(req);
     res.json(db.all(`
       SELECT p.*,
         COALESCE(cs.sold,          0) AS sold,
@@ -757,24 +2313,26 @@ app.get('/api/dashboard/top-sellers', requireAuth, (req, res) => {
       FROM products p
       LEFT JOIN (
         SELECT ti.product_id,
-               SUM(ti.quantity)                 AS sold,
-               SUM(ti.quantity * ti.unit_price) AS revenue_total
+               SUM(${NET_SIGN} * ti.quantity)                 AS sold,
+               SUM(${NET_SIGN} * ${money})                    AS revenue_total
         FROM transaction_items ti
         JOIN transactions t ON t.id = ti.transaction_id
-        WHERE t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+        WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
           AND (? = 'both' OR ti.channel = ?)
+          AND (? IS NULL OR t.location = ?)
         GROUP BY ti.product_id
       ) cs ON cs.product_id = p.id
       LEFT JOIN (
         SELECT product_id, SUM(stock) AS stock
-        FROM product_variants
+        FROM (${LOCATION_STOCK})
         WHERE (? = 'both' OR channel = ?)
         GROUP BY product_id
       ) ck ON ck.product_id = p.id
       ORDER BY sold DESC
       LIMIT 8
-    `, [channel, channel, channel, channel]));
+    `, [channel, channel, location, location, location, location, channel, channel]));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
@@ -785,11 +2343,13 @@ app.get('/api/dashboard/top-sellers', requireAuth, (req, res) => {
 app.get('/api/analytics/category-revenue', requireAuth, (req, res) => {
   const source = req.query.source || 'pos';
   try {
+    const currency = reportCurrency(req.query.currency, source);
     if (source === 'dia') {
+      const diaAmt = diaMoney('ds.miktar * ds.birimfiyat', currency, 'ds.');
       const rows = db.all(`
         SELECT
           COALESCE(p.category, 'Other')                                       AS category,
-          ROUND(COALESCE(SUM(ds.miktar * ds.birimfiyat), 0) / 1000.0, 1)     AS revenue
+          ROUND(COALESCE(SUM(${diaAmt}), 0) / 1000.0, 1)     AS revenue
         FROM dia_sales_cache ds
         LEFT JOIN products p ON p.ref = ds.stokkodu
         GROUP BY p.category
@@ -800,12 +2360,13 @@ app.get('/api/analytics/category-revenue', requireAuth, (req, res) => {
         values:     rows.map(r => r.revenue),
       });
     }
+    const money = posMoney('ti.quantity * ti.unit_price', currency);
     const rows = db.all(`
       SELECT p.category,
-        ROUND(COALESCE(SUM(ti.quantity * ti.unit_price), 0) / 1000.0, 1) AS revenue
+        ROUND(COALESCE(SUM(${NET_SIGN} * ${money}), 0) / 1000.0, 1) AS revenue
       FROM products p
       LEFT JOIN transaction_items ti ON ti.product_id = p.id
-      LEFT JOIN transactions t ON t.id = ti.transaction_id AND t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+      LEFT JOIN transactions t ON t.id = ti.transaction_id AND t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
       GROUP BY p.category
       ORDER BY revenue DESC
     `);
@@ -814,6 +2375,7 @@ app.get('/api/analytics/category-revenue', requireAuth, (req, res) => {
       values:     rows.map(r => r.revenue),
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
@@ -848,12 +2410,13 @@ app.get('/api/analytics/rankings', requireAuth, (req, res) => {
     }
     res.json(db.all(`
       SELECT p.*,
-        COALESCE(SUM(ti.quantity), 0) AS sold,
+        COALESCE(SUM(${NET_SIGN} * ti.quantity), 0)                         AS sold,
+        COALESCE(SUM(CASE WHEN t.type = 'return' THEN ti.quantity END), 0) AS returned,
         COALESCE((SELECT SUM(pv.stock) FROM product_variants pv WHERE pv.product_id = p.id), 0) AS stock
       FROM products p
       LEFT JOIN transaction_items ti ON ti.product_id = p.id
       LEFT JOIN transactions t ON t.id = ti.transaction_id
-        AND t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+        AND t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
         AND t.created_at >= datetime('now', '-${days} days')
       GROUP BY p.id
       ORDER BY sold DESC
@@ -864,16 +2427,139 @@ app.get('/api/analytics/rankings', requireAuth, (req, res) => {
   }
 });
 
+// Open customer balances by age (0–30, 31–60, 61–90, 90+ days). ?asOf=&currency=
+app.get('/api/analytics/receivables', requireAuth, (req, res) => {
+  try {
+    const asOf     = String(req.query.asOf || new Date().toISOString()).slice(0, 10);
+    const currency = reportCurrency(req.query.currency);
+    // Balances are kept in USD; show them at the rate on the as-of day
+    const rate     = currency ? rates.rateOn(db, payments.BASE_CURRENCY, currency, asOf) : 1;
+    const totals   = { current: 0, d31_60: 0, d61_90: 0, over_90: 0, total: 0 };
+    const rows     = customers.agedReceivables(db, { asOf: req.query.asOf }).map(r => {
+      const row = { ...r };
+      Object.keys(totals).forEach(k => { row[k] = Math.round(r[k] * rate * 100) / 100; });
+      return row;
+    });
+    rows.forEach(r => Object.keys(totals).forEach(k => { totals[k] = Math.round((totals[k] + r[k]) * 100) / 100; }));
+    res.json({ as_of: asOf, currency: currency || payments.BASE_CURRENCY, totals, customers: rows });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Customers ranked by net revenue (sales less returns). ?limit=&from=&to=&type=&currency=
+app.get('/api/analytics/top-customers', requireAuth, (req, res) => {
+  try {
+    const money = posMoney('ti.quantity * ti.unit_price', reportCurrency(req.query.currency));
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const { from, to, type } = req.query;
+    const bal  = customers.balances(db);
+    const rows = db.all(`
+      SELECT c.id, c.name, c.type, c.phone,
+        COUNT(DISTINCT CASE WHEN t.type = 'sale' THEN t.id END) AS orders,
+        SUM(${NET_SIGN} * ti.quantity)                         AS units,
+        ROUND(SUM(${NET_SIGN} * ${money}), 2)                   AS revenue,
+        MAX(t.created_at)                                      AS last_purchase
+      FROM customers c
+      JOIN transactions t       ON t.customer_id = c.id
+      JOIN transaction_items ti ON ti.transaction_id = t.id
+      WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
+        AND (? IS NULL OR date(t.created_at) >= ?)
+        AND (? IS NULL OR date(t.created_at) <= ?)
+        AND (? IS NULL OR c.type = ?)
+      GROUP BY c.id
+      ORDER BY revenue DESC
+      LIMIT ?
+    `, [from || null, from || null, to || null, to || null, type || null, type || null, limit]);
+    res.json(rows.map(r => ({ ...r, balance: bal[r.id] || 0 })));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// VAT over a period by location and rate, sales less returns.
+// ?from=&to= (YYYY-MM-DD), &location=, &currency=, &format=csv for the accountant
+app.get('/api/analytics/vat', requireAuth, (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const currency = reportCurrency(req.query.currency);
+    const report   = {
+      ...vat.vatReport(db, { from, to, location: locationParam(req), money: expr => posMoney(expr, currency) }),
+      currency: currency || payments.BASE_CURRENCY,
+    };
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="kdv-${from || 'all'}-${to || 'all'}.csv"`);
+      return res.send(vat.reportCsv(report));
+    }
+    res.json(report);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Discounts given over a period, net of returns: totals against list
+// price, and by reason, promotion and category. ?from=&to=&location=
+app.get('/api/analytics/discounts', requireAuth, (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json({ ...promotions.discountReport(db, { from, to, location: locationParam(req) }), currency: payments.BASE_CURRENCY });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Per-product return rate: units sold vs. units that came back, and the
+// revenue left after refunds. POS only — DIA's cache excludes iade records.
+app.get('/api/analytics/returns', requireAuth, (req, res) => {
+  const channel = req.query.channel || 'both';
+  try {
+    const money = posMoney('ti.quantity * ti.unit_price', reportCurrency(req.query.currency));
+    const rows = db.all(`
+      SELECT p.id, p.name, p.ref, p.category,
+        COALESCE(SUM(CASE WHEN t.type = 'sale'   THEN ti.quantity END), 0)                 AS sold,
+        COALESCE(SUM(CASE WHEN t.type = 'return' THEN ti.quantity END), 0)                 AS returned,
+        COALESCE(SUM(CASE WHEN t.type = 'sale'   THEN ${money} END), 0) AS gross_revenue,
+        COALESCE(SUM(CASE WHEN t.type = 'return' THEN ${money} END), 0) AS returns_value
+      FROM products p
+      JOIN transaction_items ti ON ti.product_id = p.id
+      JOIN transactions t ON t.id = ti.transaction_id
+      WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
+        AND (? = 'both' OR ti.channel = ?)
+      GROUP BY p.id
+      ORDER BY returned DESC, sold DESC
+    `, [channel, channel]);
+    res.json(rows.map(r => ({
+      ...r,
+      net_sold:        r.sold - r.returned,
+      net_revenue:     r.gross_revenue - r.returns_value,
+      return_rate_pct: r.sold > 0 ? Math.round(r.returned / r.sold * 1000) / 10 : 0,
+    })));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Shared helper: fetch weekly history from POS transactions
 function getWeeklyHistory(weeks = 16) {
   const days = weeks * 7;
   const rows = db.all(`
     SELECT ti.product_id,
            strftime('%Y-%W', t.created_at) AS wk,
-           SUM(ti.quantity)                AS units
+           SUM(${NET_SIGN} * ti.quantity)  AS units
     FROM transaction_items ti
     JOIN transactions t ON t.id = ti.transaction_id
-    WHERE t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+    WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
       AND t.created_at >= datetime('now', '-${days} days')
     GROUP BY ti.product_id, wk
     ORDER BY ti.product_id, wk
@@ -978,11 +2664,12 @@ app.get('/api/analytics/forecast', requireAuth, (req, res) => {
 app.get('/api/analytics/color-breakdown', requireAuth, (req, res) => {
   const source = req.query.source || 'pos';
   try {
+    const currency = reportCurrency(req.query.currency, source);
     if (source === 'dia') {
       const sales = db.all(`
         SELECT stokkodu AS product_id, renk AS color, 'wholesale' AS channel,
                SUM(miktar)              AS sold,
-               SUM(miktar * birimfiyat) AS revenue
+               SUM(${diaMoney('miktar * birimfiyat', currency)}) AS revenue
         FROM dia_sales_cache
         WHERE renk IS NOT NULL AND renk != ''
         GROUP BY stokkodu, renk
@@ -999,11 +2686,11 @@ app.get('/api/analytics/color-breakdown', requireAuth, (req, res) => {
     }
     const sales = db.all(`
       SELECT ti.product_id, ti.color, ti.channel,
-             SUM(ti.quantity)                 AS sold,
-             SUM(ti.quantity * ti.unit_price) AS revenue
+             SUM(${NET_SIGN} * ti.quantity)                 AS sold,
+             SUM(${NET_SIGN} * ${posMoney('ti.quantity * ti.unit_price', currency)}) AS revenue
       FROM transaction_items ti
       JOIN transactions t ON t.id = ti.transaction_id
-      WHERE t.type = 'sale' AND (t.status = 'completed' OR t.status IS NULL)
+      WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
         AND ti.color IS NOT NULL AND ti.color != ''
       GROUP BY ti.product_id, ti.color, ti.channel
     `);
@@ -1017,6 +2704,7 @@ app.get('/api/analytics/color-breakdown', requireAuth, (req, res) => {
     stock.forEach(r => { sm[`${r.product_id}|${r.color}|${r.channel}`] = r.stock; });
     res.json(sales.map(r => ({ ...r, stock: sm[`${r.product_id}|${r.color}|${r.channel}`] || 0 })));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
@@ -1214,20 +2902,24 @@ const CHAT_TOOLS = [
   },
 ];
 
-function executeChatTool(name, args, source = 'pos') {
+function executeChatTool(name, args, source = 'pos', currency = null) {
   const channel = (args && args.channel) || 'both';
   const useDIA  = source === 'dia';
+  // Revenue expressions in the chat's currency (see posMoney / diaMoney)
+  const money     = posMoney('ti.quantity * ti.unit_price', currency);
+  const diaAmt    = diaMoney('miktar*birimfiyat', currency);
+  const diaAmtDs  = diaMoney('ds.miktar*ds.birimfiyat', currency, 'ds.');
 
   switch (name) {
     case 'get_business_overview': {
       if (useDIA) {
-        const totals = db.get(`SELECT COALESCE(SUM(miktar*birimfiyat),0) AS total_revenue, COALESCE(SUM(miktar),0) AS total_units FROM dia_sales_cache`);
-        const today  = db.get(`SELECT COALESCE(SUM(miktar*birimfiyat),0) AS today_sales, COUNT(DISTINCT belge_no) AS today_txns FROM dia_sales_cache WHERE date(tarih)=date('now')`);
+        const totals = db.get(`SELECT COALESCE(SUM(${diaAmt}),0) AS total_revenue, COALESCE(SUM(miktar),0) AS total_units FROM dia_sales_cache`);
+        const today  = db.get(`SELECT COALESCE(SUM(${diaAmt}),0) AS today_sales, COUNT(DISTINCT belge_no) AS today_txns FROM dia_sales_cache WHERE date(tarih)=date('now')`);
         const counts = db.get(`SELECT (SELECT COUNT(DISTINCT stokkodu) FROM dia_stock_cache) AS active_skus, (SELECT COUNT(*) FROM (SELECT stokkodu FROM dia_stock_cache GROUP BY stokkodu HAVING SUM(miktar)<20)) AS low_stock_count`);
         return { source: 'dia', ...totals, ...today, ...counts };
       }
       const totals = db.get(`
-        SELECT COALESCE(SUM(ti.quantity * ti.unit_price),0) AS total_revenue,
+        SELECT COALESCE(SUM(${money}),0) AS total_revenue,
                COALESCE(SUM(ti.quantity),0)                AS total_units
         FROM transaction_items ti
         JOIN transactions t ON t.id = ti.transaction_id
@@ -1235,7 +2927,7 @@ function executeChatTool(name, args, source = 'pos') {
           AND (? = 'both' OR ti.channel = ?)
       `, [channel, channel]);
       const today = db.get(`
-        SELECT COALESCE(SUM(ti.quantity * ti.unit_price),0) AS today_sales,
+        SELECT COALESCE(SUM(${money}),0) AS today_sales,
                COUNT(DISTINCT t.id)                         AS today_txns
         FROM transaction_items ti
         JOIN transactions t ON t.id = ti.transaction_id
@@ -1260,7 +2952,7 @@ function executeChatTool(name, args, source = 'pos') {
         return db.all(`
           SELECT ds.stokkodu AS ref, COALESCE(p.name, ds.stokadi) AS name,
                  COALESCE(p.category,'') AS category, COALESCE(p.price, MAX(ds.birimfiyat)) AS price,
-                 SUM(ds.miktar) AS sold, SUM(ds.miktar*ds.birimfiyat) AS revenue_total,
+                 SUM(ds.miktar) AS sold, SUM(${diaAmtDs}) AS revenue_total,
                  COALESCE(st.stock,0) AS stock
           FROM dia_sales_cache ds
           LEFT JOIN products p ON p.ref=ds.stokkodu
@@ -1276,7 +2968,7 @@ function executeChatTool(name, args, source = 'pos') {
         FROM products p
         LEFT JOIN (
           SELECT ti.product_id, SUM(ti.quantity) AS sold,
-                 SUM(ti.quantity * ti.unit_price) AS revenue_total
+                 SUM(${money}) AS revenue_total
           FROM transaction_items ti
           JOIN transactions t ON t.id = ti.transaction_id
           WHERE t.type='sale' AND (t.status='completed' OR t.status IS NULL)
@@ -1297,7 +2989,7 @@ function executeChatTool(name, args, source = 'pos') {
       if (useDIA) {
         return db.all(`
           SELECT strftime('%Y-%m', tarih) AS ym, strftime('%b', tarih) AS month,
-                 ROUND(COALESCE(SUM(miktar*birimfiyat),0)/1000.0,1) AS revenue_k,
+                 ROUND(COALESCE(SUM(${diaAmt}),0)/1000.0,1) AS revenue_k,
                  COALESCE(SUM(miktar),0) AS units
           FROM dia_sales_cache WHERE tarih >= date('now','-12 months')
           GROUP BY ym ORDER BY ym ASC
@@ -1306,7 +2998,7 @@ function executeChatTool(name, args, source = 'pos') {
       const rows = db.all(`
         SELECT strftime('%Y-%m', t.created_at) AS ym,
                strftime('%b',   t.created_at)  AS month,
-               ROUND(COALESCE(SUM(ti.quantity * ti.unit_price),0)/1000.0,1) AS revenue_k,
+               ROUND(COALESCE(SUM(${money}),0)/1000.0,1) AS revenue_k,
                COALESCE(SUM(ti.quantity),0)                                 AS units
         FROM transactions t
         JOIN transaction_items ti ON ti.transaction_id = t.id
@@ -1352,7 +3044,7 @@ function executeChatTool(name, args, source = 'pos') {
       const sales = db.all(`
         SELECT p.name AS product_name, ti.color, ti.channel,
                SUM(ti.quantity)                 AS sold,
-               SUM(ti.quantity * ti.unit_price) AS revenue
+               SUM(${money}) AS revenue
         FROM transaction_items ti
         JOIN transactions t ON t.id=ti.transaction_id
         JOIN products p ON p.id=ti.product_id
@@ -1391,14 +3083,14 @@ function executeChatTool(name, args, source = 'pos') {
       if (useDIA) {
         const dateCond = diaPeriodConds[period] || diaPeriodConds.today;
         const summary = db.get(`
-          SELECT COALESCE(SUM(miktar*birimfiyat),0) AS total_revenue,
+          SELECT COALESCE(SUM(${diaAmt}),0) AS total_revenue,
                  COALESCE(SUM(miktar),0) AS total_units,
                  COUNT(DISTINCT belge_no) AS transaction_count
           FROM dia_sales_cache WHERE ${dateCond}
         `);
         const products = db.all(`
           SELECT COALESCE(p.name, ds.stokadi) AS name, COALESCE(p.category,'') AS category,
-                 'wholesale' AS channel, SUM(ds.miktar) AS units_sold, SUM(ds.miktar*ds.birimfiyat) AS revenue
+                 'wholesale' AS channel, SUM(ds.miktar) AS units_sold, SUM(${diaAmtDs}) AS revenue
           FROM dia_sales_cache ds LEFT JOIN products p ON p.ref=ds.stokkodu
           WHERE ${dateCond} GROUP BY ds.stokkodu ORDER BY units_sold DESC
         `);
@@ -1415,7 +3107,7 @@ function executeChatTool(name, args, source = 'pos') {
       const dateCond = periodConditions[period] || periodConditions.today;
 
       const summary = db.get(`
-        SELECT COALESCE(SUM(ti.quantity * ti.unit_price), 0) AS total_revenue,
+        SELECT COALESCE(SUM(${money}), 0) AS total_revenue,
                COALESCE(SUM(ti.quantity), 0)                 AS total_units,
                COUNT(DISTINCT t.id)                          AS transaction_count
         FROM transaction_items ti
@@ -1428,7 +3120,7 @@ function executeChatTool(name, args, source = 'pos') {
       const products = db.all(`
         SELECT p.name, p.category, ti.channel,
                SUM(ti.quantity)                 AS units_sold,
-               SUM(ti.quantity * ti.unit_price) AS revenue
+               SUM(${money}) AS revenue
         FROM transaction_items ti
         JOIN transactions t ON t.id = ti.transaction_id
         JOIN products p ON p.id = ti.product_id
@@ -1453,7 +3145,7 @@ function executeChatTool(name, args, source = 'pos') {
       const dateCond = periodConditions[period] || '';
 
       const txns = db.all(`
-        SELECT t.id, t.created_at, t.total, t.payment_method, t.description
+        SELECT t.id, t.created_at, t.total, t.description
         FROM transactions t
         WHERE t.type='sale' AND (t.status='completed' OR t.status IS NULL)
           ${dateCond}
@@ -1467,7 +3159,7 @@ function executeChatTool(name, args, source = 'pos') {
       const items = db.all(`
         SELECT ti.transaction_id, p.name AS product_name, p.category,
                ti.color, ti.size, ti.channel, ti.quantity, ti.unit_price,
-               ti.quantity * ti.unit_price AS line_total
+               ${money} AS line_total
         FROM transaction_items ti
         JOIN products p ON p.id = ti.product_id
         WHERE ti.transaction_id IN (${txnIds.map(() => '?').join(',')})
@@ -1478,11 +3170,14 @@ function executeChatTool(name, args, source = 'pos') {
       items.forEach(i => {
         (itemsByTxn[i.transaction_id] ??= []).push(i);
       });
+      const paid = payments.paymentsByTxn(db, txnIds);
 
       return {
+        currency: payments.BASE_CURRENCY,
         transactions: txns.map(t => ({
           ...t,
-          items: itemsByTxn[t.id] || [],
+          items:    itemsByTxn[t.id] || [],
+          payments: (paid[t.id] || []).map(p => ({ method: p.method, currency: p.currency, amount: p.amount, rate: p.rate })),
         })),
       };
     }
@@ -1552,7 +3247,7 @@ function executeChatTool(name, args, source = 'pos') {
 
         const sales = db.get(`
           SELECT COALESCE(SUM(ti.quantity), 0)                 AS total_sold,
-                 COALESCE(SUM(ti.quantity * ti.unit_price), 0) AS total_revenue
+                 COALESCE(SUM(${money}), 0) AS total_revenue
           FROM transaction_items ti
           JOIN transactions t ON t.id = ti.transaction_id
           WHERE ti.product_id = ? AND t.type='sale'
@@ -1585,7 +3280,7 @@ function executeChatTool(name, args, source = 'pos') {
         SELECT p.category,
                COUNT(DISTINCT p.id)                               AS product_count,
                COALESCE(SUM(ti.quantity), 0)                      AS total_units,
-               COALESCE(SUM(ti.quantity * ti.unit_price), 0)      AS total_revenue,
+               COALESCE(SUM(${money}), 0)      AS total_revenue,
                COALESCE(SUM(pv.stock), 0)                         AS total_stock
         FROM products p
         LEFT JOIN transaction_items ti ON ti.product_id = p.id
@@ -1617,10 +3312,17 @@ app.post('/api/chat', requireAuth, async (req, res) => {
   if (!Array.isArray(messages) || !messages.length) {
     return res.status(400).json({ error: 'messages array required' });
   }
+  let currency;
+  try {
+    currency = reportCurrency(req.body.currency, dataSource);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message });
+  }
 
-  const sourceNote = dataSource === 'dia'
+  const sourceNote = (dataSource === 'dia'
     ? 'Data source: DIA ERP (wholesale sales & stock cache). All numbers come from DIA, not the POS register.'
-    : 'Data source: POS register (local transaction database).';
+    : 'Data source: POS register (local transaction database).')
+    + ` All money amounts are in ${currency || (dataSource === 'dia' ? dia.DIA_CURRENCY : payments.BASE_CURRENCY)}.`;
 
   try {
     const model = genAI.getGenerativeModel({
@@ -1648,7 +3350,7 @@ app.post('/api/chat', requireAuth, async (req, res) => {
       const toolResults = calls.map(call => {
         let result;
         try {
-          result = executeChatTool(call.name, call.args, dataSource);
+          result = executeChatTool(call.name, call.args, dataSource, currency);
         } catch (err) {
           result = { error: err.message };
         }
@@ -1686,7 +3388,36 @@ init().then(() => {
     if (deleted?.changes > 0) console.log(`[startup] Removed ${deleted.changes} non-product rows from dia_sales_cache`);
   } catch (_) {}
 
+  rates.registerSqlFunctions(db);
+
+  // Backfill transaction_payments from the old payment_method strings
+  const migrated = payments.migrateLegacyPayments(db);
+  if (migrated) console.log(`[startup] Migrated payment strings of ${migrated} transaction(s) to transaction_payments`);
+  const legacy = rates.backfillLegacyRates(db);
+  if (legacy.converted.length) console.log(`[startup] Converted the totals of ${legacy.converted.length} legacy foreign-currency transaction(s) to ${payments.BASE_CURRENCY}`);
+  if (legacy.missing.length) console.log(`[startup] No exchange rate on file for ${legacy.missing.length} legacy transaction(s), totals left as recorded: ${legacy.missing.join(', ')}`);
+  const changed = payments.backfillChange(db);
+  if (changed) console.log(`[startup] Booked the change given on ${changed} overpaid sale(s)`);
+
+  // Give transactions from before document numbering their numbers
+  const numbered = numbering.backfillNumbers(db);
+  if (numbered) console.log(`[startup] Assigned document numbers to ${numbered} transaction(s)`);
+
+  // Split variant stock from before locations (or added by the seed script) per location
+  const split = stock.migrateLocationStock(db);
+  if (split) console.log(`[startup] Assigned stock of ${split} variant(s) to locations`);
+
+  // VAT on sale lines recorded before VAT was
+  const taxed = vat.backfillVat(db);
+  if (taxed) console.log(`[startup] Recorded VAT on the lines of ${taxed} transaction(s)`);
+
+  // Barcodes for variants created outside the POS (seed script) or before barcodes existed
+  const coded = barcodes.backfillBarcodes(db);
+  if (coded) console.log(`[startup] Generated barcodes for ${coded} variant(s)`);
+
   dia.scheduleNightlySync(db);
+  reservations.scheduleExpiry(db);
+  idempotency.schedulePurge(db);
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, () => console.log(`\n  haniqa running at http://localhost:${PORT}\n`));
 }).catch(err => {
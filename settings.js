@@ -0,0 +1,58 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// settings.js — Admin-configurable options
+// Stored as key/value rows in the settings table. Every known key has a
+// default here, so a fresh database behaves sensibly before anyone saves one.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULTS = {
+  allow_oversell: false,          // let sales take a variant's available stock below zero
+  reservation_days: 7,            // how long a reserved sale holds stock before it expires
+  reservation_warn_hours: 24,     // flag reservations this close to expiry
+  purge_retention_days: 365,      // transactions younger than this can be voided but not purged
+  default_stock_location: 'magaza', // where stock changes that name no location happen
+  receipt_header: 'HANIQA',       // lines printed above every receipt (newline-separated)
+  receipt_footer: 'Thank you for shopping with us', // and below it
+  label_template: 'a4-3x8',       // label sheet layout used when none is asked for (see labels.js)
+  idempotency_key_hours: 24,      // how long a retried request with the same Idempotency-Key replays the first response
+  default_vat_rate: 20,           // KDV % for products whose category has no rate of its own (see vat.js)
+  store_credit_months: 12,        // store credit expires this long after it is issued (0: never)
+  gift_card_months: 24,           // and gift cards this long (0: never)
+};
+
+function coerce(key, raw) {
+  const def = DEFAULTS[key];
+  if (typeof def === 'boolean') return raw === true || raw === 'true' || raw === '1' || raw === 1;
+  if (typeof def === 'number')  return Number.isFinite(Number(raw)) ? Number(raw) : def;
+  return raw;
+}
+
+function getSetting(db, key) {
+  const row = db.get('SELECT value FROM settings WHERE key = ?', [key]);
+  return row ? coerce(key, row.value) : DEFAULTS[key];
+}
+
+function getAllSettings(db) {
+  const out = { ...DEFAULTS };
+  db.all('SELECT key, value FROM settings').forEach(r => {
+    if (r.key in DEFAULTS) out[r.key] = coerce(r.key, r.value);
+  });
+  return out;
+}
+
+// Saves only known keys; returns the list of unknown keys that were ignored.
+function saveSettings(db, values, username) {
+  const unknown = [];
+  for (const [key, value] of Object.entries(values || {})) {
+    if (!(key in DEFAULTS)) { unknown.push(key); continue; }
+    db.run(
+      `INSERT INTO settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, datetime('now'))
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+      [key, String(coerce(key, value)), username]
+    );
+  }
+  return unknown;
+}
+
+module.exports = { DEFAULTS, getSetting, getAllSettings, saveSettings };
@@ -0,0 +1,181 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// shifts.js — Cash drawer shifts per location
+// A shift opens with a float per currency; POS transactions recorded at that
+// location while it is open carry its shift_id. Closing stores the counted
+// cash, and a Z-report with expected vs counted per currency. Closed shifts
+// and their reports are never changed again.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { TENDER_SIGN, DRAWER_METHODS_SQL } = require('./payments');
+
+class ShiftError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'ShiftError';
+    this.status = status;
+  }
+}
+
+// { USD: 100, TRY: "250" } → [{ currency, amount }], rejecting junk
+function parseAmounts(obj, label) {
+  if (obj == null) return [];
+  if (typeof obj !== 'object' || Array.isArray(obj)) throw new ShiftError(`${label} must be an object of currency → amount`);
+  return Object.entries(obj).map(([c, v]) => {
+    const currency = String(c).trim().toUpperCase();
+    const amount   = parseFloat(v);
+    if (!/^[A-Z]{3}$/.test(currency)) throw new ShiftError(`Invalid currency "${c}" in ${label}`);
+    if (!Number.isFinite(amount) || amount < 0) throw new ShiftError(`Invalid ${currency} amount in ${label}`);
+    return { currency, amount };
+  });
+}
+
+function getShift(db, id) {
+  return db.get('SELECT * FROM shifts WHERE id = ?', [id]);
+}
+
+function currentShift(db, location) {
+  if (!location) return null;
+  return db.get("SELECT * FROM shifts WHERE location = ? AND status = 'open'", [location]);
+}
+
+function openShift(db, { location, float, username }) {
+  location = String(location || '').trim();
+  if (!location) throw new ShiftError('location is required');
+  const amounts = parseAmounts(float, 'float');
+  const open    = currentShift(db, location);
+  if (open) throw new ShiftError(`Shift #${open.id} is already open at ${location}`, 409);
+
+  let id;
+  db.transaction(() => {
+    id = db.run('INSERT INTO shifts (location, opened_by) VALUES (?, ?)', [location, username]).lastInsertRowid;
+    for (const a of amounts) {
+      db.run("INSERT INTO shift_counts (shift_id, kind, currency, amount) VALUES (?, 'float', ?, ?)", [id, a.currency, a.amount]);
+    }
+  })();
+  return getShift(db, id);
+}
+
+// Live figures for a shift (an X-report while open; the basis of the Z-report).
+// Drawer cash is the float plus tenders of in_drawer methods only (cash, as
+// shipped) — card and mobile payments never reach the drawer, store credit
+// is not money.
+function shiftSummary(db, shift) {
+  const counts = db.all('SELECT kind, currency, amount FROM shift_counts WHERE shift_id = ?', [shift.id]);
+  const sales  = db.get(`
+    SELECT
+      COUNT(CASE WHEN type = 'sale'   THEN 1 END)              AS sales_count,
+      COALESCE(SUM(CASE WHEN type = 'sale'   THEN total END), 0) AS sales_total,
+      COUNT(CASE WHEN type = 'return' THEN 1 END)              AS returns_count,
+      COALESCE(SUM(CASE WHEN type = 'return' THEN total END), 0) AS returns_total,
+      COUNT(CASE WHEN type = 'deposit' THEN 1 END)             AS deposits_count,
+      COALESCE(SUM(CASE WHEN type = 'deposit' THEN total END), 0) AS deposits_total,
+      COUNT(CASE WHEN type = 'in'     THEN 1 END)              AS in_count,
+      COUNT(CASE WHEN type = 'out'    THEN 1 END)              AS out_count
+    FROM transactions
+    WHERE shift_id = ? AND (status = 'completed' OR status IS NULL)
+  `, [shift.id]);
+  // Voided transactions are out of every total above but counted here
+  const voids = db.get(`
+    SELECT COUNT(*) AS voided_count, COALESCE(SUM(total), 0) AS voided_total
+    FROM transactions WHERE shift_id = ? AND status = 'voided'
+  `, [shift.id]);
+  const tenders = db.all(`
+    SELECT p.method, p.currency, t.type,
+      SUM(p.amount) AS amount
+    FROM transaction_payments p
+    JOIN transactions t ON t.id = p.transaction_id
+    WHERE t.shift_id = ? AND (t.status = 'completed' OR t.status IS NULL)
+    GROUP BY p.method, p.currency, t.type
+    ORDER BY p.method, p.currency, t.type
+  `, [shift.id]);
+  const cash = db.all(`
+    SELECT p.currency,
+      SUM(CASE WHEN ${TENDER_SIGN} > 0 THEN p.amount ELSE 0 END) AS cash_in,
+      SUM(CASE WHEN ${TENDER_SIGN} < 0 THEN p.amount ELSE 0 END) AS cash_out
+    FROM transaction_payments p
+    JOIN transactions t ON t.id = p.transaction_id
+    WHERE t.shift_id = ? AND (t.status = 'completed' OR t.status IS NULL) AND p.method IN ${DRAWER_METHODS_SQL}
+    GROUP BY p.currency
+  `, [shift.id]);
+
+  const round = n => Math.round(n * 100) / 100;
+  const currencies = [...new Set([...counts.map(c => c.currency), ...cash.map(c => c.currency)])].sort();
+  const drawer = currencies.map(currency => {
+    const opening = counts.filter(c => c.kind === 'float' && c.currency === currency).reduce((s, c) => s + c.amount, 0);
+    const row     = cash.find(c => c.currency === currency) || { cash_in: 0, cash_out: 0 };
+    const expected = round(opening + row.cash_in - row.cash_out);
+    const counted  = counts.find(c => c.kind === 'count' && c.currency === currency);
+    return {
+      currency,
+      opening:    round(opening),
+      cash_in:    round(row.cash_in),
+      cash_out:   round(row.cash_out),
+      expected,
+      counted:    counted ? round(counted.amount) : null,
+      over_short: counted ? round(counted.amount - expected) : null,
+    };
+  });
+
+  return {
+    shift: {
+      id:        shift.id,
+      location:  shift.location,
+      status:    shift.status,
+      opened_by: shift.opened_by,
+      opened_at: shift.opened_at,
+      closed_by: shift.closed_by,
+      closed_at: shift.closed_at,
+      note:      shift.note,
+    },
+    sales:   { ...sales, ...voids, voided_total: round(voids.voided_total), net_total: round(sales.sales_total - sales.returns_total) },
+    tenders,
+    drawer,
+  };
+}
+
+// Close with counted cash per currency. Currencies left out of `counted`
+// are taken as counted zero, so a missing count shows up as short.
+function closeShift(db, id, { counted, note, username }) {
+  const shift = getShift(db, id);
+  if (!shift) throw new ShiftError('Shift not found', 404);
+  if (shift.status !== 'open') throw new ShiftError(`Shift #${shift.id} is already closed`, 409);
+  const amounts = parseAmounts(counted, 'counted');
+  if (!amounts.length) throw new ShiftError('counted is required');
+
+  db.transaction(() => {
+    const expected = shiftSummary(db, shift).drawer.map(d => d.currency);
+    for (const currency of expected) {
+      if (!amounts.some(a => a.currency === currency)) amounts.push({ currency, amount: 0 });
+    }
+    for (const a of amounts) {
+      db.run("INSERT INTO shift_counts (shift_id, kind, currency, amount) VALUES (?, 'count', ?, ?)", [shift.id, a.currency, a.amount]);
+    }
+    db.run(
+      "UPDATE shifts SET status = 'closed', closed_by = ?, closed_at = datetime('now'), note = ? WHERE id = ?",
+      [username, note || null, shift.id]
+    );
+    const report = shiftSummary(db, getShift(db, shift.id));
+    db.run('UPDATE shifts SET z_report = ? WHERE id = ?', [JSON.stringify(report), shift.id]);
+  })();
+  return JSON.parse(getShift(db, shift.id).z_report);
+}
+
+// Transactions in a closed shift are part of a Z-report and stay as they are
+function assertEditable(db, txn) {
+  if (!txn.shift_id) return;
+  const shift = getShift(db, txn.shift_id);
+  if (shift && shift.status === 'closed')
+    throw new ShiftError(`${txn.id} belongs to closed shift #${shift.id} and cannot be changed`, 409);
+}
+
+module.exports = {
+  ShiftError,
+  getShift,
+  currentShift,
+  openShift,
+  closeShift,
+  shiftSummary,
+  assertEditable,
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// stock.js — POS-driven stock changes, per variant and location
+// `stock` is on-hand units; `reserved` is units held by reserved sales.
+// Available = stock − reserved. Counts live in variant_stock per location;
+// product_variants carries the totals. Every change is written to
+// stock_movements with the location it happened at.
+// Callers run these inside their own db.transaction so a failed check rolls
+// back the whole sale.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { getSetting }    = require('./settings');
+const { stockLocation } = require('./locations');
+const { assignBarcode } = require('./barcodes');
+
+class StockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name   = 'StockError';
+    this.status = 409;
+  }
+}
+
+function findVariant(db, item) {
+  return db.get(
+    'SELECT * FROM product_variants WHERE product_id = ? AND color = ? AND size = ? AND channel = ?',
+    [item.product_id, item.color, item.size, item.channel || 'single']
+  );
+}
+
+// A new, empty variant for `item`, with its generated barcode
+function createVariant(db, item) {
+  db.run(
+    'INSERT INTO product_variants (product_id, color, size, channel, stock, reserved) VALUES (?, ?, ?, ?, 0, 0)',
+    [item.product_id, item.color, item.size, item.channel || 'single']
+  );
+  const variant = findVariant(db, item);
+  assignBarcode(db, variant.id);
+  return findVariant(db, item);
+}
+
+// On-hand and held units of a variant at one location (zeros when none yet)
+function atLocation(db, variantId, location) {
+  return db.get('SELECT stock, reserved FROM variant_stock WHERE variant_id = ? AND location = ?', [variantId, location])
+    || { stock: 0, reserved: 0 };
+}
+
+function setAtLocation(db, variantId, location, { stock, reserved }) {
+  db.run(
+    `INSERT INTO variant_stock (variant_id, location, stock, reserved) VALUES (?, ?, ?, ?)
+     ON CONFLICT(variant_id, location) DO UPDATE SET stock = excluded.stock, reserved = excluded.reserved`,
+    [variantId, location, stock, reserved]
+  );
+  // product_variants keeps the totals across locations
+  db.run(`
+    UPDATE product_variants SET
+      stock    = (SELECT COALESCE(SUM(stock), 0)    FROM variant_stock WHERE variant_id = ?),
+      reserved = (SELECT COALESCE(SUM(reserved), 0) FROM variant_stock WHERE variant_id = ?)
+    WHERE id = ?
+  `, [variantId, variantId, variantId]);
+}
+
+// A variant with no per-location rows yet (added outside the POS, e.g. by
+// the seed script) has all its units at the default location.
+function ensureLocationRows(db, variant) {
+  if (db.get('SELECT 1 AS x FROM variant_stock WHERE variant_id = ?', [variant.id])) return;
+  db.run('INSERT INTO variant_stock (variant_id, location, stock, reserved) VALUES (?, ?, ?, ?)',
+    [variant.id, stockLocation(db), variant.stock || 0, variant.reserved || 0]);
+}
+
+function movement(db, variant, item, location, dStock, dReserved, { reason, refId, username }) {
+  db.run(
+    `INSERT INTO stock_movements (variant_id, product_id, color, size, channel, location, stock_delta, reserved_delta, reason, ref_id, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [variant.id, item.product_id, item.color, item.size, item.channel || 'single', location,
+     dStock, dReserved, reason || null, refId || null, username || null]
+  );
+}
+
+// Apply { stock, reserved } deltas to the variant matching `item`
+// ({ product_id, color, size, channel }) at `location` (default location
+// when omitted). Decrements that would take available (or on-hand) stock
+// there below zero throw a StockError unless the allow_oversell setting is
+// on. Items whose product is not in the local catalogue (e.g. DIA-only
+// stock codes) are not tracked here and are skipped.
+function adjust(db, item, delta, { reason, refId, username, location } = {}) {
+  const dStock    = delta.stock    || 0;
+  const dReserved = delta.reserved || 0;
+  if (!dStock && !dReserved) return;
+
+  const product = db.get('SELECT id, name FROM products WHERE id = ?', [item.product_id]);
+  if (!product) return;
+
+  let variant      = findVariant(db, item);
+  const oversell   = getSetting(db, 'allow_oversell');
+  const takesStock = dStock < 0 || dReserved > 0;
+  const where      = stockLocation(db, location);
+  const label      = `${product.name} ${item.color || ''} ${item.size || ''} (${item.channel || 'single'})`.replace(/\s+/g, ' ');
+
+  if (!variant) {
+    // Nothing held on a variant that no longer exists
+    if (!takesStock && dStock <= 0) return;
+    if (takesStock && !oversell) throw new StockError(`No stock for ${label}`);
+    variant = createVariant(db, item);
+  }
+  ensureLocationRows(db, variant);
+
+  const at          = atLocation(db, variant.id, where);
+  const newStock    = at.stock + dStock;
+  const newReserved = Math.max(0, at.reserved + dReserved);
+  if (takesStock && !oversell && newStock - newReserved < 0) {
+    const available = at.stock - at.reserved;
+    throw new StockError(`Not enough stock for ${label} at ${where}: ${Math.max(available, 0)} available`);
+  }
+
+  setAtLocation(db, variant.id, where, { stock: newStock, reserved: newReserved });
+  movement(db, variant, item, where, dStock, newReserved - at.reserved, { reason, refId, username });
+}
+
+// Set a variant's on-hand count outright (catalogue edits, stock counts),
+// keeping its hold and logging the difference as a movement. With a
+// location, `qty` is the count there; without, it is the total across
+// locations and the difference is booked at the default location.
+function setOnHand(db, item, qty, { reason = 'count', refId, username, location } = {}) {
+  const variant = findVariant(db, item) || createVariant(db, item);
+  ensureLocationRows(db, variant);
+
+  const where = stockLocation(db, location);
+  const at    = atLocation(db, variant.id, where);
+  const count = location ? qty : qty - ((variant.stock || 0) - at.stock);
+  if (count < 0) {
+    const label = `${item.color || ''} ${item.size || ''}`.trim();
+    throw new StockError(`${(variant.stock || 0) - at.stock} unit(s) of ${label} are at other locations — count them there`);
+  }
+  if (count === at.stock) return;
+  setAtLocation(db, variant.id, where, { stock: count, reserved: at.reserved });
+  movement(db, variant, item, where, count - at.stock, 0, { reason, refId, username });
+}
+
+// Give every variant without per-location rows its rows: holds, and the
+// on-hand units they hold, where their reservations were made (so those sales
+// can still be finalized there); everything else at the default location.
+// Runs at startup; returns how many variants were split.
+function migrateLocationStock(db) {
+  const variants = db.all(`
+    SELECT * FROM product_variants pv
+    WHERE NOT EXISTS (SELECT 1 FROM variant_stock vs WHERE vs.variant_id = pv.id)
+  `);
+  if (!variants.length) return 0;
+  const holds = db.all(`
+    SELECT ti.product_id, ti.color, ti.size, COALESCE(ti.channel, 'single') AS channel, t.location, SUM(ti.quantity) AS qty
+    FROM transaction_items ti
+    JOIN transactions t ON t.id = ti.transaction_id
+    JOIN locations l ON l.code = t.location
+    WHERE t.type = 'sale' AND t.status = 'reserved'
+    GROUP BY ti.product_id, ti.color, ti.size, COALESCE(ti.channel, 'single'), t.location
+  `);
+  const home = stockLocation(db);
+  db.transaction(() => {
+    for (const v of variants) {
+      let reserved = v.reserved || 0;
+      let onHand   = v.stock || 0;
+      const rows = { [home]: { stock: 0, reserved: 0 } };
+      for (const h of holds) {
+        if (h.product_id !== v.product_id || h.color !== v.color || h.size !== v.size || h.channel !== v.channel) continue;
+        const qty   = Math.min(h.qty, reserved);
+        const units = Math.min(qty, onHand);
+        const row   = rows[h.location] ??= { stock: 0, reserved: 0 };
+        row.reserved += qty;
+        row.stock    += units;
+        reserved -= qty;
+        onHand   -= units;
+      }
+      rows[home].reserved += reserved;
+      rows[home].stock    += onHand;
+      for (const [location, r] of Object.entries(rows)) {
+        db.run('INSERT INTO variant_stock (variant_id, location, stock, reserved) VALUES (?, ?, ?, ?)',
+          [v.id, location, r.stock, r.reserved]);
+      }
+    }
+  })();
+  return variants.length;
+}
+
+// Convenience wrappers — `qty` is always a positive unit count
+const sell    = (db, item, qty, meta) => adjust(db, item, { stock: -qty }, { reason: 'sale', ...meta });
+const restock = (db, item, qty, meta) => adjust(db, item, { stock: qty }, { reason: 'restock', ...meta });
+const hold    = (db, item, qty, meta) => adjust(db, item, { reserved: qty }, { reason: 'hold', ...meta });
+const release = (db, item, qty, meta) => adjust(db, item, { reserved: -qty }, { reason: 'release', ...meta });
+
+module.exports = {
+  StockError, adjust, setOnHand, sell, restock, hold, release, findVariant, atLocation, migrateLocationStock,
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+// Customer bodies are camelCase like every other request; the older
+// snake_case tax_number is still read.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+let api, stop;
+
+test.before(async () => { ({ api, stop } = await startServer()); });
+test.after(() => stop());
+
+test('POST /api/customers saves taxNumber', async () => {
+  const res = await api('POST', '/api/customers', { name: 'Tax Payer', taxNumber: ' 1234567890 ' });
+  assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+  assert.strictEqual(res.body.tax_number, '1234567890');
+});
+
+test('PATCH /api/customers/:id updates taxNumber and still reads tax_number', async () => {
+  const { body: customer } = await api('POST', '/api/customers', { name: 'Renamed Payer' });
+  const camel = await api('PATCH', `/api/customers/${customer.id}`, { taxNumber: '111' });
+  assert.strictEqual(camel.status, 200, JSON.stringify(camel.body));
+  assert.strictEqual((await api('GET', `/api/customers/${customer.id}`)).body.tax_number, '111');
+
+  await api('PATCH', `/api/customers/${customer.id}`, { tax_number: '222' });
+  assert.strictEqual((await api('GET', `/api/customers/${customer.id}`)).body.tax_number, '222');
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+// Replacement lines of an exchange are priced like a sale: promotions apply,
+// a price below list is a recorded discount, and both show in the report.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { startServer, createProduct } = require('./server');
+
+let api, stop, returned, promoted, overridden, promotionId;
+
+test.before(async () => {
+  ({ api, stop } = await startServer());
+  returned   = await createProduct(api, { ref: 'EXCH-BACK', price: 100 });
+  promoted   = await createProduct(api, { ref: 'EXCH-PROMO', price: 100 });
+  overridden = await createProduct(api, { ref: 'EXCH-OVERRIDE', price: 100 });
+  const promo = await api('POST', '/api/promotions', {
+    name: 'Ten off', type: 'percent_off', percent: 10, productId: promoted.productId,
+  });
+  assert.strictEqual(promo.status, 201, JSON.stringify(promo.body));
+  promotionId = promo.body.id;
+});
+test.after(() => stop());
+
+// Id of the line of a paid sale of one `returned` unit
+async function paidSaleLine() {
+  const res = await api('POST', '/api/transactions', {
+    type: 'sale', location: 'magaza', items: [{ ...returned, quantity: 1 }],
+    payments: [{ method: 'cash', currency: 'USD', amount: 100 }],
+  });
+  assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+  const { body } = await api('GET', `/api/transactions?q=${res.body.id}`);
+  return { sale: res.body, itemId: body.transactions[0].items[0].id };
+}
+
+test('POST /api/transactions/:id/exchange applies active promotions to the new lines', async () => {
+  const { sale, itemId } = await paidSaleLine();
+  const res = await api('POST', `/api/transactions/${sale.id}/exchange`, {
+    returns: [{ itemId, quantity: 1 }],
+    items:   [{ ...promoted, quantity: 1 }],
+  });
+  assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+  assert.strictEqual(res.body.sale.total, 90);
+  assert.strictEqual(res.body.difference, -10);
+
+  const report = await api('GET', '/api/analytics/discounts');
+  const promo  = report.body.by_promotion.find(r => r.promotion_id === promotionId);
+  assert.ok(promo, JSON.stringify(report.body.by_promotion));
+  assert.strictEqual(promo.amount, 10);
+});
+
+test('POST /api/transactions/:id/exchange records a price below list as a discount', async () => {
+  const { sale, itemId } = await paidSaleLine();
+  const res = await api('POST', `/api/transactions/${sale.id}/exchange`, {
+    returns: [{ itemId, quantity: 1 }],
+    items:   [{ ...overridden, quantity: 1, unitPrice: 80 }],
+  });
+  assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+  assert.strictEqual(res.body.sale.total, 80);
+
+  const report   = await api('GET', '/api/analytics/discounts');
+  const override = report.body.by_reason.find(r => r.reason === 'price_override');
+  assert.ok(override, JSON.stringify(report.body.by_reason));
+  assert.strictEqual(override.amount, 20);
+});
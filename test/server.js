@@ -0,0 +1,74 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// test/server.js — Runs the app on a throwaway database for route tests
+// startServer() boots server.js in a child process with its own DATA_DIR and
+// port, logs in as an admin and returns { api, stop }. api(method, path, body)
+// resolves to { status, body } with the session cookie attached.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+let nextPort = 4100 + (process.pid % 500);
+
+async function startServer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'haniqa-test-'));
+  const port    = nextPort++;
+  const child   = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, DATA_DIR: dataDir, PORT: String(port), ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'test-pw' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let log = '';
+  child.stderr.on('data', d => { log += d; });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 20000);
+    child.stdout.on('data', d => {
+      log += d;
+      if (log.includes('haniqa running at')) { clearTimeout(timer); resolve(); }
+    });
+    child.on('exit', code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${log}`)); });
+  });
+
+  let cookie = '';
+  async function api(method, url, body) {
+    const res = await fetch(`http://127.0.0.1:${port}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(cookie && { Cookie: cookie }) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const set = res.headers.get('set-cookie');
+    if (set) cookie = set.split(';')[0];
+    const text = await res.text();
+    let json;
+    try { json = JSON.parse(text); } catch (_) { json = text; }
+    return { status: res.status, body: json };
+  }
+
+  const login = await api('POST', '/api/auth/login', { username: 'admin', password: 'test-pw' });
+  if (login.status !== 200) throw new Error(`login failed: ${JSON.stringify(login.body)}`);
+
+  async function stop() {
+    child.removeAllListeners('exit');
+    child.kill();
+    await new Promise(resolve => child.once('exit', resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { api, stop };
+}
+
+// A product with `stock` units of one variant at the default location
+async function createProduct(api, { ref, price = 100, stock = 10, color = 'BLACK', size = '38' }) {
+  const product = await api('POST', '/api/products', { name: `Test ${ref}`, ref, category: 'Tops', price });
+  if (product.status !== 201) throw new Error(`product: ${JSON.stringify(product.body)}`);
+  const variants = await api('PATCH', `/api/products/${product.body.id}/variants`, {
+    variants: [{ color, size, channel: 'single', stock }],
+  });
+  if (variants.status !== 200) throw new Error(`variants: ${JSON.stringify(variants.body)}`);
+  return { productId: product.body.id, color, size, channel: 'single' };
+}
+
+module.exports = { startServer, createProduct };
@@ -0,0 +1,71 @@
+'use strict';
+
+// Sales booked to no customer account have to be paid in full on every route
+// that writes their payments; a customer's sale may be paid short.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { startServer, createProduct } = require('./server');
+
+let api, stop, variant, customerId;
+
+test.before(async () => {
+  ({ api, stop } = await startServer());
+  variant    = await createProduct(api, { ref: 'WALKIN-1', stock: 20 });
+  customerId = (await api('POST', '/api/customers', { name: 'Account Customer' })).body.id;
+});
+test.after(() => stop());
+
+const cash = amount => [{ method: 'cash', currency: 'USD', amount }];
+const sale = (extra = {}) => api('POST', '/api/transactions', {
+  type: 'sale', location: 'magaza', items: [{ ...variant, quantity: 1 }], ...extra,
+});
+
+test('POST /api/transactions refuses a walk-in sale paid short', async () => {
+  const short = await sale({ payments: cash(1) });
+  assert.strictEqual(short.status, 400);
+  assert.match(short.body.error, /short/);
+
+  const full = await sale({ payments: cash(1000) });
+  assert.strictEqual(full.status, 201);
+});
+
+test('POST /api/transactions lets a customer sale be paid short', async () => {
+  const res = await sale({ customerId, payments: cash(1) });
+  assert.strictEqual(res.status, 201);
+});
+
+test('PATCH /api/transactions/:id/finalize refuses a walk-in reservation paid short', async () => {
+  const reserved = await sale({ status: 'reserved' });
+  assert.strictEqual(reserved.status, 201);
+
+  const unpaid = await api('PATCH', `/api/transactions/${reserved.body.id}/finalize`, { payments: [] });
+  assert.strictEqual(unpaid.status, 400);
+  const { body: list } = await api('GET', `/api/transactions?q=${reserved.body.id}`);
+  assert.strictEqual(list.transactions[0].status, 'reserved');
+
+  const paid = await api('PATCH', `/api/transactions/${reserved.body.id}/finalize`, { payments: cash(reserved.body.total) });
+  assert.strictEqual(paid.status, 200);
+  assert.strictEqual(paid.body.status, 'completed');
+});
+
+test('PATCH /api/transactions/:id/edit refuses new walk-in payments that fall short', async () => {
+  const { body: txn } = await sale({ payments: cash(1000) });
+  const res = await api('PATCH', `/api/transactions/${txn.id}/edit`, { payments: cash(1) });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /short/);
+});
+
+test('PATCH /api/transactions/:id refuses walk-in payments that fall short', async () => {
+  const { body: txn } = await sale({ payments: cash(1000) });
+  const res = await api('PATCH', `/api/transactions/${txn.id}`, { payments: cash(1) });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /short/);
+});
+
+test('PATCH /api/transactions/:id keeps a sale paid short on its customer account', async () => {
+  const { body: txn } = await sale({ customerId, payments: cash(1) });
+  const res = await api('PATCH', `/api/transactions/${txn.id}`, { customerId: null });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /unpaid/);
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// transactions.js — Transaction history: filters, cursor pages and totals
+// Pages are newest first and keyed on (created_at, id), so a cursor stays
+// valid while new sales come in. Lines, payments, returns and deposits are
+// loaded for the page only. Totals cover the whole filtered set; money in
+// them counts completed transactions only (not reserved, voided…).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const payments     = require('./payments');
+const reservations = require('./reservations');
+
+const TYPES    = ['sale', 'return', 'deposit', 'in', 'out'];
+const STATUSES = ['completed', 'reserved', 'cancelled', 'expired', 'voided'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT     = 500;
+
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name   = 'FilterError';
+    this.status = 400;
+  }
+}
+
+const COMPLETED = "(t.status = 'completed' OR t.status IS NULL)";
+const round = n => Math.round(n * 100) / 100;
+
+// 'sale,return' or ['sale', 'return'] → checked list
+function listParam(value, allowed, name) {
+  if (value == null || value === '') return null;
+  const list = [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+  const bad  = list.filter(v => !allowed.includes(v));
+  if (bad.length) throw new FilterError(`Unknown ${name}: ${bad.join(', ')} (one of ${allowed.join(', ')})`);
+  return list;
+}
+
+function dateParam(value, name) {
+  if (value == null || value === '') return null;
+  const day = String(value).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(Date.parse(day))) throw new FilterError(`Invalid ${name} date "${value}"`);
+  return day;
+}
+
+// WHERE clause for the query-string filters (all optional):
+// from, to (YYYY-MM-DD), type, status (comma lists), location, method,
+// createdBy, productId, customerId, needsRate (1: legacy, no exchange rate),
+// q (description, id or document number)
+function buildFilter(q = {}) {
+  const where = [], params = [];
+  const from = dateParam(q.from, 'from'), to = dateParam(q.to, 'to');
+  if (from) { where.push('t.created_at >= ?'); params.push(from); }
+  if (to)   { where.push('t.created_at <= ?'); params.push(`${to} 23:59:59`); }
+
+  const types = listParam(q.type, TYPES, 'type');
+  if (types) { where.push(`t.type IN (${types.map(() => '?').join(',')})`); params.push(...types); }
+  const statuses = listParam(q.status, STATUSES, 'status');
+  if (statuses) {
+    const clauses = [`t.status IN (${statuses.map(() => '?').join(',')})`];
+    if (statuses.includes('completed')) clauses.push('t.status IS NULL');
+    where.push(`(${clauses.join(' OR ')})`);
+    params.push(...statuses);
+  }
+
+  if (q.location)   { where.push('t.location = ?');    params.push(q.location); }
+  if (q.createdBy)  { where.push('t.created_by = ?');  params.push(q.createdBy); }
+  if (q.customerId) { where.push('t.customer_id = ?'); params.push(q.customerId); }
+  if (q.needsRate === '1') where.push('t.needs_rate = 1');
+  if (q.method) {
+    where.push('EXISTS (SELECT 1 FROM transaction_payments p WHERE p.transaction_id = t.id AND p.method = ?)');
+    params.push(q.method);
+  }
+  if (q.productId) {
+    where.push('EXISTS (SELECT 1 FROM transaction_items ti WHERE ti.transaction_id = t.id AND ti.product_id = ?)');
+    params.push(q.productId);
+  }
+  if (q.q) {
+    const like = `%${String(q.q).trim()}%`;
+    where.push('(t.description LIKE ? OR t.id LIKE ? OR t.doc_number LIKE ?)');
+    params.push(like, like, like);
+  }
+  return { where, params };
+}
+
+const encodeCursor = t => Buffer.from(`${t.created_at}|${t.id}`).toString('base64url');
+
+function decodeCursor(cursor) {
+  const raw = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  const cut = raw.indexOf('|');
+  if (cut < 1) throw new FilterError('Invalid cursor');
+  return { createdAt: raw.slice(0, cut), id: raw.slice(cut + 1) };
+}
+
+// Count and money of the whole filtered set
+function totals(db, { where, params }) {
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const and    = where.length ? `${clause} AND` : 'WHERE';
+  const count  = db.get(`SELECT COUNT(*) AS n FROM transactions t ${clause}`, params).n;
+
+  const byType = {};
+  db.all(`
+    SELECT t.type, COUNT(*) AS count, COALESCE(SUM(t.total), 0) AS total
+    FROM transactions t ${and} ${COMPLETED}
+    GROUP BY t.type
+  `, params).forEach(r => { byType[r.type] = { count: r.count, total: round(r.total) }; });
+
+  // Tendered money per currency; store credit is not money
+  const byCurrency = {};
+  db.all(`
+    SELECT p.currency,
+      COALESCE(SUM(CASE WHEN ${payments.TENDER_SIGN} > 0 THEN p.amount END), 0) AS money_in,
+      COALESCE(SUM(CASE WHEN ${payments.TENDER_SIGN} < 0 THEN p.amount END), 0) AS money_out
+    FROM transaction_payments p
+    JOIN transactions t ON t.id = p.transaction_id
+    ${and} ${COMPLETED} AND p.method != 'store_credit'
+    GROUP BY p.currency
+  `, params).forEach(r => { byCurrency[r.currency] = { in: round(r.money_in), out: round(r.money_out) }; });
+
+  return {
+    count,
+    currency:    payments.BASE_CURRENCY,
+    by_type:     byType,
+    net_sales:   round((byType.sale?.total || 0) - (byType.return?.total || 0)),
+    by_currency: byCurrency,
+  };
+}
+
+// One page of transactions with their lines, payments, returns and deposits,
+// plus next_cursor (null on the last page) and totals for the filter.
+function listTransactions(db, query = {}) {
+  const filter = buildFilter(query);
+  const limit  = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const where = [...filter.where], params = [...filter.params];
+  if (query.cursor) {
+    const c = decodeCursor(query.cursor);
+    where.push('(t.created_at < ? OR (t.created_at = ? AND t.id < ?))');
+    params.push(c.createdAt, c.createdAt, c.id);
+  }
+  const rows = db.all(`
+    SELECT t.*, c.name AS customer_name FROM transactions t
+    LEFT JOIN customers c ON c.id = t.customer_id
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY t.created_at DESC, t.id DESC
+    LIMIT ?
+  `, [...params, limit + 1]);
+  const page = rows.slice(0, limit);
+  const ids  = page.map(t => t.id);
+  const marks = list => list.map(() => '?').join(',');
+
+  const items = ids.length
+    ? db.all(`SELECT * FROM transaction_items WHERE transaction_id IN (${marks(ids)}) ORDER BY id`, ids)
+    : [];
+  // Units already returned of each line on the page
+  const itemIds  = items.map(i => i.id);
+  const returned = {};
+  if (itemIds.length) {
+    db.all(`
+      SELECT ti.original_item_id AS item_id, SUM(ti.quantity) AS qty
+      FROM transaction_items ti
+      JOIN transactions t ON t.id = ti.transaction_id
+      WHERE t.type = 'return' AND ${COMPLETED} AND ti.original_item_id IN (${marks(itemIds)})
+      GROUP BY ti.original_item_id
+    `, itemIds).forEach(r => { returned[r.item_id] = parseInt(r.qty) || 0; });
+  }
+  const byTxn = {};
+  items.forEach(item => (byTxn[item.transaction_id] ??= []).push({ ...item, returned_qty: returned[item.id] || 0 }));
+
+  // Returns and deposits recorded against the page's sales, wherever they fall
+  const returnsBySale = {}, depositsBySale = {};
+  if (ids.length) {
+    db.all(`
+      SELECT t.id, t.type, t.original_id FROM transactions t
+      WHERE t.original_id IN (${marks(ids)}) AND t.type IN ('return', 'deposit') AND ${COMPLETED}
+      ORDER BY t.created_at
+    `, ids).forEach(r => {
+      ((r.type === 'return' ? returnsBySale : depositsBySale)[r.original_id] ??= []).push(r.id);
+    });
+  }
+  const paid      = payments.paymentsByTxn(db, ids);
+  const deposited = reservations.depositTotals(db, page.filter(t => t.type === 'sale').map(t => t.id));
+
+  return {
+    transactions: page.map(t => ({
+      ...t,
+      items:      byTxn[t.id] || [],
+      payments:   paid[t.id] || [],
+      return_ids: returnsBySale[t.id] || [],
+      ...(t.type === 'sale' && {
+        deposit_ids:   depositsBySale[t.id] || [],
+        deposit_total: deposited[t.id] || 0,
+        balance_due:   t.status === 'reserved' ? round(t.total - (deposited[t.id] || 0)) : 0,
+      }),
+    })),
+    next_cursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    totals:      totals(db, filter),
+  };
+}
+
+module.exports = { TYPES, STATUSES, FilterError, buildFilter, listTransactions };
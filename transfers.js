@@ -0,0 +1,142 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// transfers.js — Moving stock between locations
+// A transfer is drafted with its lines, sent (the units leave the source
+// location and are in transit, on neither shelf) and received (they arrive
+// at the destination). A draft can be cancelled outright; cancelling one in
+// transit puts the units back at the source.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const stock     = require('./stock');
+const numbering = require('./numbering');
+const { resolveLocation } = require('./locations');
+
+const STATUSES = ['draft', 'in_transit', 'received', 'cancelled'];
+
+class TransferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'TransferError';
+    this.status = status;
+  }
+}
+
+function getTransfer(db, id) {
+  const row = db.get('SELECT * FROM stock_transfers WHERE id = ?', [id]);
+  return row && {
+    ...row,
+    items: db.all(`
+      SELECT sti.*, p.name AS product_name FROM stock_transfer_items sti
+      LEFT JOIN products p ON p.id = sti.product_id
+      WHERE sti.transfer_id = ? ORDER BY sti.id
+    `, [id]),
+  };
+}
+
+// Newest first. Filters: status, location (either end)
+function listTransfers(db, { status, location } = {}) {
+  const where = [], params = [];
+  if (status)   { where.push('status = ?'); params.push(status); }
+  if (location) { where.push('(from_location = ? OR to_location = ?)'); params.push(location, location); }
+  const rows = db.all(`
+    SELECT id FROM stock_transfers
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY created_at DESC, id DESC LIMIT 500
+  `, params);
+  return rows.map(r => getTransfer(db, r.id));
+}
+
+function loadTransfer(db, id, status) {
+  const t = getTransfer(db, id);
+  if (!t) throw new TransferError('Transfer not found', 404);
+  if (status && t.status !== status)
+    throw new TransferError(`Transfer is ${t.status.replace('_', ' ')}, not ${status.replace('_', ' ')}`, 409);
+  return t;
+}
+
+// Draft a transfer. items: [{ productId, color, size, channel, quantity }]
+function createTransfer(db, { from, to, items, note, username }) {
+  const src = resolveLocation(db, from), dst = resolveLocation(db, to);
+  if (!src || !dst) throw new TransferError('from and to locations are required');
+  if (src.code === dst.code) throw new TransferError('A transfer needs two different locations');
+  if (!Array.isArray(items) || !items.length) throw new TransferError('items must be a non-empty array');
+  const lines = items.map(i => {
+    const qty = parseInt(i.quantity) || 0;
+    if (qty < 1) throw new TransferError('Quantities must be at least 1');
+    if (!db.get('SELECT id FROM products WHERE id = ?', [i.productId])) throw new TransferError(`Product ${i.productId} not found`, 404);
+    if (!i.color || i.size == null || i.size === '') throw new TransferError('Every line needs a color and size');
+    return [i.productId, i.color, String(i.size), i.channel || 'single', qty];
+  });
+
+  const id = numbering.newId('TRF');
+  db.transaction(() => {
+    db.run(
+      'INSERT INTO stock_transfers (id, doc_number, from_location, to_location, note, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, numbering.allocate(db, { type: 'transfer', location: src.code }), src.code, dst.code, note || null, username]
+    );
+    for (const line of lines) {
+      db.run(
+        'INSERT INTO stock_transfer_items (transfer_id, product_id, color, size, channel, quantity) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, ...line]
+      );
+    }
+  })();
+  return getTransfer(db, id);
+}
+
+const asItem = line => ({ product_id: line.product_id, color: line.color, size: line.size, channel: line.channel });
+
+// Take the units off the source location; they are now in transit
+function sendTransfer(db, id, { username }) {
+  const t = loadTransfer(db, id, 'draft');
+  db.transaction(() => {
+    for (const line of t.items)
+      stock.adjust(db, asItem(line), { stock: -line.quantity }, { reason: 'transfer_out', refId: t.id, username, location: t.from_location });
+    db.run("UPDATE stock_transfers SET status = 'in_transit', sent_by = ?, sent_at = datetime('now') WHERE id = ?", [username, t.id]);
+  })();
+  return getTransfer(db, id);
+}
+
+// Put the units on the destination's shelf
+function receiveTransfer(db, id, { username }) {
+  const t = loadTransfer(db, id, 'in_transit');
+  db.transaction(() => {
+    for (const line of t.items)
+      stock.restock(db, asItem(line), line.quantity, { reason: 'transfer_in', refId: t.id, username, location: t.to_location });
+    db.run("UPDATE stock_transfers SET status = 'received', received_by = ?, received_at = datetime('now') WHERE id = ?", [username, t.id]);
+  })();
+  return getTransfer(db, id);
+}
+
+// Drop a draft, or call back a transfer in transit to its source
+function cancelTransfer(db, id, { username }) {
+  const t = loadTransfer(db, id);
+  if (!['draft', 'in_transit'].includes(t.status))
+    throw new TransferError(`Transfer is already ${t.status}`, 409);
+  db.transaction(() => {
+    if (t.status === 'in_transit') {
+      for (const line of t.items)
+        stock.restock(db, asItem(line), line.quantity, { reason: 'transfer_cancel', refId: t.id, username, location: t.from_location });
+    }
+    db.run("UPDATE stock_transfers SET status = 'cancelled', cancelled_by = ?, cancelled_at = datetime('now') WHERE id = ?", [username, t.id]);
+  })();
+  return getTransfer(db, id);
+}
+
+// Units in transit per variant key 'productId|color|size|channel', optionally only those bound for `location`
+function inTransit(db, location) {
+  const out = {};
+  db.all(`
+    SELECT sti.product_id, sti.color, sti.size, sti.channel, SUM(sti.quantity) AS qty
+    FROM stock_transfer_items sti
+    JOIN stock_transfers st ON st.id = sti.transfer_id
+    WHERE st.status = 'in_transit' ${location ? 'AND st.to_location = ?' : ''}
+    GROUP BY sti.product_id, sti.color, sti.size, sti.channel
+  `, location ? [location] : []).forEach(r => { out[`${r.product_id}|${r.color}|${r.size}|${r.channel}`] = r.qty; });
+  return out;
+}
+
+module.exports = {
+  STATUSES, TransferError, getTransfer, listTransfers, createTransfer, sendTransfer, receiveTransfer, cancelTransfer, inTransit,
+};
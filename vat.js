@@ -0,0 +1,185 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// vat.js — VAT (KDV) rates and the tax on transaction lines
+// A product's rate is its own vat_rate when set, else its category's (in
+// vat_rates), else the default_vat_rate setting. Retail (single) prices
+// include VAT; wholesale prices are net and VAT is added on top. Each
+// transaction line keeps its rate, whether its price included VAT, and its
+// net and VAT amounts. These are fixed when the line is first priced, so a
+// later rate change leaves past sales alone. A return line takes them from
+// the line it returns.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { getSetting } = require('./settings');
+
+class VatError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'VatError';
+    this.status = status;
+  }
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+// A percentage from 0 to 100. With `optional`, null or '' clears it (null).
+function validateRate(raw, { optional = false } = {}) {
+  if (optional && (raw === null || raw === '')) return null;
+  const rate = Number(raw);
+  if (raw == null || raw === '' || !Number.isFinite(rate) || rate < 0 || rate > 100)
+    throw new VatError('VAT rate must be a percentage from 0 to 100');
+  return rate;
+}
+
+const normalizeCategory = category => String(category ?? '').trim().toLowerCase();
+
+function listRates(db) {
+  return {
+    default:    getSetting(db, 'default_vat_rate'),
+    categories: db.all('SELECT * FROM vat_rates ORDER BY category'),
+  };
+}
+
+const categoryRate = (db, category) => db.get('SELECT * FROM vat_rates WHERE category = ?', [normalizeCategory(category)]);
+
+// Create or replace a category's rate
+function setCategoryRate(db, category, rate, username) {
+  const cat = normalizeCategory(category);
+  if (!cat) throw new VatError('category is required');
+  db.run(
+    `INSERT INTO vat_rates (category, rate, updated_by, updated_at) VALUES (?, ?, ?, datetime('now'))
+     ON CONFLICT(category) DO UPDATE SET rate = excluded.rate, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+    [cat, validateRate(rate), username || null]
+  );
+  return categoryRate(db, cat);
+}
+
+function deleteCategoryRate(db, category) {
+  const row = categoryRate(db, category);
+  if (!row) throw new VatError('No VAT rate set for this category', 404);
+  db.run('DELETE FROM vat_rates WHERE category = ?', [row.category]);
+  return row;
+}
+
+const PRODUCT_RATE_SQL = `
+  SELECT p.id, COALESCE(p.vat_rate, vr.rate) AS rate FROM products p
+  LEFT JOIN vat_rates vr ON vr.category = LOWER(TRIM(p.category))`;
+
+// product id → the rate that applies to it now
+function productRates(db) {
+  const fallback = getSetting(db, 'default_vat_rate');
+  const out = {};
+  db.all(PRODUCT_RATE_SQL).forEach(r => { out[r.id] = r.rate ?? fallback; });
+  return out;
+}
+
+function rateForProduct(db, productId) {
+  return db.get(`${PRODUCT_RATE_SQL} WHERE p.id = ?`, [productId])?.rate ?? getSetting(db, 'default_vat_rate');
+}
+
+const pricesIncludeVat = channel => channel !== 'wholesale';
+
+// { net, vat, gross } of quantity × unit_price at vat_rate percent. Prices
+// count as VAT-inclusive unless vat_inclusive is false/0.
+function lineAmounts({ quantity, unit_price, vat_rate, vat_inclusive }) {
+  const amount    = round((Number(quantity) || 0) * (Number(unit_price) || 0));
+  const rate      = Number(vat_rate) || 0;
+  const inclusive = vat_inclusive == null || Boolean(Number(vat_inclusive));
+  if (inclusive) {
+    const vat = round(amount - amount / (1 + rate / 100));
+    return { net: round(amount - vat), vat, gross: amount };
+  }
+  const vat = round(amount * rate / 100);
+  return { net: amount, vat, gross: round(amount + vat) };
+}
+
+// Store the VAT of every line of a transaction. Lines not priced yet take
+// their rate from the line they return, else from their product as it is
+// now. Returns the transaction's gross total.
+function priceLines(db, transactionId) {
+  const lines = db.all(`
+    SELECT ti.*, o.vat_rate AS orig_rate, o.vat_inclusive AS orig_inclusive
+    FROM transaction_items ti
+    LEFT JOIN transaction_items o ON o.id = ti.original_item_id
+    WHERE ti.transaction_id = ?
+  `, [transactionId]);
+  let total = 0;
+  for (const line of lines) {
+    const rate      = line.vat_rate ?? line.orig_rate ?? rateForProduct(db, line.product_id);
+    const inclusive = line.vat_inclusive ?? line.orig_inclusive ?? (pricesIncludeVat(line.channel) ? 1 : 0);
+    const { net, vat, gross } = lineAmounts({ ...line, vat_rate: rate, vat_inclusive: inclusive });
+    db.run(
+      'UPDATE transaction_items SET vat_rate = ?, vat_inclusive = ?, net_amount = ?, vat_amount = ? WHERE id = ?',
+      [rate, inclusive, net, vat, line.id]
+    );
+    total += gross;
+  }
+  return round(total);
+}
+
+// Lines from before VAT was recorded get their product's rate now. What was
+// charged is all there is, so their prices count as VAT-inclusive. Runs at
+// startup; returns how many transactions were priced.
+function backfillVat(db) {
+  const ids = db.all('SELECT DISTINCT transaction_id FROM transaction_items WHERE vat_rate IS NULL').map(r => r.transaction_id);
+  if (!ids.length) return 0;
+  db.transaction(() => {
+    db.run('UPDATE transaction_items SET vat_inclusive = 1 WHERE vat_rate IS NULL AND vat_inclusive IS NULL');
+    ids.forEach(id => priceLines(db, id));
+  })();
+  return ids.length;
+}
+
+// ── REPORT ────────────────────────────────────────────────────────────────────
+
+// VAT over completed sales less returns, per location and rate, for days
+// `from`–`to` (YYYY-MM-DD, both inclusive). `money(expr)` converts an amount
+// expression into the report currency (default: left in base currency).
+function vatReport(db, { from, to, location, money = expr => expr } = {}) {
+  const rows = db.all(`
+    SELECT t.location, l.name AS location_name, ti.vat_rate AS rate,
+      ROUND(SUM(CASE WHEN t.type = 'sale'   THEN ${money('ti.net_amount')} ELSE 0 END), 2) AS sales_net,
+      ROUND(SUM(CASE WHEN t.type = 'sale'   THEN ${money('ti.vat_amount')} ELSE 0 END), 2) AS sales_vat,
+      ROUND(SUM(CASE WHEN t.type = 'return' THEN ${money('ti.net_amount')} ELSE 0 END), 2) AS returns_net,
+      ROUND(SUM(CASE WHEN t.type = 'return' THEN ${money('ti.vat_amount')} ELSE 0 END), 2) AS returns_vat
+    FROM transaction_items ti
+    JOIN transactions t ON t.id = ti.transaction_id
+    LEFT JOIN locations l ON l.code = t.location
+    WHERE t.type IN ('sale', 'return') AND (t.status = 'completed' OR t.status IS NULL)
+      AND (? IS NULL OR date(t.created_at) >= ?)
+      AND (? IS NULL OR date(t.created_at) <= ?)
+      AND (? IS NULL OR t.location = ?)
+    GROUP BY t.location, ti.vat_rate
+    ORDER BY t.location, ti.vat_rate
+  `, [from || null, from || null, to || null, to || null, location || null, location || null]).map(r => {
+    const net = round(r.sales_net - r.returns_net), vat = round(r.sales_vat - r.returns_vat);
+    return { ...r, net, vat, gross: round(net + vat) };
+  });
+
+  const byRate = {};
+  for (const r of rows) {
+    const t = byRate[r.rate] ??= { rate: r.rate, net: 0, vat: 0, gross: 0 };
+    t.net = round(t.net + r.net); t.vat = round(t.vat + r.vat); t.gross = round(t.gross + r.gross);
+  }
+  const by_rate = Object.values(byRate).sort((a, b) => a.rate - b.rate);
+  const totals  = by_rate.reduce((s, r) => ({ net: round(s.net + r.net), vat: round(s.vat + r.vat), gross: round(s.gross + r.gross) }), { net: 0, vat: 0, gross: 0 });
+  return { from: from || null, to: to || null, location: location || null, rows, by_rate, totals };
+}
+
+const CSV_COLUMNS = ['location', 'location_name', 'rate', 'sales_net', 'sales_vat', 'returns_net', 'returns_vat', 'net', 'vat', 'gross'];
+
+const csvCell = v => (/[",\n]/.test(String(v ?? '')) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? ''));
+
+// The report as CSV: one row per location and rate, then a TOTAL row per rate
+function reportCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  report.rows.forEach(r => lines.push(CSV_COLUMNS.map(c => csvCell(r[c])).join(',')));
+  report.by_rate.forEach(r => lines.push(['TOTAL', '', r.rate, '', '', '', '', r.net, r.vat, r.gross].map(csvCell).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  VatError, validateRate, listRates, setCategoryRate, deleteCategoryRate, productRates, rateForProduct,
+  pricesIncludeVat, lineAmounts, priceLines, backfillVat, vatReport, reportCsv,
+};
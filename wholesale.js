@@ -0,0 +1,434 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// wholesale.js — Wholesale orders: quote, order, pick, ship, invoice
+// An order is for a wholesale customer, ships from one location and is for
+// wholesale-channel variants at net prices (VAT is added on top, at the rate
+// fixed when the line was quoted). It moves through:
+//   quote              lines can still change; the proforma can be printed
+//   confirmed          units free at the location are held for each line;
+//                      the rest is backordered
+//   picking            being picked; holds are topped up from new stock
+//   partially_shipped  some units sent, the rest still owed
+//   delivered          everything sent, or the rest given up
+//   invoiced           given an invoice number
+// An order with nothing shipped can be cancelled, releasing its holds. Each
+// shipment takes its units off the shelf as a completed sale booked to the
+// customer's account, and has its own delivery note.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const stock     = require('./stock');
+const vat       = require('./vat');
+const numbering = require('./numbering');
+const { BASE_CURRENCY } = require('./payments');
+const { getSetting }    = require('./settings');
+const { getCustomer }   = require('./customers');
+const { resolveLocation, stockLocation, getLocation } = require('./locations');
+
+const STATUSES = ['quote', 'confirmed', 'picking', 'partially_shipped', 'delivered', 'invoiced', 'cancelled'];
+const OPEN     = ['confirmed', 'picking', 'partially_shipped']; // holding stock, more to ship
+
+class WholesaleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name   = 'WholesaleError';
+    this.status = status;
+  }
+}
+
+const round = n => Math.round(n * 100) / 100;
+const label = status => status.replace('_', ' ');
+
+const asItem = line => ({ product_id: line.product_id, color: line.color, size: line.size, channel: 'wholesale' });
+
+// A line with its amounts, the units still to ship and those backordered
+function withAmounts(line, status) {
+  const { net, vat: tax, gross } = vat.lineAmounts({ ...line, vat_inclusive: 0 });
+  const outstanding = line.quantity - line.shipped;
+  return {
+    ...line, net, vat: tax, gross, outstanding,
+    backordered: OPEN.includes(status) ? Math.max(outstanding - line.held, 0) : 0,
+  };
+}
+
+function getOrder(db, id) {
+  const row = db.get(`
+    SELECT o.*, c.name AS customer_name, c.tax_number AS customer_tax_number FROM wholesale_orders o
+    JOIN customers c ON c.id = o.customer_id
+    WHERE o.id = ?
+  `, [id]);
+  if (!row) return null;
+  const lines = db.all(`
+    SELECT l.*, p.name AS product_name, p.ref FROM wholesale_order_lines l
+    LEFT JOIN products p ON p.id = l.product_id
+    WHERE l.order_id = ? ORDER BY l.id
+  `, [id]).map(l => withAmounts(l, row.status));
+  const shipments = db.all(`
+    SELECT s.*, t.doc_number AS sale_doc_number, t.total FROM wholesale_shipments s
+    LEFT JOIN transactions t ON t.id = s.transaction_id
+    WHERE s.order_id = ? ORDER BY s.rowid
+  `, [id]).map(s => ({
+    ...s, lines: db.all('SELECT line_id, quantity FROM wholesale_shipment_lines WHERE shipment_id = ? ORDER BY id', [s.id]),
+  }));
+  const sum = key => round(lines.reduce((s, l) => s + l[key], 0));
+  return {
+    ...row, currency: BASE_CURRENCY, net: sum('net'), vat: sum('vat'), total: sum('gross'),
+    backordered: lines.reduce((s, l) => s + l.backordered, 0), lines, shipments,
+  };
+}
+
+// Newest first. Filters: status, customerId, location
+function listOrders(db, { status, customerId, location } = {}) {
+  const where = [], params = [];
+  if (status)     { where.push('status = ?');      params.push(status); }
+  if (customerId) { where.push('customer_id = ?'); params.push(customerId); }
+  if (location)   { where.push('location = ?');    params.push(location); }
+  const rows = db.all(`
+    SELECT id FROM wholesale_orders
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY created_at DESC, id DESC LIMIT 500
+  `, params);
+  return rows.map(r => getOrder(db, r.id));
+}
+
+function loadOrder(db, id, statuses) {
+  const order = getOrder(db, id);
+  if (!order) throw new WholesaleError('Order not found', 404);
+  if (statuses && !statuses.includes(order.status))
+    throw new WholesaleError(`Order is ${label(order.status)}, not ${statuses.map(label).join(' or ')}`, 409);
+  return order;
+}
+
+function resolveBuyer(db, customerId) {
+  if (customerId == null || customerId === '') throw new WholesaleError('customerId is required');
+  const customer = getCustomer(db, customerId);
+  if (!customer) throw new WholesaleError(`Customer ${customerId} not found`, 404);
+  if (customer.type !== 'wholesale') throw new WholesaleError(`${customer.name} is not a wholesale customer`);
+  return customer;
+}
+
+function validDate(value) {
+  if (value == null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) throw new WholesaleError('validUntil must be YYYY-MM-DD');
+  return value;
+}
+
+// items: [{ productId, color, size, quantity, unitPrice? }] → line rows.
+// The price defaults to the product's wholesale price.
+function validateLines(db, items) {
+  if (!Array.isArray(items) || !items.length) throw new WholesaleError('items must be a non-empty array');
+  return items.map(i => {
+    const qty = parseInt(i.quantity) || 0;
+    if (qty < 1) throw new WholesaleError('Quantities must be at least 1');
+    const product = db.get('SELECT id, name, wholesale_price FROM products WHERE id = ?', [i.productId]);
+    if (!product) throw new WholesaleError(`Product ${i.productId} not found`, 404);
+    if (!i.color || i.size == null || i.size === '') throw new WholesaleError('Every line needs a color and size');
+    const item = { product_id: product.id, color: i.color, size: String(i.size), channel: 'wholesale' };
+    if (!stock.findVariant(db, item)) throw new WholesaleError(`${product.name} ${item.color} ${item.size} is not sold wholesale`);
+    const price = i.unitPrice == null || i.unitPrice === '' ? product.wholesale_price : Number(i.unitPrice);
+    if (price == null || !Number.isFinite(price) || price < 0)
+      throw new WholesaleError(`${product.name} has no wholesale price — give a unitPrice`);
+    return { ...item, quantity: qty, unit_price: round(price), vat_rate: vat.rateForProduct(db, product.id) };
+  });
+}
+
+function saveLines(db, orderId, lines) {
+  db.run('DELETE FROM wholesale_order_lines WHERE order_id = ?', [orderId]);
+  for (const l of lines) {
+    db.run(
+      'INSERT INTO wholesale_order_lines (order_id, product_id, color, size, quantity, unit_price, vat_rate) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [orderId, l.product_id, l.color, l.size, l.quantity, l.unit_price, l.vat_rate]
+    );
+  }
+}
+
+// Quote an order. Body: { customerId, location?, items, validUntil?, note? }
+function createOrder(db, { customerId, location, items, validUntil, note, username }) {
+  const customer = resolveBuyer(db, customerId);
+  const where    = resolveLocation(db, location)?.code || stockLocation(db);
+  const lines    = validateLines(db, items);
+  const until    = validDate(validUntil);
+
+  const id = numbering.newId('WHO');
+  db.transaction(() => {
+    db.run(
+      'INSERT INTO wholesale_orders (id, doc_number, customer_id, location, valid_until, note, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, numbering.allocate(db, { type: 'order', location: where }), customer.id, where, until, note || null, username]
+    );
+    saveLines(db, id, lines);
+  })();
+  return getOrder(db, id);
+}
+
+// Change a quote: its lines (replaced whole), validUntil or note
+function updateQuote(db, id, { items, validUntil, note }) {
+  const order = loadOrder(db, id, ['quote']);
+  const lines = items !== undefined ? validateLines(db, items) : null;
+  const until = validUntil !== undefined ? validDate(validUntil) : order.valid_until;
+  db.transaction(() => {
+    db.run('UPDATE wholesale_orders SET valid_until = ?, note = ? WHERE id = ?',
+      [until, note !== undefined ? note || null : order.note, order.id]);
+    if (lines) saveLines(db, order.id, lines);
+  })();
+  return getOrder(db, order.id);
+}
+
+// Hold what the location has free for each line's backordered units
+function topUpHolds(db, order, username) {
+  for (const line of order.lines) {
+    const want = line.quantity - line.shipped - line.held;
+    if (want <= 0) continue;
+    const variant = stock.findVariant(db, asItem(line));
+    const at      = variant ? stock.atLocation(db, variant.id, order.location) : { stock: 0, reserved: 0 };
+    const qty     = Math.min(want, Math.max(at.stock - at.reserved, 0));
+    if (!qty) continue;
+    stock.hold(db, asItem(line), qty, { refId: order.id, username, location: order.location });
+    db.run('UPDATE wholesale_order_lines SET held = held + ? WHERE id = ?', [qty, line.id]);
+  }
+}
+
+function releaseHolds(db, order, username, reason) {
+  for (const line of order.lines.filter(l => l.held > 0))
+    stock.release(db, asItem(line), line.held, { reason, refId: order.id, username, location: order.location });
+  db.run('UPDATE wholesale_order_lines SET held = 0 WHERE order_id = ?', [order.id]);
+}
+
+// The customer accepted the quote
+function confirmOrder(db, id, { username }) {
+  const order = loadOrder(db, id, ['quote']);
+  db.transaction(() => {
+    topUpHolds(db, order, username);
+    db.run("UPDATE wholesale_orders SET status = 'confirmed', confirmed_by = ?, confirmed_at = datetime('now') WHERE id = ?", [username, order.id]);
+  })();
+  return getOrder(db, id);
+}
+
+// Start (or restart) picking; stock that came in since is held for backorders
+function pickOrder(db, id, { username }) {
+  const order = loadOrder(db, id, OPEN);
+  db.transaction(() => {
+    topUpHolds(db, order, username);
+    db.run("UPDATE wholesale_orders SET status = 'picking' WHERE id = ?", [order.id]);
+  })();
+  return getOrder(db, id);
+}
+
+// Send units: `lines` [{ lineId, quantity }], by default everything held.
+// Held units are shipped first; more than that is taken from free stock.
+// Returns { order, shipment, transaction } — the sale it was booked as.
+function shipOrder(db, id, { lines, note, username } = {}) {
+  const order = loadOrder(db, id, OPEN);
+  const send  = {};
+  if (Array.isArray(lines) && lines.length) {
+    for (const l of lines) {
+      const line = order.lines.find(x => x.id === Number(l.lineId));
+      if (!line) throw new WholesaleError(`Line ${l.lineId} is not on order ${order.doc_number}`, 404);
+      const qty = parseInt(l.quantity) || 0;
+      if (qty < 1) throw new WholesaleError('Quantities must be at least 1');
+      send[line.id] = (send[line.id] || 0) + qty;
+      if (send[line.id] > line.outstanding)
+        throw new WholesaleError(`Only ${line.outstanding} of ${line.product_name} ${line.color} ${line.size} are left to ship`);
+    }
+  } else {
+    order.lines.filter(l => l.held > 0).forEach(l => { send[l.id] = l.held; });
+  }
+  if (!Object.keys(send).length) throw new WholesaleError('Nothing is held to ship — give lines: [{ lineId, quantity }]', 409);
+
+  const shipmentId = numbering.newId('SHP');
+  const saleId     = numbering.newId('TXN');
+  db.transaction(() => {
+    const dn = numbering.allocate(db, { type: 'delivery', location: order.location });
+    db.run(
+      `INSERT INTO transactions (id, doc_number, type, status, total, description, created_by, location, customer_id)
+       VALUES (?, ?, 'sale', 'completed', 0, ?, ?, ?, ?)`,
+      [saleId, numbering.allocate(db, { type: 'sale', location: order.location }),
+       `Wholesale order ${order.doc_number}, delivery note ${dn}`, username, order.location, order.customer_id]
+    );
+    db.run(
+      'INSERT INTO wholesale_shipments (id, doc_number, order_id, transaction_id, note, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [shipmentId, dn, order.id, saleId, note || null, username]
+    );
+    for (const line of order.lines.filter(l => send[l.id])) {
+      const qty = send[line.id], fromHold = Math.min(qty, line.held);
+      if (fromHold) stock.release(db, asItem(line), fromHold, { reason: 'ship', refId: order.id, username, location: order.location });
+      stock.sell(db, asItem(line), qty, { refId: saleId, username, location: order.location });
+      db.run(
+        `INSERT INTO transaction_items (transaction_id, product_id, color, size, channel, quantity, unit_price, list_price, vat_rate, vat_inclusive)
+         VALUES (?, ?, ?, ?, 'wholesale', ?, ?, ?, ?, 0)`,
+        [saleId, line.product_id, line.color, line.size, qty, line.unit_price, line.unit_price, line.vat_rate]
+      );
+      db.run('INSERT INTO wholesale_shipment_lines (shipment_id, line_id, quantity) VALUES (?, ?, ?)', [shipmentId, line.id, qty]);
+      db.run('UPDATE wholesale_order_lines SET held = held - ?, shipped = shipped + ? WHERE id = ?', [fromHold, qty, line.id]);
+    }
+    db.run('UPDATE transactions SET total = ? WHERE id = ?', [vat.priceLines(db, saleId), saleId]);
+    const left = db.get('SELECT SUM(quantity - shipped) AS n FROM wholesale_order_lines WHERE order_id = ?', [order.id]).n;
+    if (left > 0) db.run("UPDATE wholesale_orders SET status = 'partially_shipped' WHERE id = ?", [order.id]);
+    else db.run("UPDATE wholesale_orders SET status = 'delivered', delivered_at = datetime('now') WHERE id = ?", [order.id]);
+  })();
+  const updated = getOrder(db, order.id);
+  return {
+    order:       updated,
+    shipment:    updated.shipments.find(s => s.id === shipmentId),
+    transaction: db.get('SELECT * FROM transactions WHERE id = ?', [saleId]),
+  };
+}
+
+// Close a part-shipped order: what was not sent is no longer owed
+function deliverOrder(db, id, { username }) {
+  const order = loadOrder(db, id, OPEN);
+  if (!order.shipments.length) throw new WholesaleError('Nothing has been shipped — cancel the order instead', 409);
+  db.transaction(() => {
+    releaseHolds(db, order, username, 'release');
+    db.run("UPDATE wholesale_orders SET status = 'delivered', delivered_at = datetime('now') WHERE id = ?", [order.id]);
+  })();
+  return getOrder(db, id);
+}
+
+function invoiceOrder(db, id, { username }) {
+  const order = loadOrder(db, id, ['delivered']);
+  db.transaction(() => {
+    db.run(
+      "UPDATE wholesale_orders SET status = 'invoiced', invoice_number = ?, invoiced_by = ?, invoiced_at = datetime('now') WHERE id = ?",
+      [numbering.allocate(db, { type: 'invoice', location: order.location }), username, order.id]
+    );
+  })();
+  return getOrder(db, id);
+}
+
+// Drop a quote, or an order nothing has been shipped on yet
+function cancelOrder(db, id, { username }) {
+  const order = loadOrder(db, id, ['quote', ...OPEN]);
+  if (order.shipments.length) throw new WholesaleError('Part of the order has shipped — deliver it short instead', 409);
+  db.transaction(() => {
+    releaseHolds(db, order, username, 'cancel');
+    db.run("UPDATE wholesale_orders SET status = 'cancelled', cancelled_by = ?, cancelled_at = datetime('now') WHERE id = ?", [username, order.id]);
+  })();
+  return getOrder(db, id);
+}
+
+// Units owed on open orders with no stock held for them yet, per variant
+// and location
+function backorders(db, { location } = {}) {
+  return db.all(`
+    SELECT l.product_id, p.name AS product_name, p.ref, l.color, l.size, o.location,
+      SUM(l.quantity - l.shipped - l.held) AS quantity, COUNT(DISTINCT o.id) AS orders
+    FROM wholesale_order_lines l
+    JOIN wholesale_orders o ON o.id = l.order_id
+    LEFT JOIN products p ON p.id = l.product_id
+    WHERE o.status IN (${OPEN.map(() => '?').join(', ')}) AND l.quantity - l.shipped - l.held > 0
+      AND (? IS NULL OR o.location = ?)
+    GROUP BY l.product_id, l.color, l.size, o.location
+    ORDER BY p.name, l.color, l.size
+  `, [...OPEN, location || null, location || null]);
+}
+
+// The shipment a sale was booked for, if any
+function shipmentOf(db, transactionId) {
+  return db.get(`
+    SELECT s.*, o.doc_number AS order_doc_number FROM wholesale_shipments s
+    JOIN wholesale_orders o ON o.id = s.order_id
+    WHERE s.transaction_id = ?
+  `, [transactionId]);
+}
+
+// ── DOCUMENTS (A4) ────────────────────────────────────────────────────────────
+
+const esc   = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const money = n => Number(n || 0).toFixed(2);
+
+function page(db, order, { title, number, date, extra = [], table, totals = '', signatures = false, autoPrint }) {
+  const location = getLocation(db, order.location);
+  const header   = String(getSetting(db, 'receipt_header') || '').split('\n').filter(Boolean);
+  const fact     = ([k, v]) => v ? `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>` : '';
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${esc(number)}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font: 12px/1.4 'DM Sans', Arial, sans-serif; color: #000; margin: 0; }
+  h1 { font-size: 18px; letter-spacing: 0.12em; margin: 0 0 12px; }
+  .head { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 18px; }
+  .brand div:first-child { font-size: 16px; font-weight: bold; }
+  .facts th { text-align: left; font-weight: normal; color: #555; padding-right: 12px; }
+  table.lines { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  table.lines th, table.lines td { border-bottom: 1px solid #ccc; padding: 5px 6px; text-align: left; }
+  table.lines th { border-bottom: 2px solid #000; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; }
+  .num { text-align: right !important; font-variant-numeric: tabular-nums; }
+  .totals { margin: 12px 0 0 auto; border-collapse: collapse; }
+  .totals td { padding: 3px 6px; }
+  .totals .grand td { font-weight: bold; font-size: 14px; border-top: 2px solid #000; }
+  .signatures { display: flex; gap: 48px; margin-top: 48px; }
+  .signatures div { flex: 1; border-top: 1px solid #000; padding-top: 4px; color: #555; }
+</style></head>
+<body>
+  <div class="head">
+    <div class="brand">${header.map(h => `<div>${esc(h)}</div>`).join('')}${location ? `<div>${esc(location.name)}</div>` : ''}</div>
+    <div>
+      <h1>${esc(title)}</h1>
+      <table class="facts">${[['No', number], ['Date', date], ...extra].map(fact).join('')}</table>
+    </div>
+  </div>
+  <table class="facts">${[['Customer', order.customer_name], ['Tax number', order.customer_tax_number]].map(fact).join('')}</table>
+  ${table}
+  ${totals}
+  ${order.note ? `<p>${esc(order.note)}</p>` : ''}
+  ${signatures ? '<div class="signatures"><div>Delivered by</div><div>Received by</div></div>' : ''}
+  ${autoPrint ? '<script>window.onload = () => window.print();</script>' : ''}
+</body></html>`;
+}
+
+const variantCells = l => `<td>${esc(l.ref || '')}</td><td>${esc(l.product_name || `Product #${l.product_id}`)}</td><td>${esc(l.color)}</td><td>${esc(l.size)}</td>`;
+
+// Proforma invoice of a quote or order: lines at net prices, VAT per rate
+function renderProforma(db, order, { autoPrint = false } = {}) {
+  const byRate = {};
+  for (const l of order.lines) {
+    const r = byRate[l.vat_rate] ??= { rate: l.vat_rate, net: 0, vat: 0 };
+    r.net = round(r.net + l.net); r.vat = round(r.vat + l.vat);
+  }
+  const table = `<table class="lines">
+    <tr><th>Ref</th><th>Product</th><th>Color</th><th>Size</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">KDV</th><th class="num">Net</th></tr>
+    ${order.lines.map(l => `<tr>${variantCells(l)}<td class="num">${l.quantity}</td><td class="num">${money(l.unit_price)}</td>
+      <td class="num">%${l.vat_rate}</td><td class="num">${money(l.net)}</td></tr>`).join('')}
+  </table>`;
+  const totals = `<table class="totals">
+    <tr><td>Net</td><td class="num">${money(order.net)}</td></tr>
+    ${Object.values(byRate).sort((a, b) => a.rate - b.rate).map(r => `<tr><td>KDV %${r.rate} on ${money(r.net)}</td><td class="num">${money(r.vat)}</td></tr>`).join('')}
+    <tr class="grand"><td>TOTAL ${esc(order.currency)}</td><td class="num">${money(order.total)}</td></tr>
+  </table>`;
+  return page(db, order, {
+    title: 'PROFORMA INVOICE', number: order.doc_number, date: order.created_at,
+    extra: [['Status', label(order.status)], ['Valid until', order.valid_until]], table, totals, autoPrint,
+  });
+}
+
+// Delivery note (irsaliye) of one shipment: what it carried, and per line
+// what had been delivered and was still owed once it left
+function renderDeliveryNote(db, order, shipmentId, { autoPrint = false } = {}) {
+  const shipment = order.shipments.find(s => s.id === shipmentId || s.doc_number === shipmentId);
+  if (!shipment) throw new WholesaleError('Shipment not found', 404);
+  const toDate = {};
+  db.all(`
+    SELECT sl.line_id, SUM(sl.quantity) AS qty FROM wholesale_shipment_lines sl
+    JOIN wholesale_shipments s ON s.id = sl.shipment_id
+    WHERE s.order_id = ? AND s.rowid <= (SELECT rowid FROM wholesale_shipments WHERE id = ?)
+    GROUP BY sl.line_id
+  `, [order.id, shipment.id]).forEach(r => { toDate[r.line_id] = r.qty; });
+  const rows = shipment.lines.map(sl => {
+    const l = order.lines.find(x => x.id === sl.line_id);
+    return `<tr>${variantCells(l)}<td class="num">${l.quantity}</td><td class="num"><b>${sl.quantity}</b></td>
+      <td class="num">${toDate[l.id] || 0}</td><td class="num">${l.quantity - (toDate[l.id] || 0)}</td></tr>`;
+  });
+  const table = `<table class="lines">
+    <tr><th>Ref</th><th>Product</th><th>Color</th><th>Size</th><th class="num">Ordered</th><th class="num">This delivery</th><th class="num">Delivered</th><th class="num">Outstanding</th></tr>
+    ${rows.join('')}
+  </table>`;
+  return page(db, order, {
+    title: 'DELIVERY NOTE', number: shipment.doc_number, date: shipment.created_at,
+    extra: [['Order', order.doc_number], ['Sale', shipment.sale_doc_number]], table, signatures: true, autoPrint,
+  });
+}
+
+module.exports = {
+  STATUSES, WholesaleError, getOrder, listOrders, createOrder, updateQuote, confirmOrder, pickOrder, shipOrder,
+  deliverOrder, invoiceOrder, cancelOrder, backorders, shipmentOf, renderProforma, renderDeliveryNote,
+};